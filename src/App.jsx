@@ -1,5 +1,5 @@
 // App.jsx
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -13,6 +13,52 @@ import {
   Legend,
 } from "chart.js";
 import { Bar, Line, Doughnut } from "react-chartjs-2";
+import {
+  PALETTE,
+  CARD_BG,
+  humanFileSize,
+  shortenPath,
+  rampColor,
+  buttonStyle,
+  hasMetric,
+  meanOf,
+} from "./helpers";
+import { avgLinePlugin, centerTextPlugin } from "./chartPlugins";
+import DuplicatesPanel from "./DuplicatesPanel";
+import HistoryPanel from "./HistoryPanel";
+import TrendsPanel from "./TrendsPanel";
+import { saveRun, getRun, projectKey } from "./history";
+import { parseViewHash, viewHash, historyMode } from "./viewState";
+import { AGGREGATIONS, aggregateFiles, formatSummary, summarizeFiles } from "./aggregation";
+import { toCsv, toJson, toMarkdown, downloadText, downloadChartPng, exportBaseName } from "./exporters";
+import ReportView from "./ReportView";
+import FilesTable from "./FilesTable";
+import FileDrawer from "./FileDrawer";
+import DuplicateDiff from "./DuplicateDiff";
+import ZipSelection from "./ZipSelection";
+import { subsetZip } from "./sourceArchive";
+import { bundleUpload, itemsFromDataTransfer } from "./uploadBundle";
+import { MAX_RETRIES } from "./uploadRequest";
+import { JOB_PHASES, phaseLabel } from "./analysisJobs";
+import { createApiClient, mockOverride } from "./apiClient";
+import { loadProfiles, saveProfiles, toApiConfig } from "./backendProfiles";
+import BackendSettings from "./BackendSettings";
+import { ApiError } from "./apiErrors";
+import { validateAnalysis, missingMetrics } from "./analysisSchema";
+import DiagnosticsPanel from "./DiagnosticsPanel";
+import { DEFAULT_SORT, compareBy, nextSort } from "./tableSort";
+import QualityGatesPanel from "./QualityGatesPanel";
+import { loadRules, saveRules, evaluateGates } from "./qualityGates";
+import PackageTree from "./PackageTree";
+import { inDirectory } from "./pathTree";
+import HierarchyView from "./HierarchyView";
+import QuadrantChart from "./QuadrantChart";
+import StatisticsPanel from "./StatisticsPanel";
+import ComparisonPanel from "./ComparisonPanel";
+import BaselineBar from "./BaselineBar";
+import { baselineFrom, classifyAgainstBaseline, deltaColor, groupDelta, loadBaseline, parseBaseline, saveBaseline } from "./baseline";
+import FilterBar from "./FilterBar";
+import { parseFilter } from "./filterQuery";
 
 ChartJS.register(
   CategoryScale,
@@ -26,154 +72,14 @@ ChartJS.register(
   Legend
 );
 
-// ----------------- Config / Palette -----------------
-const PALETTE = {
-  teal: "#00B8A9",
-  cream: "#F8F3D4",
-  pink: "#F6416C",
-  yellow: "#FFDE7D",
-  ink: "#16332f",
-  muted: "#6b6b6b",
-};
-const CARD_BG = PALETTE.cream; // soft card tint (cream)
-const API_BASE = process.env.REACT_APP_API_URL || "http://localhost:8080";
-
-// ----------------- Helpers -----------------
-const rand = (min, max) => Math.random() * (max - min) + min;
-function humanFileSize(bytes) {
-  if (!bytes && bytes !== 0) return "";
-  if (bytes === 0) return "0 B";
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
-  const sizes = ["B", "KB", "MB", "GB"];
-  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${sizes[i]}`;
-}
-function isDarkish(hex) {
-  const h = hex.replace("#", "");
-  const r = parseInt(h.substring(0, 2), 16);
-  const g = parseInt(h.substring(2, 4), 16);
-  const b = parseInt(h.substring(4, 6), 16);
-  const lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-  return lum < 160;
-}
-function shortenPath(path) {
-  const parts = path.split("/");
-  if (parts.length > 1) {
-    const filename = parts.pop();
-    return filename.length > 22 ? filename.substring(0, 19) + "..." : filename;
-  }
-  return path;
-}
-
-// aggregate into bins of size `binSize` and compute averages
-function aggregateIntoBins(files, binSize = 20) {
-  if (!files.length) return { labels: [], cyclo: [], maintain: [], mapping: [] };
-  const groups = [];
-  for (let i = 0; i < files.length; i += binSize) {
-    groups.push(files.slice(i, i + binSize));
-  }
-  const labels = groups.map((g, idx) => {
-    const start = idx * binSize + 1;
-    const end = idx * binSize + g.length;
-    return `${start}–${end}`;
-  });
-  const cyclo = groups.map((g) =>
-    Math.round((g.reduce((a, b) => a + (b.cyclomatic || 0), 0) / g.length) * 10) / 10
-  );
-  const maintain = groups.map((g) =>
-    Math.round((g.reduce((a, b) => a + (b.maintainabilityIndex || 0), 0) / g.length) * 10) / 10
-  );
-  const mapping = groups.map((g) => g.map((f) => f.path));
-  return { labels, cyclo, maintain, mapping };
-}
-
-// smooth color ramp between 3 colors based on value -> returns hex
-function rampColor(value, min, mid, max) {
-  const norm = Math.max(0, Math.min(1, (value - min) / (max - min || 1)));
-  if (norm < 0.5) {
-    const t = norm / 0.5;
-    return blendHex(PALETTE.teal, PALETTE.yellow, t);
-  } else {
-    const t = (norm - 0.5) / 0.5;
-    return blendHex(PALETTE.yellow, PALETTE.pink, t);
-  }
-}
-function hexToRgb(hex) {
-  const h = hex.replace("#", "");
-  const r = parseInt(h.substring(0, 2), 16);
-  const g = parseInt(h.substring(2, 4), 16);
-  const b = parseInt(h.substring(4, 6), 16);
-  return [r, g, b];
-}
-function blendHex(a, b, t) {
-  const [ar, ag, ab] = hexToRgb(a);
-  const [br, bg, bb] = hexToRgb(b);
-  const r = Math.round(ar + (br - ar) * t);
-  const g = Math.round(ag + (bg - ag) * t);
-  const bl = Math.round(ab + (bb - ab) * t);
-  return `rgb(${r}, ${g}, ${bl})`;
-}
-
-// ----------------- Chart plugins -----------------
-// UPDATED: avgLinePlugin - draws dashed line always, but only shows text when avg is meaningful (>1.5).
-const avgLinePlugin = {
-  id: "avgLine",
-  afterDraw(chart) {
-    const { ctx, chartArea, scales } = chart;
-    if (!chartArea) return;
-    const { left, right } = chartArea;
-    // pick first dataset numeric values (safeguard)
-    const values = chart.data.datasets?.[0]?.data ?? [];
-    if (!values || !values.length) return;
-    const avg = values.reduce((a, b) => a + (Number(b) || 0), 0) / values.length;
-    const yScale = scales?.y;
-    if (!yScale) return;
-    const y = yScale.getPixelForValue(avg);
-    ctx.save();
-    ctx.beginPath();
-    ctx.setLineDash([6, 6]);
-    ctx.lineWidth = 1;
-    ctx.strokeStyle = "rgba(0,0,0,0.10)";
-    ctx.moveTo(left, y);
-    ctx.lineTo(right, y);
-    ctx.stroke();
-    // show label only if avg is reasonably informative (not tiny like 1.0 for metrics that range 0..1)
-    // here threshold 1.5: if avg <=1.5 we omit rendering text (keeps visual clean)
-    if (avg > 1.5) {
-      ctx.fillStyle = "rgba(0,0,0,0.6)";
-      ctx.font = "12px system-ui, Arial";
-      const label = `Avg ${avg.toFixed(avg >= 10 ? 1 : 1)}`;
-      ctx.fillText(label, right - ctx.measureText(label).width - 8, y - 8);
-    }
-    ctx.restore();
-  },
-};
-
-const centerTextPlugin = {
-  id: "centerText",
-  afterDraw(chart) {
-    if (chart.config.type !== "doughnut") return;
-    const { ctx, chartArea } = chart;
-    const centerX = (chartArea.left + chartArea.right) / 2;
-    const centerY = (chartArea.top + chartArea.bottom) / 2;
-    const data = chart.data.datasets?.[0]?.data || [];
-    const val = data[0] ?? null;
-    ctx.save();
-    ctx.fillStyle = PALETTE.ink;
-    ctx.font = "700 20px system-ui, Arial";
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(val !== null ? `${Math.round(val)}%` : "-", centerX, centerY - 6);
-    ctx.font = "500 12px system-ui, Arial";
-    ctx.fillText("Maintainability", centerX, centerY + 14);
-    ctx.restore();
-  },
-};
-
 // ----------------- App -----------------
 export default function App() {
   // state
   const [file, setFile] = useState(null);
   const [fileSize, setFileSize] = useState("");
+  const [uploadSubset, setUploadSubset] = useState(null); // zip entry names to upload, null = whole file
+  const [progress, setProgress] = useState(null); // { phase, loaded, total, attempt, retryIn }
+  const [errorDetail, setErrorDetail] = useState(null); // parsed server error body
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState("");
@@ -183,19 +89,139 @@ export default function App() {
   // controls
   const [topN, setTopN] = useState(20); // options: 5,10,20,50,"all"
   const [showAllAggregatedBinSize, setShowAllAggregatedBinSize] = useState(20);
+  const [aggStrategy, setAggStrategy] = useState("chunk"); // key of AGGREGATIONS
   const [searchQ, setSearchQ] = useState("");
 
+  // Files table sort (primary + secondary key) and virtualized row options
+  const [sortKeys, setSortKeys] = useState(DEFAULT_SORT);
+  const [chartsFollowSort, setChartsFollowSort] = useState(false);
+  const [tableGrouped, setTableGrouped] = useState(true);
+
+  // quality gate rules (persisted in localStorage)
+  const [gateRules, setGateRules] = useState(loadRules);
+
+  // package tree selection ("" = whole project)
+  const [selectedDir, setSelectedDir] = useState("");
+
   // modal for clicked bar / group
   const [modalOpen, setModalOpen] = useState(false);
   const [modalTitle, setModalTitle] = useState("");
   const [modalPaths, setModalPaths] = useState([]);
 
+  // file detail drawer (file path) and the upload its source is read from
+  const [detailPath, setDetailPath] = useState(null);
+  const [sourceFile, setSourceFile] = useState(null);
+  const [diffPair, setDiffPair] = useState(null); // [pathA, pathB] shown side by side
+
+  // duplicate explorer selection (file path)
+  const [dupSelected, setDupSelected] = useState(null);
+
+  // A vs B: a second archive analyzed right after the first, compared file by file
+  const [compareMode, setCompareMode] = useState(false);
+  const [fileB, setFileB] = useState(null);
+  const [comparison, setComparison] = useState(null); // { baseName, headName, base, head }
+
+  // committed baseline (slim file list); with one loaded, charts and table are coloured by change since it
+  const [baseline, setBaseline] = useState(loadBaseline);
+  const [regressionsOnly, setRegressionsOnly] = useState(false);
+
+  // run history (IndexedDB); version bumps make the panel reload
+  const [activeRunId, setActiveRunId] = useState(null);
+  const [missingRunId, setMissingRunId] = useState(null); // run named by the URL but not in this browser's history
+  const [activeProject, setActiveProject] = useState("");
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [projectName, setProjectName] = useState("");
+  const [resultSource, setResultSource] = useState(""); // uploaded file / run the result came from
+  const [copied, setCopied] = useState(false);
+
+  // backend profiles; the client follows the active one unless ?mock forces the offline mock
+  const [backends, setBackends] = useState(loadProfiles);
+  const [showServers, setShowServers] = useState(false);
+  const forcedMock = useMemo(() => mockOverride(), []);
+  const activeBackend = backends.profiles.find((p) => p.id === backends.activeId) || backends.profiles[0];
+  const api = useMemo(() => createApiClient(forcedMock ?? toApiConfig(activeBackend)), [forcedMock, activeBackend]);
+
   const inputRef = useRef(null);
+  const inputBRef = useRef(null);
+  const abortRef = useRef(null);
+  const folderInputRef = useRef(null);
   const bgRef = useRef(null);
   const chartBarRef = useRef(null);
   const chartLineRef = useRef(null);
+  const chartDonutRef = useRef(null);
   const rafRef = useRef(null);
 
+  // hash route: the shareable view (see viewState.js); "#/report…" shows the print-optimized report page
+  const [route, setRoute] = useState(() => window.location.hash);
+  const reportMode = parseViewHash(route).page === "report";
+  const currentView = {
+    page: reportMode ? "report" : "main",
+    run: activeRunId ?? missingRunId,
+    topN,
+    bin: showAllAggregatedBinSize,
+    group: aggStrategy,
+    q: searchQ,
+    sort: sortKeys,
+    chartsFollowSort,
+    dir: selectedDir,
+    file: detailPath,
+  };
+  const viewRef = useRef(currentView);
+  viewRef.current = currentView;
+  const urlReady = useRef(false); // false until the initial hash has been applied
+  const hashSeq = useRef(0); // bumps per applied hash, so a slow run lookup cannot overwrite a newer view
+
+  // state from the hash; runs on load and on back/forward or edited URLs
+  async function applyViewHash(hash) {
+    const seq = ++hashSeq.current;
+    const view = parseViewHash(hash);
+    let run = null;
+    if (view.run != null && view.run !== viewRef.current.run) {
+      run = await getRun(view.run).catch(() => null);
+      if (seq !== hashSeq.current) return;
+    }
+    setRoute(hash);
+    if (run) loadRun(run);
+    else if (view.run != null && view.run !== viewRef.current.run) {
+      setMissingRunId(view.run);
+      setError(`Run #${view.run} from the link is not in this browser's history. Upload the same project or pick it under History to see this view.`);
+    } else if (view.run == null && viewRef.current.run != null) {
+      setResult(null);
+      setActiveRunId(null);
+      setMissingRunId(null);
+    }
+    setTopN(view.topN);
+    setShowAllAggregatedBinSize(view.bin);
+    setAggStrategy(view.group);
+    setSearchQ(view.q);
+    setSortKeys(view.sort);
+    setChartsFollowSort(view.chartsFollowSort);
+    setSelectedDir(view.dir);
+    setDetailPath(view.file);
+    urlReady.current = true;
+  }
+
+  // the listener is registered once and always calls the latest render's applyViewHash
+  const applyViewHashRef = useRef(applyViewHash);
+  applyViewHashRef.current = applyViewHash;
+  useEffect(() => {
+    const onHash = () => applyViewHashRef.current(window.location.hash);
+    onHash();
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  // state to the hash; switching views adds a history entry, tweaks replace the current one
+  const nextHash = viewHash(currentView);
+  useEffect(() => {
+    if (!urlReady.current) return;
+    const current = window.location.hash;
+    if (nextHash === current || (!nextHash && (current === "" || current === "#"))) return;
+    const url = `${window.location.pathname}${window.location.search}${nextHash}`;
+    if (historyMode(current, nextHash) === "push") window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  }, [nextHash]);
+
   // logo animation (unchanged)
   useEffect(() => {
     const el = document.getElementById("logo-text");
@@ -228,7 +254,7 @@ export default function App() {
       el.classList.add("logo-shimmer");
     }, spans.length * 35 + 200);
     return () => spans.forEach((s) => (s.style.animation = ""));
-  }, []);
+  }, [reportMode]);
 
   // subtle animated background (unchanged)
   useEffect(() => {
@@ -316,7 +342,11 @@ export default function App() {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
       if (canvas && container.contains(canvas)) container.removeChild(canvas);
     };
-  }, []);
+  }, [reportMode]);
+
+  useEffect(() => saveRules(gateRules), [gateRules]);
+  useEffect(() => saveProfiles(backends), [backends]);
+  useEffect(() => saveBaseline(baseline), [baseline]);
 
   // result animation
   useEffect(() => {
@@ -331,24 +361,70 @@ export default function App() {
       inputRef.current.click();
     }
   }
-  function onInputChange(e) {
-    const f = e.target.files?.[0] ?? null;
-    setFile(f);
-    setFileSize(f ? humanFileSize(f.size) : "");
+  function handleChooseFolder(e) {
+    e.stopPropagation();
+    if (folderInputRef.current) {
+      folderInputRef.current.value = null;
+      folderInputRef.current.click();
+    }
+  }
+  function handleChooseB() {
+    if (inputBRef.current) {
+      inputBRef.current.value = null;
+      inputBRef.current.click();
+    }
+  }
+  // several files or a folder are zipped client-side with their relative paths; side "B" is the compare upload
+  async function chooseFiles(items, side = "A") {
+    if (!items.length) return;
     setError("");
+    if (side === "B") {
+      try {
+        setFileB(await bundleUpload(items));
+      } catch (err) {
+        setFileB(null);
+        setError(err?.message || String(err));
+      }
+      return;
+    }
     setResult(null);
+    try {
+      const f = await bundleUpload(items);
+      setFile(f);
+      setFileSize(humanFileSize(f.size));
+    } catch (err) {
+      setFile(null);
+      setFileSize("");
+      setError(err?.message || String(err));
+    }
+  }
+  function onInputChange(e) {
+    chooseFiles([...(e.target.files || [])].map((file) => ({ file })));
+  }
+  function onInputBChange(e) {
+    chooseFiles([...(e.target.files || [])].map((file) => ({ file })), "B");
+  }
+  // walking dropped folders can fail (unreadable entries, revoked permissions); report it like a bad upload
+  async function chooseDropped(dataTransfer, side) {
+    let items;
+    try {
+      items = await itemsFromDataTransfer(dataTransfer);
+    } catch (err) {
+      setError(`Could not read the dropped files: ${err?.message || err}`);
+      return;
+    }
+    chooseFiles(items, side);
   }
   function onDrop(e) {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
-    const f = e.dataTransfer?.files?.[0] ?? null;
-    if (f) {
-      setFile(f);
-      setFileSize(humanFileSize(f.size));
-      setError("");
-      setResult(null);
-    }
+    chooseDropped(e.dataTransfer);
+  }
+  function onDropB(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    chooseDropped(e.dataTransfer, "B");
   }
   function onDragOver(e) {
     e.preventDefault();
@@ -361,57 +437,167 @@ export default function App() {
     setDragActive(false);
   }
 
+  // ---------- result ----------
+  function showResult(json, source) {
+    setResult(json);
+    setMissingRunId(null);
+    setSelectedDir("");
+    setDetailPath(null);
+    setDiffPair(null);
+    setResultSource(source || "");
+    // ensure topN reasonable when result changes
+    // normalize topN to one of the select options (5,10,20,50) or "all"
+    setTopN((prev) => {
+      if (prev === "all") return "all";
+      const total = json?.totalFiles ?? (json?.files?.length ?? 0);
+      const opts = [5, 10, 20, 50];
+      const desired = Math.min(prev || 20, Math.max(5, Math.min(50, total || prev || 20)));
+      let found = opts.find((o) => o === desired);
+      if (!found) {
+        found = opts.reduce((a, b) => (Math.abs(b - desired) < Math.abs(a - desired) ? b : a), opts[0]);
+      }
+      return found;
+    });
+  }
+
+  function loadRun(run) {
+    setError("");
+    setDupSelected(null);
+    setActiveRunId(run.id);
+    setActiveProject(projectKey(run));
+    setSourceFile(null);
+    setComparison(null);
+    try {
+      // runs saved before validation existed go through the same checks as fresh responses
+      showResult(validateAnalysis(run.result), run.fileName || run.label);
+    } catch (err) {
+      setError(`Saved run is not a valid analysis: ${err.message}`);
+    }
+  }
+
+  // ---------- baseline ----------
+  async function loadBaselineFile(f) {
+    try {
+      setBaseline(parseBaseline(await f.text(), f.name));
+      setError("");
+    } catch (err) {
+      setError(`Could not load baseline: ${err.message}`);
+    }
+  }
+
   // ---------- upload ----------
+  // one /analyze call with progress; `side` ("A"/"B") labels the progress line and skips partial results in compare mode
+  function analyzeOne(payload, signal, side) {
+    let attempt = 1;
+    return api.analyze(payload, {
+      signal,
+      onProgress: ({ phase, loaded, total }) => setProgress({ phase, loaded, total, attempt, side }),
+      onRetry: ({ attempt: n, delay, error: err }) => {
+        attempt = n + 1;
+        setProgress({ phase: "retry", attempt, retryIn: delay, reason: err.message, side });
+      },
+      onJobUpdate: (job) => {
+        setProgress({ phase: "job", job, side });
+        if (!side && job.status === "running" && job.files.length) {
+          setResult({ files: job.files.filter((f) => typeof f?.path === "string"), totalFiles: job.total, partial: true });
+        }
+      },
+    });
+  }
+
+  // saves [result, fileName] pairs in order; the last one becomes the active run
+  async function recordRuns(runs) {
+    let run = null;
+    try {
+      for (const [result, fileName] of runs) run = await saveRun({ result, fileName, project: projectName });
+      setActiveRunId(run.id);
+      setActiveProject(projectKey(run));
+    } catch (err) {
+      // history is best-effort; the analysis itself succeeded
+      setError(`Analysis done, but it could not be saved to history: ${err?.message || err}`);
+    } finally {
+      if (run) setHistoryVersion((v) => v + 1);
+    }
+  }
+
   async function upload() {
     setError("");
+    setErrorDetail(null);
     setResult(null);
+    setComparison(null);
+    setDupSelected(null);
+    setActiveRunId(null);
+    setMissingRunId(null);
     if (!file) return setError("Please choose or drop a file first.");
+    if (compareMode && !fileB) return setError("Choose the B archive to compare against.");
+    if (!compareMode && uploadSubset && !uploadSubset.length) return setError("No .java files are selected for upload.");
     setLoading(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ phase: "prepare", attempt: 1 });
     try {
-      const fd = new FormData();
-      fd.append("file", file);
-      const url = (API_BASE || "") + "/api/v1/analyze";
-      const res = await fetch(url, { method: "POST", body: fd });
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Server returned ${res.status}${txt ? ": " + txt : ""}`);
+      if (compareMode) {
+        // sequential so both uploads get the full bandwidth and the server is not doubly loaded
+        const base = await analyzeOne(file, controller.signal, "A");
+        const head = await analyzeOne(fileB, controller.signal, "B");
+        setComparison({ baseName: file.name, headName: fileB.name, base, head });
+        setSourceFile(fileB);
+        showResult(head, fileB.name);
+        await recordRuns([
+          [base, file.name],
+          [head, fileB.name],
+        ]);
+        return;
       }
-      const json = await res.json();
-      setResult(json);
-      // ensure topN reasonable when result changes
-      // normalize topN to one of the select options (5,10,20,50) or "all"
-setTopN((prev) => {
-  if (prev === "all") return "all";
-  const total = json?.totalFiles ?? (json?.files?.length ?? 0);
-  const opts = [5, 10, 20, 50];
-  const desired = Math.min(prev || 20, Math.max(5, Math.min(50, total || prev || 20)));
-  let found = opts.find((o) => o === desired);
-  if (!found) {
-    found = opts.reduce((a, b) => (Math.abs(b - desired) < Math.abs(a - desired) ? b : a), opts[0]);
-  }
-  return found;
-});
-
+      const payload = uploadSubset ? await subsetZip(file, uploadSubset) : file;
+      const json = await analyzeOne(payload, controller.signal);
+      setSourceFile(file);
+      showResult(json, file.name);
+      await recordRuns([[json, file.name]]);
     } catch (err) {
-      const m = err?.message || String(err);
-      if (m === "Failed to fetch")
-        setError(`Failed to fetch. Is backend running and CORS enabled? (${API_BASE})`);
-      else setError(m);
+      if (err instanceof ApiError) {
+        if (err.kind === "aborted") return;
+        const tries = err.attempts > 1 ? ` (after ${err.attempts} attempts)` : "";
+        setError(err.kind === "network" ? `${err.message} (${api.baseUrl})${tries}` : `${err.message}${tries}`);
+        if (err.kind === "schema") {
+          setErrorDetail({ status: "Schema", title: "Unexpected response", fields: err.issues.map((message) => ({ field: "", message })), body: err.body });
+        } else setErrorDetail(err.detail ? { status: err.status, ...err.detail, body: err.body } : null);
+      } else setError(err?.message || String(err));
     } finally {
+      abortRef.current = null;
+      setProgress(null);
       setLoading(false);
     }
   }
 
-  // ---------- chart data ----------
-  const files = result?.files ?? [];
+  // share of the current step that is done, or null when unknown
+  function progressFraction(p) {
+    if (p.phase === "upload" && p.total) return p.loaded / p.total;
+    if (p.phase === "job" && p.job.total) return Math.min(1, p.job.processed / p.job.total);
+    return null;
+  }
 
-  // allow search filtering
-  const filteredFiles =
-    searchQ && searchQ.trim()
-      ? files.filter((f) => f.path.toLowerCase().includes(searchQ.trim().toLowerCase()))
-      : files;
+  function cancelUpload() {
+    abortRef.current?.abort();
+  }
 
-  const sortedFiles = [...filteredFiles].sort((a, b) => b.cyclomatic - a.cyclomatic);
+  // ---------- chart data ----------
+  const files = useMemo(() => result?.files ?? [], [result]);
+
+  // allow scoping to a package picked in the tree, then the filter bar expression (see filterQuery.js)
+  const scopedFiles = useMemo(() => (selectedDir ? files.filter((f) => inDirectory(f.path, selectedDir)) : files), [files, selectedDir]);
+  const filter = useMemo(() => parseFilter(searchQ), [searchQ]);
+  const baselineDiff = useMemo(() => (baseline ? classifyAgainstBaseline(files, baseline.files) : null), [files, baseline]);
+  const showRegressionsOnly = regressionsOnly && !!baselineDiff;
+  const filteredFiles = useMemo(() => {
+    const matched = searchQ.trim() ? scopedFiles.filter(filter.test) : scopedFiles;
+    return showRegressionsOnly ? matched.filter((f) => baselineDiff.byPath.get(f.path)?.status === "regressed") : matched;
+  }, [scopedFiles, filter, searchQ, showRegressionsOnly, baselineDiff]);
+  const deltaFor = (paths) => (!baselineDiff ? null : paths.length === 1 ? baselineDiff.byPath.get(paths[0]) : groupDelta(paths, baselineDiff.byPath));
+
+  // table sort is user-controlled; charts keep "most complex first" unless told to follow the table
+  const tableSortedFiles = [...filteredFiles].sort(compareBy(sortKeys));
+  const sortedFiles = chartsFollowSort ? tableSortedFiles : [...filteredFiles].sort(compareBy(DEFAULT_SORT));
 
   // build display set according to topN / aggregation
   const totalFiles = sortedFiles.length;
@@ -421,14 +607,17 @@ setTopN((prev) => {
     if (totalFiles <= 60) {
       displayFiles = sortedFiles;
     } else {
-      // large: aggregate into bins
-      agg = aggregateIntoBins(sortedFiles, showAllAggregatedBinSize);
+      // large: aggregate with the chosen strategy
+      agg = aggregateFiles(sortedFiles, aggStrategy, { binSize: showAllAggregatedBinSize });
     }
   } else {
     const n = Number(topN) || 20;
     displayFiles = sortedFiles.slice(0, n);
   }
 
+  // rows for the Files table: the chart's selection, in table order (every file when aggregated)
+  const tableFiles = agg ? tableSortedFiles : chartsFollowSort ? displayFiles : [...displayFiles].sort(compareBy(sortKeys));
+
   // labels & numeric arrays used by charts:
   let labels = [];
   let cycloData = [];
@@ -443,22 +632,33 @@ setTopN((prev) => {
     agg.mapping.forEach((m, idx) => (labelToPaths[agg.labels[idx]] = m));
   } else {
     labels = displayFiles.map((f) => shortenPath(f.path));
-    cycloData = displayFiles.map((f) => f.cyclomatic ?? 0);
-    maintainData = displayFiles.map((f) => f.maintainabilityIndex ?? 0);
+    // missing metrics stay null so the charts leave a gap instead of plotting 0
+    cycloData = displayFiles.map((f) => (hasMetric(f.cyclomatic) ? f.cyclomatic : null));
+    maintainData = displayFiles.map((f) => (hasMetric(f.maintainabilityIndex) ? f.maintainabilityIndex : null));
     displayFiles.forEach((f, idx) => (labelToPaths[labels[idx]] = [f.path]));
   }
 
   // determine min/max for ramp coloring
-  const maxCyclo = Math.max(1, ...cycloData);
-  const minCyclo = Math.min(0, ...cycloData);
+  const maxCyclo = Math.max(1, ...cycloData.filter(hasMetric));
+  const minCyclo = Math.min(0, ...cycloData.filter(hasMetric));
 
-  // conditional colors (smooth ramp)
-  const barColors = cycloData.map((v) => rampColor(v, minCyclo, (minCyclo + maxCyclo) / 2, maxCyclo));
+  // conditional colors (smooth ramp), or change since the baseline when one is loaded
+  const barColors = baselineDiff
+    ? labels.map((l) => deltaColor(deltaFor(labelToPaths[l] || []), baselineDiff.maxCyclomaticChange))
+    : cycloData.map((v) => (hasMetric(v) ? rampColor(v, minCyclo, (minCyclo + maxCyclo) / 2, maxCyclo) : "#bdbdbd"));
   const barBGs = barColors.map((c) => {
     // subtle gradient-ish using rgba version
     return c.replace("rgb(", "rgba(").replace(")", ",0.85)");
   });
 
+  const diagnostics = result?.diagnostics ?? [];
+  const showDiagnostics = diagnostics.length > 0 || Object.values(missingMetrics(files)).some((n) => n > 0);
+
+  // quality gate verdict is computed over the whole result, independent of search / Top N
+  const gateEval = evaluateGates(files, gateRules);
+  const isViolating = (paths) => paths.some((p) => gateEval.violating.has(p));
+  const barViolations = labels.map((l) => isViolating(labelToPaths[l] || []));
+
   // change to horizontal bar when too many labels or labels long
   const forceHorizontal = labels.length > 14 || labels.some((l) => l.length > 20);
 
@@ -470,8 +670,8 @@ setTopN((prev) => {
         label: "Cyclomatic",
         data: cycloData,
         backgroundColor: barBGs,
-        borderColor: barColors,
-        borderWidth: 1,
+        borderColor: barColors.map((c, i) => (barViolations[i] ? "#b30e36" : c)),
+        borderWidth: barViolations.map((v) => (v ? 3 : 1)),
         borderRadius: 8,
         barPercentage: 0.68,
         categoryPercentage: 0.72,
@@ -490,7 +690,9 @@ setTopN((prev) => {
       legend: { display: false },
       title: {
         display: true,
-        text: "Cyclomatic Complexity per file",
+        text: `${agg ? `Mean Cyclomatic Complexity — ${AGGREGATIONS[agg.strategy].label.toLowerCase()}` : "Cyclomatic Complexity per file"}${
+          baselineDiff ? " · coloured by change since baseline" : ""
+        }`,
         font: { size: 14, weight: 700 },
       },
       tooltip: {
@@ -507,15 +709,22 @@ setTopN((prev) => {
           title: (items) => {
             const label = items[0].label;
             const mapped = labelToPaths[label] || [];
-            if (mapped.length > 1) {
-              return `${mapped.length} files — ${mapped.slice(0, 8).join(", ")}${mapped.length > 8 ? "…" : ""}`;
+            if (agg) {
+              return `${agg.titles[items[0].dataIndex]} · ${mapped.length} files — ${mapped.slice(0, 8).join(", ")}${mapped.length > 8 ? "…" : ""}`;
             }
             // mapped[0] exists for single files
             return mapped[0] || label;
           },
           label: (ctx) => {
             const val = ctx.raw;
-            return `${ctx.dataset.label}: ${val}`;
+            const line = `${ctx.dataset.label}: ${val ?? "n/a"}`;
+            const lines = agg ? [`${line} (mean)`, `range ${formatSummary(agg.stats[ctx.dataIndex].cyclomatic)}`] : [line];
+            const entry = deltaFor(labelToPaths[ctx.label] || []);
+            if (entry) {
+              const d = entry.delta.cyclomatic;
+              lines.push(`vs baseline: ${entry.status}${d ? ` (${d > 0 ? "+" : ""}${d}${agg ? " total" : ""})` : ""}`);
+            }
+            return lines;
           },
         },
       },
@@ -583,9 +792,10 @@ setTopN((prev) => {
           title: (items) => {
             const label = items[0].label;
             const mapped = labelToPaths[label] || [];
-            return mapped.length > 1 ? `${mapped.length} files` : mapped[0] || label;
+            return agg ? `${agg.titles[items[0].dataIndex]} · ${mapped.length} files` : mapped[0] || label;
           },
-          label: (ctx) => `Score: ${ctx.formattedValue}`,
+          label: (ctx) =>
+            agg ? [`Score: ${ctx.formattedValue} (mean)`, `range ${formatSummary(agg.stats[ctx.dataIndex].maintainabilityIndex)}`] : `Score: ${ctx.formattedValue}`,
         },
       },
     },
@@ -615,13 +825,13 @@ setTopN((prev) => {
     animation: { duration: 600 },
   };
 
-  const avgMaintain =
-    (maintainData.length ? maintainData.reduce((a, b) => a + b, 0) / maintainData.length : 0) || 0;
+  // averaged over the files themselves (not bin averages); files without a score are left out
+  const avgMaintain = meanOf((agg ? sortedFiles : displayFiles).map((f) => f.maintainabilityIndex));
   const donutData = {
     labels: ["Avg", "Remaining"],
     datasets: [
       {
-        data: [Number(avgMaintain.toFixed(0)), Math.max(0, 100 - Math.round(avgMaintain))],
+        data: avgMaintain === null ? [null, 100] : [Number(avgMaintain.toFixed(0)), Math.max(0, 100 - Math.round(avgMaintain))],
         backgroundColor: [PALETTE.teal, "rgba(0,0,0,0.06)"],
         hoverOffset: 6,
       },
@@ -635,6 +845,10 @@ setTopN((prev) => {
     animation: { duration: 600 },
   };
 
+  // min / median / max for the group shown in the drill-down modal
+  const modalPathSet = new Set(modalPaths);
+  const modalStats = modalOpen && modalPaths.length > 1 ? summarizeFiles(files.filter((f) => modalPathSet.has(f.path))) : null;
+
   // chartHeight based on number of displayed items
   const itemCount = labels.length || 1;
   const baseHeight = 240;
@@ -642,12 +856,48 @@ setTopN((prev) => {
   const chartHeight = Math.min(1200, Math.max(baseHeight, Math.ceil(itemCount * perItem) + 120));
   const tableMaxHeight = Math.min(900, 160 + Math.min(700, totalFiles * 26));
 
+  // ---------- export ----------
+  // CSV is the table as shown and the only export Top N limits; JSON and Markdown cover every filtered
+  // file, so the Markdown totals describe the filtered project and a JSON export is a complete baseline
+  const exportFiles = tableFiles;
+  const exportName = exportBaseName(resultSource);
+
+  function markdownReport() {
+    return toMarkdown(tableSortedFiles, { title: `CodaLens report — ${exportName}`, searchQ, source: resultSource });
+  }
+
+  function exportAs(kind) {
+    if (kind === "csv") downloadText(`${exportName}-files.csv`, toCsv(exportFiles), "text/csv");
+    if (kind === "json")
+      downloadText(
+        `${exportName}-analysis.json`,
+        toJson(tableSortedFiles, { source: resultSource, exportedAt: new Date().toISOString(), filter: { searchQ, dir: selectedDir } }),
+        "application/json"
+      );
+    if (kind === "md") downloadText(`${exportName}-report.md`, markdownReport(), "text/markdown");
+  }
+
+  async function copyMarkdown() {
+    try {
+      await navigator.clipboard.writeText(markdownReport());
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1600);
+    } catch (err) {
+      setError(`Could not copy to clipboard: ${err?.message || err}`);
+    }
+  }
+
   // ---------- interactions ----------
+  function openModal(title, paths) {
+    setModalTitle(title);
+    setModalPaths(paths);
+    setModalOpen(true);
+  }
+
   function openModalForLabel(label) {
     const mapped = labelToPaths[label] || [];
-    setModalTitle(label.includes("–") ? `Group ${label}` : label);
-    setModalPaths(mapped);
-    setModalOpen(true);
+    if (!agg && mapped.length === 1) return setDetailPath(mapped[0]);
+    openModal(agg ? agg.titles[agg.labels.indexOf(label)] : label, mapped);
   }
 
   function handleBarClick(evt, elements) {
@@ -666,7 +916,22 @@ setTopN((prev) => {
     openModalForLabel(label);
   }
 
+  function downloadChart(ref, name) {
+    downloadChartPng(ref.current, `${exportName}-${name}.png`);
+  }
+
   // ---------- render ----------
+  if (reportMode) {
+    return (
+      <ReportView
+        source={resultSource}
+        files={result ? tableSortedFiles : []}
+        charts={{ barData, barOptions, barHeight: chartHeight, lineData, lineOptions, donutData, donutOptions }}
+        onBack={() => (window.location.hash = viewHash({ ...currentView, page: "main" }))}
+      />
+    );
+  }
+
   return (
     <div
       style={{
@@ -708,7 +973,23 @@ setTopN((prev) => {
             </div>
           </div>
 
-          <div className="header-buttons" style={{ display: "flex", gap: 10 }}>
+          <div className="header-buttons" style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            {api.mode === "mock" && (
+              <span
+                title={forcedMock ? "Analyses are computed in the browser from fixtures; remove ?mock from the URL to use the backend" : "Analyses are computed in the browser from fixtures"}
+                style={{ padding: "4px 10px", borderRadius: 999, background: PALETTE.yellow, color: PALETTE.ink, fontSize: 12, fontWeight: 800 }}
+              >
+                Mock backend
+              </span>
+            )}
+            <button onClick={() => setShowServers(true)} title={api.mode === "mock" ? "Offline mock" : api.baseUrl} style={buttonStyle("#ffffff")}>
+              Server: {forcedMock ? "mock" : activeBackend.name}
+            </button>
+            {result && (
+              <button onClick={() => (window.location.hash = viewHash({ ...currentView, page: "report" }))} style={buttonStyle(PALETTE.yellow)}>
+                Report
+              </button>
+            )}
             <button onClick={() => window.location.reload()} style={buttonStyle(PALETTE.teal)}>
               Refresh
             </button>
@@ -734,9 +1015,12 @@ setTopN((prev) => {
               id="fileInput"
               type="file"
               accept=".java,application/zip"
+              multiple
               onChange={onInputChange}
               style={{ display: "none" }}
             />
+            <input ref={folderInputRef} type="file" webkitdirectory="" onChange={onInputChange} style={{ display: "none" }} />
+            <input ref={inputBRef} type="file" accept=".java,application/zip" multiple onChange={onInputBChange} style={{ display: "none" }} />
 
             <div
               onClick={handleChooseClick}
@@ -769,23 +1053,103 @@ setTopN((prev) => {
                   flex: 1,
                 }}
               >
-                {file ? file.name : "Choose file or drop here..."}
+                {compareMode && <span style={{ color: PALETTE.muted }}>A: </span>}
+                {file ? file.name : "Choose files or drop here..."}
               </div>
+              <button
+                onClick={handleChooseFolder}
+                title="Upload a whole source folder"
+                style={{ padding: "2px 8px", fontSize: 12, flexShrink: 0, marginLeft: 8 }}
+              >
+                Folder…
+              </button>
               <div style={{ color: PALETTE.muted, fontSize: 13, flexShrink: 0, marginLeft: 8 }}>{fileSize || "ZIP or .java"}</div>
             </div>
 
+            {compareMode ? (
+              <>
+                <div
+                  onClick={handleChooseB}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={onDropB}
+                  style={{
+                    padding: 12,
+                    borderRadius: 10,
+                    background: "#fff",
+                    border: "1px solid rgba(0,0,0,0.08)",
+                    cursor: "pointer",
+                    display: "flex",
+                    justifyContent: "space-between",
+                    marginBottom: 6,
+                    fontSize: 15,
+                    fontWeight: fileB ? 700 : 600,
+                  }}
+                >
+                  <div style={{ whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", flex: 1 }}>
+                    <span style={{ color: PALETTE.muted }}>B: </span>
+                    {fileB ? fileB.name : "Choose the archive to compare..."}
+                  </div>
+                  <div style={{ color: PALETTE.muted, fontSize: 13, flexShrink: 0, marginLeft: 8 }}>{fileB ? humanFileSize(fileB.size) : "ZIP or .java"}</div>
+                </div>
+                <div style={{ fontSize: 12, color: PALETTE.muted, marginBottom: 12 }}>
+                  A is the baseline (e.g. main), B the change (e.g. a feature branch). Both archives are uploaded whole.
+                </div>
+              </>
+            ) : (
+              <ZipSelection file={file} onChange={setUploadSubset} />
+            )}
+
+            <label style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 13, marginBottom: 12 }}>
+              <input type="checkbox" checked={compareMode} disabled={loading} onChange={(e) => setCompareMode(e.target.checked)} />
+              Compare two uploads (A vs B)
+            </label>
+
+            <input
+              placeholder="Project name (optional, groups runs for trends)"
+              value={projectName}
+              onChange={(e) => setProjectName(e.target.value)}
+              style={{
+                width: "100%",
+                boxSizing: "border-box",
+                padding: "8px 10px",
+                borderRadius: 8,
+                border: "1px solid rgba(0,0,0,0.06)",
+                background: "#fff",
+                fontSize: 13,
+                marginBottom: 12,
+              }}
+            />
+
             <div className="upload-buttons" style={{ display: "flex", gap: 10 }}>
               <button onClick={upload} disabled={loading} style={{ ...buttonStyle(PALETTE.teal), flex: 1 }}>
-                {loading ? "Analyzing..." : "Analyze"}
+                {loading ? "Analyzing..." : compareMode ? "Analyze A vs B" : "Analyze"}
               </button>
+              {loading && (
+                <button onClick={cancelUpload} style={buttonStyle(PALETTE.pink)}>
+                  Cancel
+                </button>
+              )}
               <button
+                disabled={loading}
                 onClick={() => {
                   setFile(null);
                   setFileSize("");
                   setResult(null);
                   setError("");
+                  setErrorDetail(null);
                   setSearchQ("");
+                  setSelectedDir("");
+                  setDupSelected(null);
+                  setDetailPath(null);
+                  setDiffPair(null);
+                  setSourceFile(null);
+                  setFileB(null);
+                  setComparison(null);
+                  setActiveRunId(null);
+                  setMissingRunId(null);
                   if (inputRef.current) inputRef.current.value = null;
+                  if (inputBRef.current) inputBRef.current.value = null;
+                  if (folderInputRef.current) folderInputRef.current.value = null;
                 }}
                 style={buttonStyle(PALETTE.yellow)}
               >
@@ -793,16 +1157,109 @@ setTopN((prev) => {
               </button>
             </div>
 
+            {progress && (
+              <div style={{ marginTop: 10, fontSize: 12, color: PALETTE.ink }}>
+                {progress.phase === "job" && (
+                  <div style={{ display: "flex", gap: 3, marginBottom: 6 }}>
+                    {JOB_PHASES.map(([id, label], i) => {
+                      const current = JOB_PHASES.findIndex(([p]) => p === progress.job.phase);
+                      return (
+                        <div
+                          key={id}
+                          title={label}
+                          style={{
+                            flex: 1,
+                            fontSize: 10,
+                            textAlign: "center",
+                            padding: "2px 0",
+                            borderRadius: 4,
+                            background: i < current ? PALETTE.teal : i === current ? PALETTE.yellow : "rgba(0,0,0,0.05)",
+                            color: i < current ? "#fff" : PALETTE.ink,
+                            fontWeight: i === current ? 800 : 600,
+                            overflow: "hidden",
+                            whiteSpace: "nowrap",
+                          }}
+                        >
+                          {label}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+                <div style={{ height: 8, borderRadius: 4, background: "rgba(0,0,0,0.06)", overflow: "hidden" }}>
+                  <div
+                    className={progressFraction(progress) === null ? "progress-indeterminate" : ""}
+                    style={{
+                      height: "100%",
+                      width: progressFraction(progress) === null ? "35%" : `${progressFraction(progress) * 100}%`,
+                      background: progress.phase === "retry" ? PALETTE.yellow : PALETTE.teal,
+                      transition: "width 160ms",
+                    }}
+                  />
+                </div>
+                <div style={{ marginTop: 4, color: PALETTE.muted }}>
+                  {progress.side && <strong>{progress.side}: </strong>}
+                  {progress.phase === "prepare" && "Preparing upload…"}
+                  {progress.phase === "upload" &&
+                    (progress.total
+                      ? `Uploading ${Math.round((progress.loaded / progress.total) * 100)}% (${humanFileSize(progress.loaded)} of ${humanFileSize(progress.total)})`
+                      : `Uploading ${humanFileSize(progress.loaded || 0)}…`)}
+                  {progress.phase === "server" && "Uploaded — analyzing on the server…"}
+                  {progress.phase === "job" &&
+                    `${phaseLabel(progress.job.phase)}${progress.job.total ? ` · ${progress.job.processed} of ${progress.job.total} files` : ""}`}
+                  {progress.phase === "retry" && `${progress.reason} — retrying in ${Math.ceil(progress.retryIn / 1000)}s`}
+                  {progress.attempt > 1 && ` (attempt ${progress.attempt} of ${MAX_RETRIES + 1})`}
+                </div>
+              </div>
+            )}
+
+            <div style={{ marginTop: 10, fontSize: 12, color: PALETTE.muted }}>
+              Timeout {activeBackend.timeoutS}s · network errors and 5xx are retried {MAX_RETRIES}× ·{" "}
+              <button
+                onClick={() => setShowServers(true)}
+                disabled={loading}
+                style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", color: PALETTE.teal, fontWeight: 800, fontSize: 12 }}
+              >
+                change
+              </button>
+            </div>
+
             {error && (
               <div style={{ marginTop: 10, color: "#b30e0e", fontWeight: 600 }}>
                 {error}
               </div>
             )}
+            {errorDetail && (
+              <div style={{ marginTop: 6, fontSize: 12, background: "#fff5f6", border: "1px solid rgba(246,65,108,0.25)", borderRadius: 8, padding: 8, color: PALETTE.ink }}>
+                <div style={{ fontWeight: 800 }}>
+                  {errorDetail.status} · {errorDetail.title}
+                </div>
+                {errorDetail.path && <div style={{ color: PALETTE.muted }}>at {errorDetail.path}</div>}
+                {errorDetail.fields.length > 0 && (
+                  <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                    {errorDetail.fields.map((f, i) => (
+                      <li key={i}>
+                        {f.field && <b>{f.field}: </b>}
+                        {f.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {errorDetail.traceId && <div style={{ color: PALETTE.muted, marginTop: 4 }}>trace id {errorDetail.traceId}</div>}
+                {errorDetail.body && (
+                  <details style={{ marginTop: 4 }}>
+                    <summary style={{ cursor: "pointer" }}>Raw response</summary>
+                    <pre style={{ whiteSpace: "pre-wrap", wordBreak: "break-all", maxHeight: 160, overflow: "auto", margin: "4px 0 0" }}>{errorDetail.body}</pre>
+                  </details>
+                )}
+              </div>
+            )}
 
             <div style={{ marginTop: 12, color: PALETTE.ink, fontSize: 13 }}>
               <div style={{ fontWeight: 700, marginBottom: 6 }}>Tips:</div>
               <ul style={{ marginTop: 0 }}>
                 <li>ZIP should contain .java files under any folder</li>
+                <li>Several .java files or a whole folder are zipped in the browser, keeping their paths</li>
                 <li>Large projects may take a few seconds</li>
               </ul>
             </div>
@@ -821,6 +1278,9 @@ setTopN((prev) => {
               <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
                 <div style={{ color: PALETTE.ink, fontSize: 14 }}>
                   Total files: <strong>{result?.totalFiles ?? totalFiles}</strong>
+                  {result?.partial && (
+                    <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 700, color: PALETTE.pink }}>partial · {files.length} analyzed so far</span>
+                  )}
                 </div>
 
                 {/* Top N selector */}
@@ -861,36 +1321,34 @@ setTopN((prev) => {
                       border: "1px solid rgba(0,0,0,0.04)",
                     }}
                   >
-                    <label style={{ fontSize: 13, fontWeight: 700 }}>Bin</label>
-                    <select
-                      value={showAllAggregatedBinSize}
-                      onChange={(e) => setShowAllAggregatedBinSize(Number(e.target.value))}
-                      style={{ padding: "6px 8px", borderRadius: 6 }}
-                    >
-                      <option value={10}>10</option>
-                      <option value={20}>20</option>
-                      <option value={50}>50</option>
+                    <label style={{ fontSize: 13, fontWeight: 700 }}>Group</label>
+                    <select value={aggStrategy} onChange={(e) => setAggStrategy(e.target.value)} style={{ padding: "6px 8px", borderRadius: 6 }}>
+                      {Object.entries(AGGREGATIONS).map(([key, { label }]) => (
+                        <option key={key} value={key}>
+                          {label}
+                        </option>
+                      ))}
                     </select>
+                    {aggStrategy === "chunk" && (
+                      <select
+                        value={showAllAggregatedBinSize}
+                        onChange={(e) => setShowAllAggregatedBinSize(Number(e.target.value))}
+                        title="Files per group"
+                        style={{ padding: "6px 8px", borderRadius: 6 }}
+                      >
+                        <option value={10}>10</option>
+                        <option value={20}>20</option>
+                        <option value={50}>50</option>
+                      </select>
+                    )}
                     <div style={{ fontSize: 12, color: PALETTE.muted }}>(aggregated groups)</div>
                   </div>
                 )}
               </div>
             </div>
 
-            <div style={{ marginTop: 12, display: "flex", gap: 8, alignItems: "center" }}>
-              <input
-                placeholder="Search files (path or filename)..."
-                value={searchQ}
-                onChange={(e) => setSearchQ(e.target.value)}
-                style={{
-                  flex: 1,
-                  padding: "8px 10px",
-                  borderRadius: 8,
-                  border: "1px solid rgba(0,0,0,0.06)",
-                  background: "#fff",
-                  fontSize: 13,
-                }}
-              />
+            <div style={{ marginTop: 12, display: "flex", gap: 8, alignItems: "flex-start" }}>
+              <FilterBar value={searchQ} onChange={setSearchQ} error={filter.error} />
               <div
                 style={{
                   background: "#fff",
@@ -927,6 +1385,77 @@ setTopN((prev) => {
             {result && (
               <>
                 <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 12 }}>
+                  {comparison && (
+                    <div
+                      style={{
+                        gridColumn: "1 / -1",
+                        padding: 12,
+                        borderRadius: 12,
+                        background: "#fff",
+                        border: "1px solid rgba(0,0,0,0.06)",
+                        boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                      }}
+                    >
+                      <ComparisonPanel comparison={comparison} onOpenFile={setDetailPath} onClose={() => setComparison(null)} />
+                    </div>
+                  )}
+
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      padding: 12,
+                      borderRadius: 12,
+                      background: "#fff",
+                      border: "1px solid rgba(0,0,0,0.06)",
+                      boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                    }}
+                  >
+                    <BaselineBar
+                      baseline={baseline}
+                      summary={baselineDiff?.summary}
+                      regressionsOnly={regressionsOnly}
+                      onRegressionsOnly={setRegressionsOnly}
+                      onLoadFile={loadBaselineFile}
+                      onUseCurrent={() => setBaseline(baselineFrom(result, resultSource || "current result"))}
+                      onClear={() => {
+                        setBaseline(null);
+                        setRegressionsOnly(false);
+                      }}
+                    />
+                  </div>
+
+                  <div style={{ gridColumn: "1 / -1" }}>
+                    <QualityGatesPanel rules={gateRules} onChange={setGateRules} evaluation={gateEval} onSelectFile={setDetailPath} />
+                  </div>
+
+                  {showDiagnostics && (
+                    <div
+                      style={{
+                        gridColumn: "1 / -1",
+                        padding: 12,
+                        borderRadius: 12,
+                        background: "#fff",
+                        border: "1px solid rgba(0,0,0,0.06)",
+                        boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                      }}
+                    >
+                      <DiagnosticsPanel diagnostics={diagnostics} files={files} exportName={exportName} />
+                    </div>
+                  )}
+
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      padding: 12,
+                      borderRadius: 12,
+                      background: "#fff",
+                      border: "1px solid rgba(0,0,0,0.06)",
+                      boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                    }}
+                  >
+                    <PackageTree files={files} selected={selectedDir} onSelect={setSelectedDir} />
+                  </div>
+
                   <div
                     style={{
                       padding: 12,
@@ -948,6 +1477,9 @@ setTopN((prev) => {
                     </div>
                     <div style={{ marginTop: 10, display: "flex", gap: 8, alignItems: "center", justifyContent: "flex-end" }}>
                       <div style={{ fontSize: 12, color: PALETTE.muted }}>Tip: click a bar to view files in that group</div>
+                      <button onClick={() => downloadChart(chartBarRef, "cyclomatic")} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+                        PNG
+                      </button>
                     </div>
                   </div>
 
@@ -966,16 +1498,63 @@ setTopN((prev) => {
                   >
                     <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
                       <div style={{ width: 140, height: 140 }}>
-                        <Doughnut data={donutData} options={donutOptions} plugins={[centerTextPlugin]} />
+                        <Doughnut ref={chartDonutRef} data={donutData} options={donutOptions} plugins={[centerTextPlugin]} />
                       </div>
                       <div style={{ flex: 1, display: "flex", flexDirection: "column" }}>
                         <div style={{ fontWeight: 800, fontSize: 14 }}>Avg Maintainability</div>
-                        <div style={{ color: "#5b5b57", marginTop: 8, fontSize: 14 }}>{avgMaintain ? avgMaintain.toFixed(1) : "-"} / 100</div>
+                        <div style={{ color: "#5b5b57", marginTop: 8, fontSize: 14 }}>{avgMaintain !== null ? avgMaintain.toFixed(1) : "n/a"} / 100</div>
                         <div style={{ marginTop: 12, height: chartHeight - 140 }}>
                           <Line ref={chartLineRef} data={lineData} options={lineOptions} onClick={(evt, elements) => handleLineClick(evt, elements)} />
                         </div>
                       </div>
                     </div>
+                    <div style={{ marginTop: "auto", display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                      <button onClick={() => downloadChart(chartDonutRef, "maintainability-avg")} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+                        Donut PNG
+                      </button>
+                      <button onClick={() => downloadChart(chartLineRef, "maintainability")} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+                        Line PNG
+                      </button>
+                    </div>
+                  </div>
+
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      padding: 12,
+                      borderRadius: 12,
+                      background: "#fff",
+                      border: "1px solid rgba(0,0,0,0.06)",
+                      boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                    }}
+                  >
+                    <HierarchyView files={filteredFiles} onSelectFile={setDetailPath} />
+                  </div>
+
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      padding: 12,
+                      borderRadius: 12,
+                      background: "#fff",
+                      border: "1px solid rgba(0,0,0,0.06)",
+                      boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                    }}
+                  >
+                    <QuadrantChart files={filteredFiles} onSelectPaths={openModal} onOpenFile={setDetailPath} />
+                  </div>
+
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      padding: 12,
+                      borderRadius: 12,
+                      background: "#fff",
+                      border: "1px solid rgba(0,0,0,0.06)",
+                      boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                    }}
+                  >
+                    <StatisticsPanel files={files} filteredFiles={filteredFiles} onSelectPaths={openModal} />
                   </div>
 
                   <div
@@ -990,61 +1569,67 @@ setTopN((prev) => {
                   >
                     <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
                       <h4 style={{ marginTop: 0 }}>Files</h4>
-                      <div style={{ color: PALETTE.muted, fontSize: 13 }}>Filtered: {filteredFiles.length}</div>
-                    </div>
-                    <div style={{ overflowX: "auto", maxHeight: tableMaxHeight, overflowY: "auto" }}>
-                      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
-                        <thead>
-                          <tr style={{ textAlign: "left", color: PALETTE.ink }}>
-                            <th style={{ padding: 10 }}>Path</th>
-                            <th style={{ padding: 10 }}>Lines</th>
-                            <th style={{ padding: 10 }}>Cyclomatic</th>
-                            <th style={{ padding: 10 }}>Maintainability</th>
-                            <th style={{ padding: 10 }}>Duplicates</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {agg
-                            ? agg.labels.map((lbl, idx) => {
-                                const paths = agg.mapping[idx] || [];
-                                const cyclo = agg.cyclo[idx];
-                                const maintain = agg.maintain[idx];
-                                return (
-                                  <tr key={lbl} style={{ borderTop: "1px solid rgba(0,0,0,0.04)" }}>
-                                    <td style={{ padding: 10, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", maxWidth: 600 }}>
-                                      <button
-                                        onClick={() => openModalForLabel(lbl)}
-                                        style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0, fontWeight: 700, color: PALETTE.ink }}
-                                        title="Click to expand"
-                                      >
-                                        Group {lbl} ({paths.length} files)
-                                      </button>
-                                      <div style={{ fontSize: 12, color: PALETTE.muted, marginTop: 6 }}>{paths[0]}{paths.length>1 ? "…" : ""}</div>
-                                    </td>
-                                    <td style={{ padding: 10 }}>{paths.length}</td>
-                                    <td style={{ padding: 10 }}>{cyclo}</td>
-                                    <td style={{ padding: 10 }}>{maintain}</td>
-                                    <td style={{ padding: 10 }}>—</td>
-                                  </tr>
-                                );
-                              })
-                            : (displayFiles.length ? displayFiles : sortedFiles).map((f) => (
-                                <tr key={f.path} style={{ borderTop: "1px solid rgba(0,0,0,0.04)" }}>
-                                  <td style={{ padding: 10, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", maxWidth: 600 }}>
-                                    <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                                      <div style={{ width: 10, height: 10, borderRadius: 3, background: rampColor(f.cyclomatic || 0, minCyclo, (minCyclo + maxCyclo) / 2, maxCyclo) }} />
-                                      <div style={{ fontWeight: 700 }}>{f.path}</div>
-                                    </div>
-                                  </td>
-                                  <td style={{ padding: 10 }}>{f.lines}</td>
-                                  <td style={{ padding: 10 }}>{f.cyclomatic}</td>
-                                  <td style={{ padding: 10 }}>{f.maintainabilityIndex}</td>
-                                  <td style={{ padding: 10 }}>{f.duplicatedWith?.length || 0}</td>
-                                </tr>
-                              ))}
-                        </tbody>
-                      </table>
+                      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                        <label style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 12, color: PALETTE.ink }} title="Charts pick and order files using the table sort">
+                          <input type="checkbox" checked={chartsFollowSort} onChange={(e) => setChartsFollowSort(e.target.checked)} />
+                          Charts follow sort
+                        </label>
+                        {agg && (
+                          <label style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 12, color: PALETTE.ink }}>
+                            <input type="checkbox" checked={tableGrouped} onChange={(e) => setTableGrouped(e.target.checked)} />
+                            Group rows
+                          </label>
+                        )}
+                        <div style={{ color: PALETTE.muted, fontSize: 13, marginRight: 6 }}>Filtered: {filteredFiles.length}</div>
+                        <span style={{ fontSize: 12, fontWeight: 700, color: PALETTE.ink }}>
+                          Export <span style={{ fontWeight: 400, color: PALETTE.muted }}>(Top N applies to CSV only)</span>:
+                        </span>
+                        <button onClick={() => exportAs("csv")} title={`${exportFiles.length} rows as shown in the table`} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+                          CSV
+                        </button>
+                        <button onClick={() => exportAs("json")} title={`All ${tableSortedFiles.length} filtered files`} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+                          JSON
+                        </button>
+                        <button onClick={() => exportAs("md")} title={`Totals over all ${tableSortedFiles.length} filtered files, 20 most complex listed`} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+                          Markdown
+                        </button>
+                        <button onClick={copyMarkdown} style={{ ...buttonStyle(PALETTE.teal), padding: "4px 10px", fontSize: 12 }}>
+                          {copied ? "Copied!" : "Copy MD"}
+                        </button>
+                      </div>
                     </div>
+                    <FilesTable
+                      files={tableFiles}
+                      groups={agg && tableGrouped ? agg : null}
+                      sortKeys={sortKeys}
+                      onSort={(key, secondary) => setSortKeys((prev) => nextSort(prev, key, secondary))}
+                      onOpenGroup={openModalForLabel}
+                      onShowDuplicates={setDupSelected}
+                      onOpenFile={setDetailPath}
+                      colorFor={(f) =>
+                        baselineDiff
+                          ? deltaColor(baselineDiff.byPath.get(f.path), baselineDiff.maxCyclomaticChange)
+                          : hasMetric(f.cyclomatic)
+                          ? rampColor(f.cyclomatic, minCyclo, (minCyclo + maxCyclo) / 2, maxCyclo)
+                          : "#bdbdbd"
+                      }
+                      deltaFor={deltaFor}
+                      maxHeight={tableMaxHeight}
+                      isFlagged={isViolating}
+                    />
+                  </div>
+
+                  <div
+                    style={{
+                      gridColumn: "1 / -1",
+                      padding: 12,
+                      borderRadius: 12,
+                      background: "#fff",
+                      border: "1px solid rgba(0,0,0,0.06)",
+                      boxShadow: "0 8px 30px rgba(6,22,18,0.04)",
+                    }}
+                  >
+                    <DuplicatesPanel files={filteredFiles} selected={dupSelected} onSelect={setDupSelected} onCompare={(a, b) => setDiffPair([a, b])} />
                   </div>
                 </div>
               </>
@@ -1052,6 +1637,30 @@ setTopN((prev) => {
           </section>
         </main>
 
+        <section
+          style={{
+            marginTop: 18,
+            padding: 14,
+            borderRadius: 12,
+            background: CARD_BG,
+            border: "1px solid rgba(0,0,0,0.08)",
+          }}
+        >
+          <HistoryPanel version={historyVersion} activeRunId={activeRunId} onLoadRun={loadRun} />
+        </section>
+
+        <section
+          style={{
+            marginTop: 18,
+            padding: 14,
+            borderRadius: 12,
+            background: CARD_BG,
+            border: "1px solid rgba(0,0,0,0.08)",
+          }}
+        >
+          <TrendsPanel version={historyVersion} activeRunId={activeRunId} activeProject={activeProject} onLoadRun={loadRun} />
+        </section>
+
         <footer style={{ marginTop: 18, textAlign: "center", color: "#27413f" }}>
           Made with ❤️ by&nbsp;
           <a href="https://github.com/shubhmdalvi" target="_blank" rel="noopener noreferrer" style={{ color: "#27413f", textDecoration: "underline", fontWeight: "bold" }}>
@@ -1095,11 +1704,23 @@ setTopN((prev) => {
               </button>
             </div>
             <div style={{ marginTop: 12 }}>
-              <div style={{ fontSize: 13, color: PALETTE.muted, marginBottom: 8 }}>{modalPaths.length} file(s)</div>
+              <div style={{ fontSize: 13, color: PALETTE.muted, marginBottom: 8 }}>
+                {modalPaths.length} file(s)
+                {modalStats && ` · cyclomatic ${formatSummary(modalStats.cyclomatic)} · maintainability ${formatSummary(modalStats.maintainabilityIndex)}`}
+              </div>
               <ul style={{ marginTop: 6 }}>
                 {modalPaths.map((p, i) => (
                   <li key={p} style={{ padding: "6px 0", borderBottom: "1px dashed rgba(0,0,0,0.04)", fontSize: 13 }}>
-                    {i + 1}. {p}
+                    {i + 1}.{" "}
+                    <button
+                      onClick={() => {
+                        setModalOpen(false);
+                        setDetailPath(p);
+                      }}
+                      style={{ background: "transparent", border: "none", padding: 0, color: PALETTE.ink, fontWeight: 600, textAlign: "left", wordBreak: "break-all" }}
+                    >
+                      {p}
+                    </button>
                   </li>
                 ))}
               </ul>
@@ -1108,6 +1729,21 @@ setTopN((prev) => {
         </div>
       )}
 
+      {detailPath && (
+        <FileDrawer
+          path={detailPath}
+          files={files}
+          sourceFile={sourceFile}
+          covered={Boolean(diffPair)}
+          onClose={() => setDetailPath(null)}
+          onOpenFile={setDetailPath}
+          onCompare={(p) => setDiffPair([detailPath, p])}
+        />
+      )}
+
+      {diffPair && <DuplicateDiff pair={diffPair} files={files} sourceFile={sourceFile} onClose={() => setDiffPair(null)} />}
+      {showServers && <BackendSettings state={backends} onChange={setBackends} locked={Boolean(forcedMock)} onClose={() => setShowServers(false)} />}
+
       <style>{`
         /* logo and shimmer */
         @keyframes logo-breath { from { transform: translateY(0) scale(1); } to { transform: translateY(-2px) scale(1.02); } }
@@ -1120,6 +1756,10 @@ setTopN((prev) => {
         }
         @keyframes shimmer { 0% { background-position: -140% 0 } 100% { background-position: 140% 0 } }
 
+        /* indeterminate progress while the server analyzes */
+        @keyframes progress-slide { 0% { transform: translateX(-100%) } 100% { transform: translateX(290%) } }
+        .progress-indeterminate { animation: progress-slide 1.2s ease-in-out infinite; }
+
         /* buttons */
         button { transition: transform .12s ease, box-shadow .12s ease, filter .12s ease; font-weight: 700; border-radius: 10px; padding: 8px 12px; border: 1px solid rgba(0,0,0,0.08); cursor: pointer; background: #fff; }
         button:focus { outline: 3px solid rgba(0,0,0,0.06); outline-offset: 2px; }
@@ -1139,19 +1779,3 @@ setTopN((prev) => {
     </div>
   );
 }
-
-// ----------------- button style helper -----------------
-function buttonStyle(color) {
-  const darkText = "#18221f";
-  const lightText = "#ffffff";
-  const useLight = isDarkish(color);
-  return {
-    background: color,
-    color: useLight ? lightText : darkText,
-    border: "1px solid rgba(0,0,0,0.06)",
-    borderRadius: 10,
-    padding: "8px 12px",
-    fontWeight: 700,
-    cursor: "pointer",
-  };
-}
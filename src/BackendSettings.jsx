@@ -0,0 +1,193 @@
+// BackendSettings.jsx — modal for managing backend profiles and checking that a server answers
+import React, { useEffect, useState } from "react";
+import { PALETTE, buttonStyle } from "./helpers";
+import { newProfile, profileProblems, toApiConfig } from "./backendProfiles";
+import { checkHealth } from "./apiClient";
+
+const smallBtn = (color) => ({ ...buttonStyle(color), padding: "4px 10px", fontSize: 12 });
+const inputStyle = { width: "100%", boxSizing: "border-box", padding: "5px 8px", borderRadius: 6, border: "1px solid rgba(0,0,0,0.12)", fontSize: 13 };
+const labelStyle = { display: "grid", gap: 3, fontSize: 12, color: PALETTE.muted, fontWeight: 700 };
+
+export default function BackendSettings({ state, onChange, onClose, locked }) {
+  const { profiles, activeId } = state;
+  const [selectedId, setSelectedId] = useState(activeId);
+  const [health, setHealth] = useState({}); // id -> { checking } | checkHealth result
+  const selected = profiles.find((p) => p.id === selectedId) || profiles[0];
+  const problems = profileProblems(selected);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  function update(patch) {
+    onChange({ ...state, profiles: profiles.map((p) => (p.id === selected.id ? { ...p, ...patch } : p)) });
+    setHealth((prev) => ({ ...prev, [selected.id]: undefined }));
+  }
+
+  function add() {
+    const p = newProfile();
+    onChange({ ...state, profiles: [...profiles, p] });
+    setSelectedId(p.id);
+  }
+
+  function remove() {
+    if (profiles.length <= 1) return;
+    const rest = profiles.filter((p) => p.id !== selected.id);
+    onChange({ profiles: rest, activeId: activeId === selected.id ? rest[0].id : activeId });
+    setSelectedId(rest[0].id);
+  }
+
+  async function check(profile) {
+    setHealth((prev) => ({ ...prev, [profile.id]: { checking: true } }));
+    const res = await checkHealth(toApiConfig(profile));
+    setHealth((prev) => ({ ...prev, [profile.id]: res }));
+  }
+
+  const status = health[selected.id];
+
+  return (
+    <div
+      onClick={onClose}
+      style={{ position: "fixed", inset: 0, background: "rgba(10,12,10,0.45)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 10000, padding: 22 }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ width: "min(820px, 98%)", maxHeight: "94vh", overflow: "auto", background: "#fff", borderRadius: 12, padding: 18, boxShadow: "0 30px 80px rgba(2,20,18,0.32)" }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <h3 style={{ margin: 0 }}>Servers</h3>
+          <button onClick={onClose} style={buttonStyle(PALETTE.yellow)}>
+            Close
+          </button>
+        </div>
+        {locked && (
+          <div style={{ marginTop: 8, fontSize: 12, color: PALETTE.muted }}>
+            The page URL or build forces the mock backend (?mock); the active server below applies once that is removed.
+          </div>
+        )}
+
+        <div style={{ display: "grid", gridTemplateColumns: "230px 1fr", gap: 16, marginTop: 12 }}>
+          <div>
+            <div style={{ display: "grid", gap: 4 }}>
+              {profiles.map((p) => (
+                <div
+                  key={p.id}
+                  onClick={() => setSelectedId(p.id)}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 8,
+                    padding: "6px 8px",
+                    borderRadius: 8,
+                    cursor: "pointer",
+                    background: p.id === selected.id ? "rgba(0,184,169,0.12)" : "transparent",
+                  }}
+                >
+                  <input
+                    type="radio"
+                    name="active-profile"
+                    checked={p.id === activeId}
+                    disabled={profileProblems(p).length > 0}
+                    onChange={() => onChange({ ...state, activeId: p.id })}
+                    title="Use this server"
+                  />
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ fontWeight: 800, fontSize: 13, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{p.name || "(unnamed)"}</div>
+                    <div style={{ fontSize: 11, color: PALETTE.muted, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {p.mode === "mock" ? "offline mock" : p.baseUrl}
+                    </div>
+                  </div>
+                  {health[p.id] && !health[p.id].checking && (
+                    <span title={health[p.id].message} style={{ marginLeft: "auto", color: health[p.id].ok ? PALETTE.teal : PALETTE.pink, fontWeight: 900 }}>
+                      ●
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+            <button onClick={add} style={{ ...smallBtn(PALETTE.teal), marginTop: 8 }}>
+              + Add server
+            </button>
+          </div>
+
+          <div style={{ display: "grid", gap: 10, alignContent: "start" }}>
+            <label style={labelStyle}>
+              Name
+              <input value={selected.name} onChange={(e) => update({ name: e.target.value })} style={inputStyle} />
+            </label>
+            <label style={labelStyle}>
+              Type
+              <select value={selected.mode} onChange={(e) => update({ mode: e.target.value })} style={inputStyle}>
+                <option value="http">HTTP backend</option>
+                <option value="mock">Offline mock (analyzes in the browser)</option>
+              </select>
+            </label>
+            {selected.mode !== "mock" && (
+              <>
+                <label style={labelStyle}>
+                  Base URL
+                  <input value={selected.baseUrl} placeholder="https://codalens.example.com" onChange={(e) => update({ baseUrl: e.target.value.trim() })} style={inputStyle} />
+                </label>
+                <div style={{ display: "grid", gridTemplateColumns: "160px 1fr", gap: 8 }}>
+                  <label style={labelStyle}>
+                    Auth header
+                    <input value={selected.authHeader} placeholder="Authorization" onChange={(e) => update({ authHeader: e.target.value.trim() })} style={inputStyle} />
+                  </label>
+                  <label style={labelStyle}>
+                    Token (optional)
+                    <input
+                      type="password"
+                      autoComplete="off"
+                      value={selected.authToken}
+                      placeholder="Bearer …"
+                      onChange={(e) => update({ authToken: e.target.value })}
+                      style={inputStyle}
+                    />
+                  </label>
+                </div>
+              </>
+            )}
+            <label style={{ ...labelStyle, width: 160 }}>
+              Timeout (seconds)
+              <input type="number" min={5} value={selected.timeoutS} onChange={(e) => update({ timeoutS: Math.max(5, Number(e.target.value) || 0) })} style={inputStyle} />
+            </label>
+
+            {problems.length > 0 && (
+              <ul style={{ margin: 0, paddingLeft: 18, fontSize: 12, color: "#b30e36" }}>
+                {problems.map((p) => (
+                  <li key={p}>{p}</li>
+                ))}
+              </ul>
+            )}
+
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <button onClick={() => check(selected)} disabled={problems.length > 0 || status?.checking} style={smallBtn("#ffffff")}>
+                {status?.checking ? "Checking…" : "Check connection"}
+              </button>
+              {selected.id !== activeId && (
+                <button onClick={() => onChange({ ...state, activeId: selected.id })} disabled={problems.length > 0} style={smallBtn(PALETTE.teal)}>
+                  Use this server
+                </button>
+              )}
+              <button onClick={remove} disabled={profiles.length <= 1} style={{ ...smallBtn(PALETTE.pink), marginLeft: "auto" }}>
+                Delete
+              </button>
+            </div>
+            {status && !status.checking && (
+              <div style={{ fontSize: 13, fontWeight: 700, color: status.ok ? "#00796f" : "#b30e36" }}>
+                {status.ok ? "Connected" : "Failed"} · {status.message}
+                {status.ms > 0 && ` · ${status.ms} ms`}
+              </div>
+            )}
+
+            <div style={{ fontSize: 12, color: PALETTE.muted }}>
+              Servers and tokens are stored in this browser's localStorage. Use a token scoped to analysis only, and avoid shared machines.
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// BaselineBar.jsx — load / clear the baseline, per-status counts and the "regressions only" switch
+import React, { useRef } from "react";
+import { PALETTE, buttonStyle } from "./helpers";
+import { BASELINE_COLORS, BASELINE_STATUSES } from "./baseline";
+
+const small = { ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 };
+
+export default function BaselineBar({ baseline, summary, regressionsOnly, onRegressionsOnly, onLoadFile, onUseCurrent, onClear }) {
+  const inputRef = useRef(null);
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 12 }}>
+      <strong style={{ fontSize: 13 }}>Baseline</strong>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = null;
+          if (file) onLoadFile(file);
+        }}
+        style={{ display: "none" }}
+      />
+      {baseline ? (
+        <>
+          <span title={`${baseline.files.length} files`} style={{ color: PALETTE.ink, fontWeight: 700 }}>
+            {baseline.name}
+          </span>
+          {BASELINE_STATUSES.map((s) => (
+            <span key={s} style={{ display: "inline-flex", alignItems: "center", gap: 4, padding: "3px 9px", borderRadius: 999, background: "#f7f7f2", fontWeight: 800 }}>
+              <span style={{ width: 9, height: 9, borderRadius: 3, background: BASELINE_COLORS[s] }} />
+              {summary[s]} {s}
+            </span>
+          ))}
+          {summary.removed > 0 && <span style={{ color: PALETTE.muted }}>{summary.removed} removed since baseline</span>}
+          <label style={{ display: "flex", gap: 4, alignItems: "center", fontWeight: 700 }}>
+            <input type="checkbox" checked={regressionsOnly} onChange={(e) => onRegressionsOnly(e.target.checked)} />
+            Regressions only
+          </label>
+          <span style={{ flex: 1 }} />
+          <button onClick={() => inputRef.current?.click()} style={small}>
+            Replace…
+          </button>
+          <button onClick={onClear} style={small}>
+            Clear
+          </button>
+        </>
+      ) : (
+        <>
+          <span style={{ color: PALETTE.muted }}>Load an exported analysis JSON to flag only what got worse since then.</span>
+          <span style={{ flex: 1 }} />
+          <button onClick={() => inputRef.current?.click()} style={small}>
+            Load baseline…
+          </button>
+          <button onClick={onUseCurrent} style={small} title="Use this result as the baseline for later runs">
+            Use current
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+// ComparisonPanel.jsx — review of two uploads (A vs B): verdict, project totals and the findings behind it
+import React, { useMemo, useState } from "react";
+import { PALETTE, buttonStyle, shortenPath } from "./helpers";
+import { compareAnalyses, HOTSPOT_CC, MI_CHANGE } from "./comparison";
+import RunDiffTable, { STATUS_COLORS } from "./RunDiffTable";
+
+const VERDICT_STYLES = {
+  better: { color: "#00796f", background: "rgba(0,184,169,0.12)", border: PALETTE.teal },
+  worse: { color: "#b30e36", background: "rgba(246,65,108,0.12)", border: PALETTE.pink },
+  mixed: { color: "#8a6a00", background: "rgba(255,213,79,0.2)", border: "#d89b00" },
+  neutral: { color: PALETTE.muted, background: "#f4f4f0", border: "rgba(0,0,0,0.06)" },
+};
+
+const TOTALS = [
+  ["files", "Files", 0],
+  ["avgMaintainability", "Avg maintainability", 1],
+  ["totalCyclomatic", "Total cyclomatic", -1],
+  ["maxCyclomatic", "Max cyclomatic", -1],
+  ["clonePairs", "Clone pairs", -1],
+];
+
+function Finding({ title, count, children }) {
+  return (
+    <div style={{ background: "#fff", borderRadius: 10, padding: 10, border: "1px solid rgba(0,0,0,0.06)", minWidth: 0 }}>
+      <div style={{ fontWeight: 800, fontSize: 13, color: count ? PALETTE.pink : PALETTE.muted }}>
+        {title} · {count}
+      </div>
+      {count > 0 && <ul style={{ margin: "6px 0 0", paddingLeft: 16, fontSize: 12, maxHeight: 180, overflow: "auto" }}>{children}</ul>}
+    </div>
+  );
+}
+
+export default function ComparisonPanel({ comparison, onOpenFile, onClose }) {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const c = useMemo(() => compareAnalyses(comparison.base, comparison.head), [comparison]);
+  const style = VERDICT_STYLES[c.verdict.level];
+  const rows = c.rows.filter((r) => showUnchanged || r.status !== "unchanged");
+  const link = (path) => (
+    <button
+      onClick={() => onOpenFile(path)}
+      title={path}
+      style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", color: PALETTE.ink, fontWeight: 700, textAlign: "left" }}
+    >
+      {shortenPath(path)}
+    </button>
+  );
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+        <div style={{ fontSize: 13 }}>
+          <h3 style={{ margin: 0 }}>A vs B</h3>
+          <strong>A</strong> {comparison.baseName} → <strong>B</strong> {comparison.headName}
+          <span style={{ color: PALETTE.muted }}> · charts below show B</span>
+        </div>
+        <button onClick={onClose} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+          Close comparison
+        </button>
+      </div>
+
+      <div style={{ marginTop: 10, padding: "10px 12px", borderRadius: 10, background: style.background, border: `1px solid ${style.border}` }}>
+        <div style={{ fontWeight: 900, fontSize: 15, color: style.color }}>{c.verdict.headline}</div>
+        <div style={{ fontSize: 12, marginTop: 4, color: PALETTE.ink }}>
+          {c.verdict.regressions.length > 0 && <span>Regressions: {c.verdict.regressions.join(", ")}. </span>}
+          {c.verdict.improvements.length > 0 && <span>Improvements: {c.verdict.improvements.join(", ")}.</span>}
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 10 }}>
+        {TOTALS.map(([key, label, better]) => {
+          const a = c.totals.base[key];
+          const b = c.totals.head[key];
+          const d = a !== null && b !== null ? Math.round((b - a) * 10) / 10 : null;
+          const good = better && d ? Math.sign(d) === better : null;
+          return (
+            <div key={key} style={{ background: "#fff", borderRadius: 10, padding: "6px 10px", border: "1px solid rgba(0,0,0,0.06)", fontSize: 12 }}>
+              <div style={{ color: PALETTE.muted }}>{label}</div>
+              <div style={{ fontWeight: 800 }}>
+                {a ?? "n/a"} → {b ?? "n/a"}
+                {d ? (
+                  <span style={{ marginLeft: 6, color: good === null ? PALETTE.ink : good ? PALETTE.teal : PALETTE.pink }}>
+                    {d > 0 ? "+" : ""}
+                    {d}
+                  </span>
+                ) : null}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 10, marginTop: 10 }}>
+        <Finding title={`New hotspots (cyclomatic ≥ ${HOTSPOT_CC})`} count={c.newHotspots.length}>
+          {c.newHotspots.map((r) => (
+            <li key={r.path}>
+              {link(r.path)} · {r.before.cyclomatic ?? "new"} → {r.after.cyclomatic}
+            </li>
+          ))}
+        </Finding>
+        <Finding title={`Maintainability dropped (≥ ${MI_CHANGE})`} count={c.maintainabilityDrops.length}>
+          {c.maintainabilityDrops.map((r) => (
+            <li key={r.path}>
+              {link(r.path)} · {r.before.maintainabilityIndex} → {r.after.maintainabilityIndex}
+            </li>
+          ))}
+        </Finding>
+        <Finding title="Duplicates introduced" count={c.duplicatesIntroduced.length}>
+          {c.duplicatesIntroduced.map(([a, b]) => (
+            <li key={`${a}|${b}`}>
+              {link(a)} ↔ {link(b)}
+            </li>
+          ))}
+        </Finding>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12, marginTop: 12, flexWrap: "wrap" }}>
+        <strong style={{ fontSize: 13 }}>Per-file deltas</strong>
+        {Object.entries(c.summary).map(([k, v]) => (
+          <span key={k} style={{ padding: "4px 10px", borderRadius: 999, background: "#f7f7f2", color: STATUS_COLORS[k], fontWeight: 800 }}>
+            {v} {k}
+          </span>
+        ))}
+        <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+          show unchanged
+        </label>
+      </div>
+      <RunDiffTable rows={rows} onOpenFile={onOpenFile} />
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+// DiagnosticsPanel.jsx — what the response validator repaired or dropped, and which metrics are missing
+import React, { useState } from "react";
+import { PALETTE, buttonStyle } from "./helpers";
+import { missingMetrics } from "./analysisSchema";
+import { SORT_FIELDS } from "./tableSort";
+import { downloadText } from "./exporters";
+
+export default function DiagnosticsPanel({ diagnostics, files, exportName }) {
+  const [open, setOpen] = useState(false);
+  const missing = missingMetrics(files);
+  const missingList = Object.entries(missing).filter(([, n]) => n > 0);
+  const dropped = diagnostics.filter((d) => d.action === "dropped").length;
+  if (!diagnostics.length && !missingList.length) return null;
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Data diagnostics</div>
+          <div style={{ fontSize: 13, color: PALETTE.muted, marginTop: 2 }}>
+            {diagnostics.length > 0 && `${dropped} entr${dropped === 1 ? "y" : "ies"} dropped, ${diagnostics.length - dropped} repaired. `}
+            {missingList.map(([k, n]) => `${n} file(s) without ${SORT_FIELDS[k].label.toLowerCase()}`).join(", ")}
+            {missingList.length > 0 && " — shown as n/a and left out of averages."}
+          </div>
+        </div>
+        {diagnostics.length > 0 && (
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={() => setOpen((o) => !o)} style={{ ...buttonStyle(PALETTE.yellow), padding: "4px 10px", fontSize: 12 }}>
+              {open ? "Hide details" : "Show details"}
+            </button>
+            <button
+              onClick={() => downloadText(`${exportName}-diagnostics.json`, JSON.stringify(diagnostics, null, 2) + "\n", "application/json")}
+              style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12 }}
+            >
+              JSON
+            </button>
+          </div>
+        )}
+      </div>
+
+      {open && (
+        <div style={{ maxHeight: 320, overflow: "auto", marginTop: 10 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr style={{ textAlign: "left", position: "sticky", top: 0, background: "#fff" }}>
+                <th style={{ padding: 6 }}>#</th>
+                <th style={{ padding: 6 }}>Path</th>
+                <th style={{ padding: 6 }}>Action</th>
+                <th style={{ padding: 6 }}>Problem</th>
+                <th style={{ padding: 6 }}>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diagnostics.map((d, i) => (
+                <tr key={i} style={{ borderTop: "1px solid rgba(0,0,0,0.04)", verticalAlign: "top" }}>
+                  <td style={{ padding: 6, color: PALETTE.muted }}>{d.index ?? "—"}</td>
+                  <td style={{ padding: 6, wordBreak: "break-all" }}>{typeof d.path === "string" ? d.path : <span style={{ color: PALETTE.muted }}>(none)</span>}</td>
+                  <td style={{ padding: 6, fontWeight: 700, color: d.action === "dropped" ? PALETTE.pink : PALETTE.ink }}>{d.action}</td>
+                  <td style={{ padding: 6 }}>{d.message}</td>
+                  <td style={{ padding: 6, fontFamily: "ui-monospace, Menlo, monospace", wordBreak: "break-all", color: PALETTE.muted }}>{d.raw}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
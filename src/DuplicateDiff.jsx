@@ -0,0 +1,112 @@
+// DuplicateDiff.jsx — two duplicated files side by side with the cloned regions highlighted
+import React, { useEffect, useMemo, useState } from "react";
+import { PALETTE, buttonStyle, shortenPath } from "./helpers";
+import { readSources, findSource } from "./sourceArchive";
+import { backendRegions, findCloneRegions, regionLength } from "./cloneRegions";
+import SourcePreview from "./SourcePreview";
+
+export default function DuplicateDiff({ pair, files, sourceFile, onClose }) {
+  const [pathA, pathB] = pair;
+  const [sources, setSources] = useState({ status: "idle" });
+  const [active, setActive] = useState(0);
+
+  useEffect(() => {
+    setActive(0);
+    if (!sourceFile) {
+      setSources({ status: "unavailable" });
+      return;
+    }
+    let cancelled = false;
+    setSources({ status: "loading" });
+    readSources(sourceFile)
+      .then((all) => !cancelled && setSources({ status: "ok", a: findSource(all, pathA), b: findSource(all, pathB) }))
+      .catch((err) => !cancelled && setSources({ status: "error", message: err?.message || String(err) }));
+    return () => {
+      cancelled = true;
+    };
+  }, [pathA, pathB, sourceFile]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const fileA = files.find((f) => f.path === pathA);
+  const fileB = files.find((f) => f.path === pathB);
+  const reported = useMemo(() => backendRegions(fileA, fileB), [fileA, fileB]);
+  const textA = sources.a?.text;
+  const textB = sources.b?.text;
+  const computed = useMemo(() => (reported.length || textA == null || textB == null ? [] : findCloneRegions(textA, textB)), [reported, textA, textB]);
+  const regions = reported.length ? reported : computed;
+  const current = regions[active];
+
+  const pane = (path, text, side) => (
+    <div style={{ minWidth: 0 }}>
+      <div style={{ fontWeight: 800, fontSize: 13, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={path}>
+        {shortenPath(path)}
+      </div>
+      <div style={{ fontSize: 11, color: PALETTE.muted, wordBreak: "break-all", marginBottom: 6 }}>{path}</div>
+      {text != null ? (
+        <SourcePreview text={text} highlight={regions.map((r) => r[side])} scrollToLine={current?.[side][0]} maxHeight="62vh" />
+      ) : sources.status === "ok" ? (
+        <div style={{ fontSize: 13, color: PALETTE.muted }}>This file was not found in the uploaded archive.</div>
+      ) : null}
+    </div>
+  );
+
+  return (
+    <div
+      onClick={onClose}
+      style={{ position: "fixed", inset: 0, background: "rgba(10,12,10,0.45)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 10000, padding: 22 }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ width: "min(1400px, 98%)", maxHeight: "94vh", overflow: "auto", background: "#fff", borderRadius: 12, padding: 18, boxShadow: "0 30px 80px rgba(2,20,18,0.32)" }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <h3 style={{ margin: 0 }}>Duplicated code</h3>
+          <button onClick={onClose} style={buttonStyle(PALETTE.yellow)}>
+            Close
+          </button>
+        </div>
+
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", margin: "10px 0", fontSize: 12 }}>
+          <span style={{ color: PALETTE.muted }}>
+            {reported.length
+              ? `${reported.length} region(s) reported by the analyzer`
+              : sources.status === "ok"
+              ? `${computed.length} region(s) found by comparing the sources`
+              : "No line ranges from the analyzer"}
+            {regions.length > 0 && " — click one to jump to it:"}
+          </span>
+          {regions.map((r, i) => (
+            <button
+              key={i}
+              onClick={() => setActive(i)}
+              style={{
+                ...buttonStyle(i === active ? PALETTE.pink : "#ffffff"),
+                padding: "3px 8px",
+                fontSize: 12,
+              }}
+            >
+              {r.a[0]}–{r.a[1]} ↔ {r.b[0]}–{r.b[1]} ({regionLength(r)} lines)
+            </button>
+          ))}
+        </div>
+
+        {sources.status === "loading" && <div style={{ fontSize: 13, color: PALETTE.muted }}>Reading sources…</div>}
+        {sources.status === "unavailable" && (
+          <div style={{ fontSize: 13, color: PALETTE.muted }}>Source comparison needs the uploaded .java/.zip — re-select the file to enable it.</div>
+        )}
+        {sources.status === "error" && <div style={{ fontSize: 13, color: "#b30e0e", fontWeight: 600 }}>Could not read the upload: {sources.message}</div>}
+        {sources.status === "ok" && (
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+            {pane(pathA, textA, "a")}
+            {pane(pathB, textB, "b")}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+// DuplicatesPanel.jsx — explorer for the clone pairs reported in `duplicatedWith`
+import React, { useMemo, useState } from "react";
+import { PALETTE, buttonStyle, rampColor, shortenPath } from "./helpers";
+import { buildDuplicateGraph, duplicateClusters, rankByClones } from "./duplicates";
+
+const GRAPH_MAX_NODES = 240;
+// a cluster bigger than the whole budget is drawn with this many of its most-connected files
+const GRAPH_TRUNCATED_NODES = 120;
+
+// lay every cluster out on its own ring, rings packed left-to-right in rows
+function layoutClusters(clusters, width) {
+  const positions = {};
+  let x = 0;
+  let y = 0;
+  let rowH = 0;
+  const gap = 18;
+  for (const members of clusters) {
+    const r = members.length === 1 ? 0 : Math.min((width - 28) / 2, Math.max(22, members.length * 7));
+    const size = r * 2 + 28;
+    if (x + size > width && x > 0) {
+      x = 0;
+      y += rowH + gap;
+      rowH = 0;
+    }
+    const cx = x + size / 2;
+    const cy = y + size / 2;
+    members.forEach((p, i) => {
+      const a = (i / members.length) * Math.PI * 2 - Math.PI / 2;
+      positions[p] = { x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r };
+    });
+    x += size + gap;
+    rowH = Math.max(rowH, size);
+  }
+  return { positions, height: y + rowH };
+}
+
+function DuplicateGraph({ graph, clusters, selected, onSelect, maxCount }) {
+  const width = 1100;
+  // keep the SVG responsive on big repos: clusters that do not fit the node budget are skipped,
+  // and one too big for any budget is cut down to its most-connected files
+  const shown = [];
+  const truncated = [];
+  let hidden = 0;
+  let budget = GRAPH_MAX_NODES;
+  for (const c of clusters) {
+    if (c.length > GRAPH_MAX_NODES && budget >= GRAPH_TRUNCATED_NODES) {
+      const core = [...c].sort((a, b) => graph.partners[b].length - graph.partners[a].length).slice(0, GRAPH_TRUNCATED_NODES);
+      shown.push(core);
+      truncated.push({ size: c.length, hub: core[0] });
+      budget -= core.length;
+      continue;
+    }
+    if (c.length > budget) {
+      hidden += 1;
+      continue;
+    }
+    shown.push(c);
+    budget -= c.length;
+  }
+  const { positions, height } = layoutClusters(shown, width);
+  const neighbours = new Set(selected ? graph.partners[selected] || [] : []);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${Math.max(120, height)}`} style={{ width: "100%", height: "auto", display: "block" }}>
+        {graph.edges.map(([a, b]) => {
+          const pa = positions[a];
+          const pb = positions[b];
+          if (!pa || !pb) return null;
+          const active = selected && (a === selected || b === selected);
+          return (
+            <line
+              key={`${a}|${b}`}
+              x1={pa.x}
+              y1={pa.y}
+              x2={pb.x}
+              y2={pb.y}
+              stroke={active ? PALETTE.pink : "rgba(0,0,0,0.16)"}
+              strokeWidth={active ? 2 : 1}
+            />
+          );
+        })}
+        {shown.flat().map((p) => {
+          const pos = positions[p];
+          const count = graph.partners[p].length;
+          const isSel = p === selected;
+          const dim = selected && !isSel && !neighbours.has(p);
+          return (
+            <g key={p} onClick={() => onSelect(p)} style={{ cursor: "pointer" }} opacity={dim ? 0.35 : 1}>
+              <circle
+                cx={pos.x}
+                cy={pos.y}
+                r={isSel ? 9 : 6 + Math.min(4, count)}
+                fill={rampColor(count, 1, (1 + maxCount) / 2, maxCount)}
+                stroke={isSel ? PALETTE.ink : "#fff"}
+                strokeWidth={isSel ? 2.5 : 1.5}
+              />
+              <title>{`${p} — ${count} clone partner(s)`}</title>
+            </g>
+          );
+        })}
+      </svg>
+      {truncated.map(({ size, hub }) => (
+        <div key={hub} style={{ fontSize: 12, color: PALETTE.muted, marginTop: 6 }} title={hub}>
+          Cluster of {size} files around {shortenPath(hub)} drawn with its {GRAPH_TRUNCATED_NODES} most-connected files only
+        </div>
+      ))}
+      {hidden > 0 && (
+        <div style={{ fontSize: 12, color: PALETTE.muted, marginTop: 6 }}>
+          {hidden} cluster(s) not drawn — see the Clusters tab for the full list
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function DuplicatesPanel({ files, selected, onSelect, onCompare }) {
+  const [tab, setTab] = useState("ranking");
+
+  const graph = useMemo(() => buildDuplicateGraph(files), [files]);
+  const clusters = useMemo(() => duplicateClusters(graph), [graph]);
+  const ranking = useMemo(() => rankByClones(graph), [graph]);
+  const maxCount = ranking.length ? ranking[0].count : 1;
+
+  const tabs = [
+    ["ranking", "Ranking"],
+    ["clusters", `Clusters (${clusters.length})`],
+    ["graph", "Graph"],
+  ];
+
+  const fileLink = (p) => (
+    <button
+      onClick={() => onSelect(p)}
+      title={p}
+      style={{
+        background: "transparent",
+        border: "none",
+        padding: 0,
+        cursor: "pointer",
+        fontWeight: p === selected ? 800 : 600,
+        color: p === selected ? PALETTE.pink : PALETTE.ink,
+        textAlign: "left",
+      }}
+    >
+      {p}
+    </button>
+  );
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <h4 style={{ margin: 0 }}>Duplicates</h4>
+        <div style={{ display: "flex", gap: 6 }}>
+          {tabs.map(([key, text]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              style={{ ...buttonStyle(tab === key ? PALETTE.teal : "#ffffff"), padding: "4px 10px", fontSize: 12 }}
+            >
+              {text}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!graph.nodes.length ? (
+        <div style={{ marginTop: 10, fontSize: 13, color: PALETTE.muted }}>No duplicated code reported for this analysis.</div>
+      ) : (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 280px", gap: 12, marginTop: 10 }}>
+          <div style={{ maxHeight: 420, overflow: "auto" }}>
+            {tab === "ranking" && (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: PALETTE.ink }}>
+                    <th style={{ padding: 8 }}>#</th>
+                    <th style={{ padding: 8 }}>Path</th>
+                    <th style={{ padding: 8 }}>Clones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranking.map((r, i) => (
+                    <tr key={r.path} style={{ borderTop: "1px solid rgba(0,0,0,0.04)" }}>
+                      <td style={{ padding: 8, color: PALETTE.muted }}>{i + 1}</td>
+                      <td style={{ padding: 8 }}>{fileLink(r.path)}</td>
+                      <td style={{ padding: 8 }}>
+                        <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: 3, marginRight: 6, background: rampColor(r.count, 1, (1 + maxCount) / 2, maxCount) }} />
+                        {r.count}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {tab === "clusters" &&
+              clusters.map((members, i) => (
+                <div key={members[0]} style={{ padding: "8px 0", borderBottom: "1px dashed rgba(0,0,0,0.06)" }}>
+                  <div style={{ fontWeight: 800, fontSize: 13, marginBottom: 4 }}>
+                    Cluster {i + 1} · {members.length} files
+                  </div>
+                  <ul style={{ margin: 0, paddingLeft: 18, fontSize: 13 }}>
+                    {members.map((p) => (
+                      <li key={p}>{fileLink(p)}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+
+            {tab === "graph" && (
+              <DuplicateGraph graph={graph} clusters={clusters} selected={selected} onSelect={onSelect} maxCount={maxCount} />
+            )}
+          </div>
+
+          <div style={{ background: "#fafaf6", borderRadius: 10, padding: 10, border: "1px solid rgba(0,0,0,0.05)", fontSize: 13 }}>
+            {selected && graph.partners[selected] ? (
+              <>
+                <div style={{ fontWeight: 800, wordBreak: "break-all" }} title={selected}>
+                  {shortenPath(selected)}
+                </div>
+                <div style={{ color: PALETTE.muted, fontSize: 12, wordBreak: "break-all", marginTop: 2 }}>{selected}</div>
+                <div style={{ marginTop: 10, fontWeight: 700 }}>Duplicates {graph.partners[selected].length} file(s):</div>
+                <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+                  {graph.partners[selected].map((p) => (
+                    <li key={p} style={{ padding: "3px 0", wordBreak: "break-all" }}>
+                      {fileLink(p)}{" "}
+                      <button onClick={() => onCompare(selected, p)} style={{ ...buttonStyle(PALETTE.pink), padding: "1px 8px", fontSize: 11 }} title="Show both files side by side">
+                        Compare
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                <button onClick={() => onSelect(null)} style={{ ...buttonStyle(PALETTE.yellow), marginTop: 10, padding: "4px 10px", fontSize: 12 }}>
+                  Clear
+                </button>
+              </>
+            ) : selected ? (
+              <div style={{ color: PALETTE.muted }}>{selected} has no reported duplicates.</div>
+            ) : (
+              <div style={{ color: PALETTE.muted }}>
+                {graph.nodes.length} files with clones, {graph.edges.length} clone pair(s). Click a file to see what it duplicates.
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
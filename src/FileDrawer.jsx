@@ -0,0 +1,169 @@
+// FileDrawer.jsx — side drawer with a file's metrics, clone partners, methods and source
+import React, { useEffect, useState } from "react";
+import { PALETTE, buttonStyle, rampColor } from "./helpers";
+import { duplicatePartners } from "./duplicates";
+import { fileMethods } from "./methods";
+import { readSources, findSource } from "./sourceArchive";
+import SourcePreview from "./SourcePreview";
+
+export default function FileDrawer({ path, files, sourceFile, covered = false, onClose, onOpenFile, onCompare }) {
+  const file = files.find((f) => f.path === path);
+  const [source, setSource] = useState({ status: "idle" });
+  const [method, setMethod] = useState(null);
+
+  useEffect(() => {
+    setMethod(null);
+    if (!sourceFile) {
+      setSource({ status: "unavailable" });
+      return;
+    }
+    let cancelled = false;
+    setSource({ status: "loading" });
+    readSources(sourceFile)
+      .then((sources) => {
+        if (cancelled) return;
+        const found = findSource(sources, path);
+        setSource(found ? { status: "ok", ...found } : { status: "missing" });
+      })
+      .catch((err) => !cancelled && setSource({ status: "error", message: err?.message || String(err) }));
+    return () => {
+      cancelled = true;
+    };
+  }, [path, sourceFile]);
+
+  // while a duplicate diff sits on top, Escape belongs to it
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && !covered && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose, covered]);
+
+  if (!file) return null;
+  const partners = duplicatePartners(file);
+  const methods = fileMethods(file);
+  const maxMethodCyclo = Math.max(1, ...methods.map((m) => m.cyclomatic || 0));
+
+  const metric = (label, value) => (
+    <div style={{ background: "#fafaf6", border: "1px solid rgba(0,0,0,0.05)", borderRadius: 8, padding: 8 }}>
+      <div style={{ fontSize: 11, color: PALETTE.muted }}>{label}</div>
+      <div style={{ fontSize: 18, fontWeight: 800 }}>{value ?? "n/a"}</div>
+    </div>
+  );
+
+  return (
+    <div onClick={onClose} style={{ position: "fixed", inset: 0, background: "rgba(10,12,10,0.3)", zIndex: 9998 }}>
+      <aside
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: "absolute",
+          top: 0,
+          right: 0,
+          bottom: 0,
+          width: "min(760px, 96vw)",
+          background: "#fff",
+          boxShadow: "-20px 0 60px rgba(2,20,18,0.25)",
+          padding: 18,
+          overflowY: "auto",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+          <div style={{ minWidth: 0 }}>
+            <h3 style={{ margin: 0 }}>{path.split("/").pop()}</h3>
+            <div style={{ fontSize: 12, color: PALETTE.muted, wordBreak: "break-all", marginTop: 4 }}>{path}</div>
+          </div>
+          <button onClick={onClose} style={buttonStyle(PALETTE.yellow)}>
+            Close
+          </button>
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8, marginTop: 14 }}>
+          {metric("Lines", file.lines)}
+          {metric("Cyclomatic", file.cyclomatic)}
+          {metric("Maintainability", file.maintainabilityIndex)}
+          {metric("Duplicates", partners.length)}
+        </div>
+
+        {partners.length > 0 && (
+          <div style={{ marginTop: 14 }}>
+            <div style={{ fontWeight: 800, fontSize: 13, marginBottom: 4 }}>Duplicated with</div>
+            <ul style={{ margin: 0, paddingLeft: 18, fontSize: 13 }}>
+              {partners.map((p) => (
+                <li key={p} style={{ padding: "2px 0" }}>
+                  <button
+                    onClick={() => onOpenFile(p)}
+                    style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", color: PALETTE.ink, fontWeight: 600, textAlign: "left", wordBreak: "break-all" }}
+                  >
+                    {p}
+                  </button>{" "}
+                  <button onClick={() => onCompare(p)} style={{ ...buttonStyle(PALETTE.pink), padding: "1px 8px", fontSize: 11 }} title="Show both files side by side">
+                    Compare
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {methods.length > 0 && (
+          <div style={{ marginTop: 14 }}>
+            <div style={{ fontWeight: 800, fontSize: 13, marginBottom: 6 }}>Methods ({methods.length})</div>
+            <div style={{ maxHeight: 220, overflow: "auto" }}>
+              {methods.map((m, i) => (
+                <button
+                  key={`${m.name}-${i}`}
+                  onClick={() => setMethod(m)}
+                  disabled={m.startLine === null}
+                  title={m.startLine !== null ? `Line ${m.startLine}${m.endLine ? `–${m.endLine}` : ""}` : "No line information"}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "1fr 160px 40px",
+                    gap: 8,
+                    alignItems: "center",
+                    width: "100%",
+                    background: method === m ? "#f0f7f6" : "transparent",
+                    border: "none",
+                    borderRadius: 6,
+                    padding: "3px 6px",
+                    fontSize: 12,
+                    textAlign: "left",
+                    cursor: m.startLine !== null ? "pointer" : "default",
+                  }}
+                >
+                  <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", fontFamily: "ui-monospace, Menlo, monospace" }}>{m.name}</span>
+                  <span style={{ background: "rgba(0,0,0,0.05)", borderRadius: 4, height: 8, overflow: "hidden" }}>
+                    <span
+                      style={{
+                        display: "block",
+                        height: "100%",
+                        width: `${((m.cyclomatic || 0) / maxMethodCyclo) * 100}%`,
+                        background: rampColor(m.cyclomatic || 0, 0, maxMethodCyclo / 2, maxMethodCyclo),
+                      }}
+                    />
+                  </span>
+                  <span style={{ fontWeight: 800, textAlign: "right" }}>{m.cyclomatic ?? "n/a"}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div style={{ marginTop: 14 }}>
+          <div style={{ fontWeight: 800, fontSize: 13, marginBottom: 6 }}>Source</div>
+          {source.status === "loading" && <div style={{ fontSize: 13, color: PALETTE.muted }}>Reading source…</div>}
+          {source.status === "unavailable" && (
+            <div style={{ fontSize: 13, color: PALETTE.muted }}>Source preview needs the uploaded .java/.zip — re-select the file to enable it.</div>
+          )}
+          {source.status === "missing" && <div style={{ fontSize: 13, color: PALETTE.muted }}>This file was not found in the uploaded archive.</div>}
+          {source.status === "error" && <div style={{ fontSize: 13, color: "#b30e0e", fontWeight: 600 }}>Could not read the upload: {source.message}</div>}
+          {source.status === "ok" && (
+            <SourcePreview
+              text={source.text}
+              highlight={method && method.startLine !== null ? [[method.startLine, method.endLine ?? method.startLine]] : []}
+              scrollToLine={method?.startLine}
+            />
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+// FilesTable.jsx — sortable Files table with row virtualization for very large projects
+import React, { useState } from "react";
+import { PALETTE, formatMetric } from "./helpers";
+import { SORT_FIELDS } from "./tableSort";
+import { formatSummary } from "./aggregation";
+import { BASELINE_COLORS } from "./baseline";
+import { partnerCount } from "./duplicates";
+
+const ROW_H = 41;
+const GROUP_ROW_H = 64;
+const OVERSCAN = 12;
+// below this many rows plain rendering is cheap enough
+const VIRTUALIZE_AFTER = 150;
+// tint for rows that break a quality gate rule
+const FLAGGED_BG = "rgba(246,65,108,0.07)";
+
+const COLUMNS = ["path", "lines", "cyclomatic", "maintainabilityIndex", "duplicates"];
+
+// change since the baseline, green when it is an improvement (lines alone are neither)
+function DeltaSuffix({ value, higherIsBetter = false, neutral = false }) {
+  if (!value) return null;
+  const good = higherIsBetter ? value > 0 : value < 0;
+  return (
+    <span style={{ marginLeft: 6, fontSize: 11, fontWeight: 800, color: neutral ? PALETTE.muted : good ? PALETTE.teal : PALETTE.pink }}>
+      {value > 0 ? "+" : ""}
+      {value}
+    </span>
+  );
+}
+
+function StatusTag({ entry }) {
+  if (!entry || entry.status === "unchanged") return null;
+  return <span style={{ fontSize: 11, fontWeight: 800, color: BASELINE_COLORS[entry.status], flexShrink: 0 }}>{entry.status}</span>;
+}
+
+function SortHeader({ field, sortKeys, onSort }) {
+  const idx = sortKeys.findIndex((s) => s.key === field);
+  const active = idx >= 0 ? sortKeys[idx] : null;
+  return (
+    <th
+      onClick={(e) => onSort(field, e.shiftKey)}
+      title="Click to sort, shift-click to set as secondary sort"
+      aria-sort={idx === 0 ? (active.dir === "asc" ? "ascending" : "descending") : undefined}
+      style={{
+        padding: 10,
+        cursor: "pointer",
+        userSelect: "none",
+        whiteSpace: "nowrap",
+        position: "sticky",
+        top: 0,
+        background: "#fff",
+        zIndex: 1,
+        color: idx === 0 ? PALETTE.teal : PALETTE.ink,
+      }}
+    >
+      {SORT_FIELDS[field].label}
+      {active && (
+        <span style={{ marginLeft: 4, fontSize: 11 }}>
+          {active.dir === "asc" ? "▲" : "▼"}
+          <sup style={{ fontSize: 9, marginLeft: 1 }}>{idx + 1}</sup>
+        </span>
+      )}
+    </th>
+  );
+}
+
+export default function FilesTable({ files, groups, sortKeys, onSort, onOpenGroup, onShowDuplicates, onOpenFile, colorFor, maxHeight, isFlagged = () => false, deltaFor = () => null }) {
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const count = groups ? groups.labels.length : files.length;
+  const rowH = groups ? GROUP_ROW_H : ROW_H;
+  const virtual = count > VIRTUALIZE_AFTER;
+  const start = virtual ? Math.max(0, Math.floor(scrollTop / rowH) - OVERSCAN) : 0;
+  const end = virtual ? Math.min(count, Math.ceil((scrollTop + maxHeight) / rowH) + OVERSCAN) : count;
+  const indices = [];
+  for (let i = start; i < end; i++) indices.push(i);
+
+  // group mean with the spread underneath
+  function statCell(mean, summary, suffix = null) {
+    return (
+      <td style={{ padding: 10 }}>
+        {formatMetric(mean)}
+        {suffix}
+        <div style={{ fontSize: 11, color: PALETTE.muted, marginTop: 4, whiteSpace: "nowrap" }}>{formatSummary(summary)}</div>
+      </td>
+    );
+  }
+
+  function groupRow(idx) {
+    const lbl = groups.labels[idx];
+    const paths = groups.mapping[idx] || [];
+    const stats = groups.stats[idx];
+    const entry = deltaFor(paths);
+    return (
+      <tr key={lbl} style={{ borderTop: "1px solid rgba(0,0,0,0.04)", height: GROUP_ROW_H, background: isFlagged(paths) ? FLAGGED_BG : "transparent" }}>
+        <td style={{ padding: 10, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", maxWidth: 600 }}>
+          <button
+            onClick={() => onOpenGroup(lbl)}
+            style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0, fontWeight: 700, color: PALETTE.ink }}
+            title="Click to expand"
+          >
+            {groups.titles[idx]} ({paths.length} files)
+          </button>{" "}
+          <StatusTag entry={entry} />
+          <div style={{ fontSize: 12, color: PALETTE.muted, marginTop: 6 }}>{paths[0]}{paths.length>1 ? "…" : ""}</div>
+        </td>
+        {statCell(stats.lines.mean, stats.lines)}
+        {statCell(groups.cyclo[idx], stats.cyclomatic, entry && <DeltaSuffix value={entry.delta.cyclomatic} />)}
+        {statCell(groups.maintain[idx], stats.maintainabilityIndex)}
+        <td style={{ padding: 10 }}>{groups.duplicates[idx]}</td>
+      </tr>
+    );
+  }
+
+  function fileRow(idx) {
+    const f = files[idx];
+    const flagged = isFlagged([f.path]);
+    const entry = deltaFor([f.path]);
+    const clones = partnerCount(f);
+    return (
+      <tr
+        key={f.path}
+        style={{ borderTop: "1px solid rgba(0,0,0,0.04)", height: ROW_H, background: flagged ? FLAGGED_BG : "transparent", boxShadow: flagged ? `inset 3px 0 0 ${PALETTE.pink}` : "none" }}
+      >
+        <td style={{ padding: 10, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", maxWidth: 600 }} title={f.path}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <div style={{ width: 10, height: 10, borderRadius: 3, flexShrink: 0, background: colorFor(f) }} />
+            <div
+              onClick={() => onOpenFile(f.path)}
+              style={{ fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", cursor: "pointer" }}
+              title="Open file details"
+            >
+              {f.path}
+            </div>
+            <StatusTag entry={entry} />
+          </div>
+        </td>
+        <td style={{ padding: 10 }}>
+          {formatMetric(f.lines)}
+          {entry && <DeltaSuffix value={entry.delta.lines} neutral />}
+        </td>
+        <td style={{ padding: 10 }}>
+          {formatMetric(f.cyclomatic)}
+          {entry && <DeltaSuffix value={entry.delta.cyclomatic} />}
+        </td>
+        <td style={{ padding: 10 }}>
+          {formatMetric(f.maintainabilityIndex)}
+          {entry && <DeltaSuffix value={entry.delta.maintainabilityIndex} higherIsBetter />}
+        </td>
+        <td style={{ padding: 10 }}>
+          {clones ? (
+            <button
+              onClick={() => onShowDuplicates(f.path)}
+              style={{ background: "transparent", border: "none", cursor: "pointer", padding: 0, fontWeight: 800, color: PALETTE.pink, textDecoration: "underline" }}
+              title="Show duplicated files"
+            >
+              {clones}
+            </button>
+          ) : (
+            0
+          )}
+        </td>
+      </tr>
+    );
+  }
+
+  return (
+    <div style={{ overflowX: "auto", maxHeight, overflowY: "auto" }} onScroll={(e) => virtual && setScrollTop(e.currentTarget.scrollTop)}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr style={{ textAlign: "left", color: PALETTE.ink }}>
+            {COLUMNS.map((c) => (
+              <SortHeader key={c} field={c} sortKeys={sortKeys} onSort={onSort} />
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {start > 0 && <tr aria-hidden="true" style={{ height: start * rowH }} />}
+          {indices.map((i) => (groups ? groupRow(i) : fileRow(i)))}
+          {end < count && <tr aria-hidden="true" style={{ height: (count - end) * rowH }} />}
+        </tbody>
+      </table>
+    </div>
+  );
+}
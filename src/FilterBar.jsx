@@ -0,0 +1,184 @@
+// FilterBar.jsx — filter expression input with field autocomplete and saved named filters
+import React, { useRef, useState } from "react";
+import { PALETTE, buttonStyle } from "./helpers";
+import { filterCompletions, loadSavedFilters, saveSavedFilters } from "./filterQuery";
+
+const smallBtn = (color) => ({ ...buttonStyle(color), padding: "4px 10px", fontSize: 12 });
+const HELP = "cyclomatic>10 AND maintainability<50 AND path:service/ AND NOT path:test — globs (*Test.java) and /regex/ work too";
+
+export default function FilterBar({ value, onChange, error }) {
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(0);
+  const [focused, setFocused] = useState(false);
+  const [active, setActive] = useState(0);
+  const [saved, setSaved] = useState(loadSavedFilters);
+  const [naming, setNaming] = useState(null); // name being typed for "Save", null when closed
+
+  const completion = focused ? filterCompletions(value, cursor) : { items: [] };
+  const items = completion.items.slice(0, 8);
+
+  function updateSaved(list) {
+    setSaved(list);
+    saveSavedFilters(list);
+  }
+
+  function accept(item) {
+    const next = value.slice(0, completion.from) + item.insert + value.slice(completion.to);
+    const pos = completion.from + item.insert.length;
+    onChange(next);
+    setCursor(pos);
+    setActive(0);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(pos, pos));
+  }
+
+  function onKeyDown(e) {
+    if (!items.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((a) => (a + (e.key === "ArrowDown" ? 1 : items.length - 1)) % items.length);
+    } else if (e.key === "Tab" || e.key === "Enter") {
+      e.preventDefault();
+      accept(items[Math.min(active, items.length - 1)]);
+    } else if (e.key === "Escape") {
+      setFocused(false);
+    }
+  }
+
+  function commitName() {
+    const name = (naming || "").trim();
+    if (name) updateSaved([...saved.filter((s) => s.name !== name), { name, query: value.trim() }]);
+    setNaming(null);
+  }
+
+  const current = saved.find((s) => s.query === value.trim());
+
+  return (
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <div style={{ position: "relative", flex: 1 }}>
+          <input
+            ref={inputRef}
+            placeholder="Filter: path text, or cyclomatic>10 AND NOT path:test"
+            title={HELP}
+            value={value}
+            spellCheck={false}
+            onChange={(e) => {
+              onChange(e.target.value);
+              setCursor(e.target.selectionStart);
+              setActive(0);
+            }}
+            onKeyDown={onKeyDown}
+            onKeyUp={(e) => setCursor(e.currentTarget.selectionStart)}
+            onClick={(e) => setCursor(e.currentTarget.selectionStart)}
+            onFocus={() => setFocused(true)}
+            onBlur={() => setFocused(false)}
+            style={{
+              width: "100%",
+              boxSizing: "border-box",
+              padding: "8px 10px",
+              borderRadius: 8,
+              border: `1px solid ${error ? PALETTE.pink : "rgba(0,0,0,0.06)"}`,
+              background: "#fff",
+              fontSize: 13,
+              fontFamily: value && /[:<>=()]/.test(value) ? "ui-monospace, Menlo, monospace" : undefined,
+            }}
+          />
+          {items.length > 0 && (
+            <ul
+              style={{
+                position: "absolute",
+                left: 0,
+                top: "100%",
+                marginTop: 4,
+                zIndex: 20,
+                listStyle: "none",
+                padding: 4,
+                minWidth: 260,
+                background: "#fff",
+                borderRadius: 8,
+                border: "1px solid rgba(0,0,0,0.08)",
+                boxShadow: "0 12px 30px rgba(6,22,18,0.12)",
+              }}
+            >
+              {items.map((it, i) => (
+                <li
+                  key={it.label}
+                  // mousedown keeps the input focused, so the list does not close before the click lands
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    accept(it);
+                  }}
+                  onMouseEnter={() => setActive(i)}
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    gap: 12,
+                    padding: "5px 8px",
+                    borderRadius: 6,
+                    cursor: "pointer",
+                    fontSize: 12,
+                    background: i === active ? "rgba(0,184,169,0.12)" : "transparent",
+                  }}
+                >
+                  <span style={{ fontFamily: "ui-monospace, Menlo, monospace", fontWeight: 700 }}>{it.label}</span>
+                  <span style={{ color: PALETTE.muted }}>{it.hint}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {saved.length > 0 && (
+          <select
+            value={current ? current.name : ""}
+            onChange={(e) => {
+              const s = saved.find((x) => x.name === e.target.value);
+              if (s) onChange(s.query);
+            }}
+            title="Saved filters"
+            style={{ padding: "7px 8px", borderRadius: 8, fontSize: 12, maxWidth: 160 }}
+          >
+            <option value="">Saved…</option>
+            {saved.map((s) => (
+              <option key={s.name} value={s.name}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        )}
+        {current ? (
+          <button onClick={() => updateSaved(saved.filter((s) => s !== current))} title={`Forget "${current.name}"`} style={smallBtn("#ffffff")}>
+            Forget
+          </button>
+        ) : (
+          value.trim() &&
+          !error &&
+          naming === null && (
+            <button onClick={() => setNaming("")} style={smallBtn("#ffffff")}>
+              Save
+            </button>
+          )
+        )}
+        {naming !== null && (
+          <input
+            autoFocus
+            placeholder="Name, then Enter"
+            value={naming}
+            onChange={(e) => setNaming(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") commitName();
+              if (e.key === "Escape") setNaming(null);
+            }}
+            onBlur={commitName}
+            style={{ width: 130, padding: "6px 8px", borderRadius: 8, border: "1px solid rgba(0,0,0,0.1)", fontSize: 12 }}
+          />
+        )}
+      </div>
+      {error && (
+        <div style={{ marginTop: 4, fontSize: 12, color: "#b30e36" }}>
+          {error.message} (at character {error.position + 1}) — showing all files until the filter is fixed
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+// HierarchyView.jsx — treemap / sunburst of file size (lines) coloured by cyclomatic complexity
+import React, { useMemo, useState } from "react";
+import { PALETTE, buttonStyle, rampColor } from "./helpers";
+import { buildPathTree } from "./pathTree";
+import { treemapLayout, sunburstLayout, arcPath, findNodeChain, colorScaleMax } from "./hierarchyLayout";
+
+const WIDTH = 1120;
+const HEIGHT = 520;
+const RING = 58;
+
+function tooltipText(item) {
+  if (item.kind === "file") {
+    const f = item.file;
+    return [f.path, `Lines: ${f.lines ?? "n/a"}`, `Cyclomatic: ${f.cyclomatic ?? "n/a"}`, `Maintainability: ${f.maintainabilityIndex ?? "n/a"}`];
+  }
+  const m = item.node.metrics;
+  return [`${item.path}/`, `${m.files} files · ${m.lines} lines`, `Avg cyclomatic: ${m.avgCyclomatic ?? "n/a"} · max ${m.maxCyclomatic ?? "n/a"}`];
+}
+
+export default function HierarchyView({ files, onSelectFile }) {
+  const [mode, setMode] = useState("treemap");
+  const [zoomPath, setZoomPath] = useState("");
+  const [hover, setHover] = useState(null);
+
+  const tree = useMemo(() => buildPathTree(files), [files]);
+  const chain = findNodeChain(tree, zoomPath);
+  const zoomNode = chain[chain.length - 1];
+
+  const maxCyclo = useMemo(() => colorScaleMax(files), [files]);
+  const colorFor = (item) => {
+    const v = item.kind === "file" ? item.file.cyclomatic : item.node.metrics.avgCyclomatic;
+    return typeof v === "number" ? rampColor(v, 0, maxCyclo / 2, maxCyclo) : "#d9d9d9";
+  };
+
+  const rects = useMemo(() => (mode === "treemap" ? treemapLayout(zoomNode, WIDTH, HEIGHT) : []), [mode, zoomNode]);
+  const arcs = useMemo(() => (mode === "sunburst" ? sunburstLayout(zoomNode) : []), [mode, zoomNode]);
+  const maxRing = arcs.reduce((a, r) => Math.max(a, r.depth), 1);
+  const ringW = Math.min(RING, (HEIGHT / 2 - 40) / maxRing);
+
+  function activate(item) {
+    if (item.kind === "dir") setZoomPath(item.path);
+    else onSelectFile(item.path);
+    setHover(null);
+  }
+
+  const hoverProps = (item) => ({
+    onMouseMove: (e) => {
+      const box = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+      const x = e.clientX - box.left;
+      // flip to the left of the cursor near the right edge so the tooltip stays inside the card
+      setHover({ x, y: e.clientY - box.top, flip: x > box.width * 0.6, lines: tooltipText(item) });
+    },
+    onMouseLeave: () => setHover(null),
+    onClick: (e) => {
+      e.stopPropagation();
+      activate(item);
+    },
+    style: { cursor: "pointer" },
+  });
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <h4 style={{ margin: 0 }}>Hotspots</h4>
+        <div style={{ display: "flex", gap: 6 }}>
+          {["treemap", "sunburst"].map((m) => (
+            <button key={m} onClick={() => setMode(m)} style={{ ...buttonStyle(mode === m ? PALETTE.teal : "#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+              {m === "treemap" ? "Treemap" : "Sunburst"}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 4, alignItems: "center", flexWrap: "wrap", marginTop: 8, fontSize: 12 }}>
+        {chain.map((node, i) => (
+          <React.Fragment key={node.path || "(root)"}>
+            {i > 0 && <span style={{ color: PALETTE.muted }}>›</span>}
+            <button
+              onClick={() => setZoomPath(node.path)}
+              disabled={i === chain.length - 1}
+              style={{
+                background: "transparent",
+                border: "none",
+                padding: "2px 4px",
+                cursor: i === chain.length - 1 ? "default" : "pointer",
+                fontWeight: i === chain.length - 1 ? 900 : 600,
+                color: i === chain.length - 1 ? PALETTE.ink : PALETTE.teal,
+              }}
+            >
+              {i === 0 ? "All files" : node.name}
+            </button>
+          </React.Fragment>
+        ))}
+        <span style={{ marginLeft: "auto", color: PALETTE.muted }}>size = lines · colour = cyclomatic · click a package to zoom</span>
+      </div>
+
+      <div style={{ position: "relative", marginTop: 8 }}>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: "100%", height: "auto", display: "block", background: "#fafaf6", borderRadius: 8 }}>
+          {mode === "treemap" &&
+            rects.map((r) =>
+              r.kind === "dir" ? (
+                <g key={`d:${r.path}`} {...hoverProps(r)}>
+                  <rect x={r.x} y={r.y} width={r.w} height={r.h} fill={r.nested ? "rgba(22,51,47,0.06)" : colorFor(r)} stroke="#fff" strokeWidth={1.5} />
+                  {r.w > 40 && (
+                    <text x={r.x + 4} y={r.y + 12} fontSize={11} fontWeight={700} fill={PALETTE.ink} style={{ pointerEvents: "none" }}>
+                      {r.name.length * 6.5 > r.w - 8 ? r.name.slice(0, Math.max(1, Math.floor((r.w - 8) / 6.5) - 1)) + "…" : r.name}
+                    </text>
+                  )}
+                </g>
+              ) : (
+                <g key={`f:${r.path}`} {...hoverProps(r)}>
+                  <rect x={r.x} y={r.y} width={r.w} height={r.h} fill={colorFor(r)} stroke="#fff" strokeWidth={0.75} />
+                  {r.w > 50 && r.h > 16 && (
+                    <text x={r.x + 3} y={r.y + 12} fontSize={10} fill={PALETTE.ink} style={{ pointerEvents: "none" }}>
+                      {r.name.length * 6 > r.w - 6 ? r.name.slice(0, Math.max(1, Math.floor((r.w - 6) / 6) - 1)) + "…" : r.name}
+                    </text>
+                  )}
+                </g>
+              )
+            )}
+
+          {mode === "sunburst" && (
+            <g>
+              <circle
+                cx={WIDTH / 2}
+                cy={HEIGHT / 2}
+                r={ringW * 0.9}
+                fill="#fff"
+                stroke="rgba(0,0,0,0.08)"
+                onClick={() => chain.length > 1 && setZoomPath(chain[chain.length - 2].path)}
+                style={{ cursor: chain.length > 1 ? "pointer" : "default" }}
+              />
+              <text x={WIDTH / 2} y={HEIGHT / 2 + 4} textAnchor="middle" fontSize={11} fontWeight={800} fill={PALETTE.ink} style={{ pointerEvents: "none" }}>
+                {chain.length > 1 ? "↑ up" : "all"}
+              </text>
+              {arcs.map((a) => (
+                <path
+                  key={`${a.kind}:${a.path}`}
+                  d={arcPath(WIDTH / 2, HEIGHT / 2, a.depth * ringW, (a.depth + 1) * ringW - 1, a.a0, a.a1)}
+                  fill={colorFor(a)}
+                  stroke="#fff"
+                  strokeWidth={1}
+                  opacity={a.kind === "dir" ? 0.9 : 1}
+                  {...hoverProps(a)}
+                />
+              ))}
+            </g>
+          )}
+        </svg>
+
+        {hover && (
+          <div
+            style={{
+              position: "absolute",
+              left: hover.flip ? hover.x - 14 : hover.x + 14,
+              top: hover.y + 14,
+              transform: hover.flip ? "translateX(-100%)" : "none",
+              background: "#fff",
+              border: "1px solid rgba(0,0,0,0.08)",
+              borderRadius: 8,
+              padding: "6px 10px",
+              fontSize: 12,
+              pointerEvents: "none",
+              boxShadow: "0 10px 30px rgba(6,22,18,0.12)",
+              maxWidth: 420,
+              wordBreak: "break-all",
+              zIndex: 3,
+            }}
+          >
+            {hover.lines.map((l, i) => (
+              <div key={i} style={{ fontWeight: i === 0 ? 800 : 500 }}>
+                {l}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
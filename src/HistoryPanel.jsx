@@ -0,0 +1,163 @@
+// HistoryPanel.jsx — saved analyses and side-by-side comparison of two runs
+import React, { useEffect, useMemo, useState } from "react";
+import { PALETTE, buttonStyle } from "./helpers";
+import { listRuns, updateRun, deleteRun, diffRuns, projectKey } from "./history";
+import RunDiffTable, { STATUS_COLORS } from "./RunDiffTable";
+
+export default function HistoryPanel({ version, activeRunId, onLoadRun }) {
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState("");
+  const [baseId, setBaseId] = useState(null);
+  const [headId, setHeadId] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editLabel, setEditLabel] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    listRuns()
+      .then((list) => {
+        if (cancelled) return;
+        setRuns(list);
+        setError("");
+      })
+      .catch((err) => !cancelled && setError(err?.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  const base = runs.find((r) => r.id === baseId);
+  const head = runs.find((r) => r.id === headId);
+  const diff = useMemo(() => (base && head ? diffRuns(base.result, head.result) : null), [base, head]);
+  const diffRows = diff ? diff.rows.filter((r) => showUnchanged || r.status !== "unchanged") : [];
+
+  async function saveLabel(id) {
+    const label = editLabel.trim();
+    setEditingId(null);
+    if (!label) return;
+    try {
+      const next = await updateRun(id, { label });
+      setRuns((prev) => prev.map((r) => (r.id === id ? next : r)));
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  }
+
+  async function remove(id) {
+    try {
+      await deleteRun(id);
+      setRuns((prev) => prev.filter((r) => r.id !== id));
+      if (baseId === id) setBaseId(null);
+      if (headId === id) setHeadId(null);
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ margin: 0 }}>Run History</h3>
+        <div style={{ color: PALETTE.muted, fontSize: 13 }}>{runs.length} saved run(s) · pick A and B to compare</div>
+      </div>
+
+      {error && <div style={{ marginTop: 8, color: "#b30e0e", fontWeight: 600 }}>{error}</div>}
+
+      {!runs.length && !error && (
+        <div style={{ marginTop: 10, fontSize: 13, color: PALETTE.muted }}>Every analysis you run is saved here automatically.</div>
+      )}
+
+      {runs.length > 0 && (
+        <div style={{ marginTop: 10, maxHeight: 260, overflow: "auto", background: "#fff", borderRadius: 10, border: "1px solid rgba(0,0,0,0.06)" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: PALETTE.ink }}>
+                <th style={{ padding: 8 }}>A</th>
+                <th style={{ padding: 8 }}>B</th>
+                <th style={{ padding: 8 }}>Label</th>
+                <th style={{ padding: 8 }}>Project</th>
+                <th style={{ padding: 8 }}>File</th>
+                <th style={{ padding: 8 }}>Saved</th>
+                <th style={{ padding: 8 }}>Files</th>
+                <th style={{ padding: 8 }} />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((r) => (
+                <tr key={r.id} style={{ borderTop: "1px solid rgba(0,0,0,0.04)", background: r.id === activeRunId ? "#f0f7f6" : "transparent" }}>
+                  <td style={{ padding: 8 }}>
+                    <input type="radio" name="run-base" checked={baseId === r.id} onChange={() => setBaseId(r.id)} />
+                  </td>
+                  <td style={{ padding: 8 }}>
+                    <input type="radio" name="run-head" checked={headId === r.id} onChange={() => setHeadId(r.id)} />
+                  </td>
+                  <td style={{ padding: 8, minWidth: 200 }}>
+                    {editingId === r.id ? (
+                      <input
+                        autoFocus
+                        value={editLabel}
+                        onChange={(e) => setEditLabel(e.target.value)}
+                        onBlur={() => saveLabel(r.id)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") saveLabel(r.id);
+                          if (e.key === "Escape") setEditingId(null);
+                        }}
+                        style={{ width: "100%", padding: "4px 6px", borderRadius: 6, border: "1px solid rgba(0,0,0,0.1)" }}
+                      />
+                    ) : (
+                      <span
+                        onDoubleClick={() => {
+                          setEditingId(r.id);
+                          setEditLabel(r.label);
+                        }}
+                        title="Double-click to rename"
+                        style={{ fontWeight: 700, cursor: "text" }}
+                      >
+                        {r.label}
+                      </span>
+                    )}
+                  </td>
+                  <td style={{ padding: 8 }}>{projectKey(r)}</td>
+                  <td style={{ padding: 8, color: PALETTE.muted }}>{r.fileName || "-"}</td>
+                  <td style={{ padding: 8, color: PALETTE.muted, whiteSpace: "nowrap" }}>{new Date(r.timestamp).toLocaleString()}</td>
+                  <td style={{ padding: 8 }}>{r.result?.totalFiles ?? r.result?.files?.length ?? 0}</td>
+                  <td style={{ padding: 8, whiteSpace: "nowrap", textAlign: "right" }}>
+                    <button onClick={() => onLoadRun(r)} style={{ ...buttonStyle(PALETTE.teal), padding: "4px 10px", fontSize: 12 }}>
+                      Load
+                    </button>
+                    <button onClick={() => remove(r.id)} style={{ ...buttonStyle("#ffffff"), padding: "4px 10px", fontSize: 12, marginLeft: 6 }}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {diff && (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+            <div style={{ fontSize: 13 }}>
+              <strong>A</strong> {base.label} → <strong>B</strong> {head.label}
+            </div>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12 }}>
+              {Object.entries(diff.summary).map(([k, v]) => (
+                <span key={k} style={{ padding: "4px 10px", borderRadius: 999, background: "#fff", color: STATUS_COLORS[k], fontWeight: 800 }}>
+                  {v} {k}
+                </span>
+              ))}
+              <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                show unchanged
+              </label>
+            </div>
+          </div>
+          <RunDiffTable rows={diffRows} />
+        </div>
+      )}
+    </div>
+  );
+}
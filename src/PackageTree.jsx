@@ -0,0 +1,112 @@
+// PackageTree.jsx — collapsible directory tree; clicking a node scopes charts and table to it
+import React, { useMemo, useState } from "react";
+import { PALETTE, rampColor } from "./helpers";
+import { buildPathTree } from "./pathTree";
+
+const cell = { padding: "5px 8px", whiteSpace: "nowrap", textAlign: "right" };
+const fmt = (v) => (v === null || v === undefined ? "n/a" : v);
+
+export default function PackageTree({ files, selected, onSelect }) {
+  const tree = useMemo(() => buildPathTree(files), [files]);
+  // top-level directories start expanded, everything deeper collapsed
+  const [open, setOpen] = useState({});
+  const isOpen = (node, depth) => (node.path in open ? open[node.path] : depth < 1);
+  const maxCyclo = tree.metrics.maxCyclomatic || 1;
+
+  const rows = [];
+  const walk = (node, depth) => {
+    node.children.forEach((child) => {
+      rows.push({ node: child, depth });
+      if (isOpen(child, depth)) walk(child, depth + 1);
+    });
+  };
+  walk(tree, 0);
+
+  function row({ node, depth }) {
+    const m = node.metrics;
+    const expanded = isOpen(node, depth);
+    const isSel = selected === node.path;
+    return (
+      <tr key={node.path} style={{ borderTop: "1px solid rgba(0,0,0,0.04)", background: isSel ? "#f0f7f6" : "transparent" }}>
+        <td style={{ padding: "5px 8px", paddingLeft: 8 + depth * 16, whiteSpace: "nowrap" }}>
+          {node.children.length > 0 ? (
+            <button
+              onClick={() => setOpen((prev) => ({ ...prev, [node.path]: !expanded }))}
+              style={{ background: "transparent", border: "none", padding: 0, width: 16, cursor: "pointer", color: PALETTE.muted, fontSize: 11 }}
+              aria-label={expanded ? "Collapse" : "Expand"}
+            >
+              {expanded ? "▾" : "▸"}
+            </button>
+          ) : (
+            <span style={{ display: "inline-block", width: 16 }} />
+          )}
+          <button
+            onClick={() => onSelect(isSel ? "" : node.path)}
+            title={node.path}
+            style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", fontWeight: isSel ? 900 : 700, color: isSel ? PALETTE.teal : PALETTE.ink }}
+          >
+            {node.name}/
+          </button>
+        </td>
+        <td style={cell}>{m.files}</td>
+        <td style={cell}>{m.lines}</td>
+        <td style={cell}>{fmt(m.avgCyclomatic)}</td>
+        <td style={cell}>
+          <span
+            style={{
+              display: "inline-block",
+              width: 8,
+              height: 8,
+              borderRadius: 2,
+              marginRight: 5,
+              background: m.maxCyclomatic === null ? "#ddd" : rampColor(m.maxCyclomatic, 0, maxCyclo / 2, maxCyclo),
+            }}
+          />
+          {fmt(m.maxCyclomatic)}
+        </td>
+        <td style={cell}>{fmt(m.avgMaintainability)}</td>
+        <td style={cell}>{m.duplicates}</td>
+      </tr>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <h4 style={{ margin: 0 }}>Packages</h4>
+        <div style={{ fontSize: 12, color: PALETTE.muted }}>
+          {selected ? (
+            <>
+              Scoped to <strong style={{ color: PALETTE.ink }}>{selected}/</strong>{" "}
+              <button onClick={() => onSelect("")} style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", color: PALETTE.pink, fontWeight: 800 }}>
+                ✕ clear
+              </button>
+            </>
+          ) : (
+            "Click a package to scope charts and table to it"
+          )}
+        </div>
+      </div>
+      {!rows.length ? (
+        <div style={{ marginTop: 8, fontSize: 13, color: PALETTE.muted }}>All files are at the top level.</div>
+      ) : (
+        <div style={{ marginTop: 8, maxHeight: 320, overflow: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ color: PALETTE.ink }}>
+                <th style={{ ...cell, textAlign: "left" }}>Directory</th>
+                <th style={cell}>Files</th>
+                <th style={cell}>Lines</th>
+                <th style={cell}>Avg cyclo</th>
+                <th style={cell}>Max cyclo</th>
+                <th style={cell}>Avg maint.</th>
+                <th style={cell}>Duplicates</th>
+              </tr>
+            </thead>
+            <tbody>{rows.map(row)}</tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+// QuadrantChart.jsx — bubble chart: x = cyclomatic, y = maintainability, size = lines
+import React, { useRef, useState } from "react";
+import { Bubble } from "react-chartjs-2";
+import { PALETTE, buttonStyle } from "./helpers";
+import { quadrantPlugin } from "./chartPlugins";
+import { DEFAULT_THRESHOLDS, QUADRANTS, classifyFile, bubbleRadius, pointInPolygon, boxToPolygon } from "./quadrants";
+
+const numberInput = { width: 64, padding: "4px 6px", borderRadius: 6, border: "1px solid rgba(0,0,0,0.1)", fontSize: 12 };
+
+export default function QuadrantChart({ files, onSelectPaths, onOpenFile }) {
+  const [thresholds, setThresholds] = useState(DEFAULT_THRESHOLDS);
+  const [selectMode, setSelectMode] = useState("off"); // off | box | lasso
+  const [drag, setDrag] = useState(null); // { start, points }
+  const chartRef = useRef(null);
+
+  const measured = files.filter((f) => typeof f.cyclomatic === "number" && typeof f.maintainabilityIndex === "number");
+  const maxLines = measured.reduce((a, f) => Math.max(a, f.lines || 0), 1);
+  const byQuadrant = { refactor: [], watch: [], healthy: [] };
+  measured.forEach((f) => byQuadrant[classifyFile(f, thresholds)].push(f));
+
+  const data = {
+    datasets: Object.entries(QUADRANTS).map(([key, q]) => ({
+      label: `${q.label} (${byQuadrant[key].length})`,
+      data: byQuadrant[key].map((f) => ({ x: f.cyclomatic, y: f.maintainabilityIndex, r: bubbleRadius(f.lines, maxLines), path: f.path, lines: f.lines })),
+      backgroundColor: `${q.color}aa`,
+      borderColor: q.color,
+      borderWidth: 1,
+    })),
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: true, position: "bottom", labels: { boxWidth: 12, color: PALETTE.ink } },
+      title: { display: true, text: "Complexity vs. Maintainability (size = lines)", font: { size: 14, weight: 700 } },
+      quadrants: {
+        x: thresholds.cyclomatic,
+        y: thresholds.maintainability,
+        labels: { topLeft: "healthy", topRight: "watch", bottomLeft: "watch", bottomRight: "refactor now" },
+      },
+      tooltip: {
+        enabled: selectMode === "off",
+        callbacks: {
+          title: (items) => items[0]?.raw?.path || "",
+          label: (ctx) => `Cyclomatic ${ctx.raw.x} · Maintainability ${ctx.raw.y} · ${ctx.raw.lines ?? "?"} lines`,
+        },
+      },
+    },
+    scales: {
+      x: { beginAtZero: true, title: { display: true, text: "Cyclomatic", color: PALETTE.ink }, ticks: { color: PALETTE.ink } },
+      y: { title: { display: true, text: "Maintainability", color: PALETTE.ink }, ticks: { color: PALETTE.ink } },
+    },
+    onClick: (evt, elements) => {
+      if (selectMode !== "off" || !elements.length) return;
+      const paths = elements.map((el) => data.datasets[el.datasetIndex].data[el.index].path);
+      if (paths.length === 1) onOpenFile(paths[0]);
+      else onSelectPaths(`${paths.length} overlapping files`, paths);
+    },
+    animation: { duration: 400 },
+  };
+
+  // ---------- box / lasso selection over the canvas ----------
+  function localPoint(e) {
+    const box = e.currentTarget.getBoundingClientRect();
+    return [e.clientX - box.left, e.clientY - box.top];
+  }
+  function onPointerDown(e) {
+    const p = localPoint(e);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ start: p, points: [p] });
+  }
+  function onPointerMove(e) {
+    if (!drag) return;
+    const p = localPoint(e);
+    setDrag((d) => (selectMode === "lasso" ? { ...d, points: [...d.points, p] } : { ...d, points: [d.start, p] }));
+  }
+  function onPointerUp() {
+    const chart = chartRef.current;
+    const current = drag;
+    setDrag(null);
+    if (!chart || !current || current.points.length < 2) return;
+    const polygon = selectMode === "lasso" ? current.points : boxToPolygon(current.start, current.points[current.points.length - 1]);
+    const selected = [];
+    data.datasets.forEach((ds, di) => {
+      // datasets hidden via the legend are not selectable
+      if (!chart.isDatasetVisible(di)) return;
+      chart.getDatasetMeta(di).data.forEach((el, i) => {
+        if (pointInPolygon(el.x, el.y, polygon)) selected.push(ds.data[i].path);
+      });
+    });
+    if (selected.length) onSelectPaths(`Selection · ${selected.length} file(s)`, selected);
+  }
+
+  let overlayShape = null;
+  if (drag && drag.points.length > 1) {
+    const pts = selectMode === "lasso" ? drag.points : boxToPolygon(drag.start, drag.points[drag.points.length - 1]);
+    overlayShape = pts.map((p) => p.join(",")).join(" ");
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <h4 style={{ margin: 0 }}>Quadrants</h4>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 12, color: PALETTE.ink }}>
+          <label>
+            Cyclomatic &gt;{" "}
+            <input
+              type="number"
+              value={thresholds.cyclomatic}
+              onChange={(e) => setThresholds((t) => ({ ...t, cyclomatic: Number(e.target.value) }))}
+              style={numberInput}
+            />
+          </label>
+          <label>
+            Maintainability &lt;{" "}
+            <input
+              type="number"
+              value={thresholds.maintainability}
+              onChange={(e) => setThresholds((t) => ({ ...t, maintainability: Number(e.target.value) }))}
+              style={numberInput}
+            />
+          </label>
+          <span style={{ fontWeight: 700, marginLeft: 6 }}>Select:</span>
+          {["off", "box", "lasso"].map((m) => (
+            <button key={m} onClick={() => setSelectMode(m)} style={{ ...buttonStyle(selectMode === m ? PALETTE.teal : "#ffffff"), padding: "4px 10px", fontSize: 12 }}>
+              {m}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!measured.length ? (
+        <div style={{ marginTop: 10, fontSize: 13, color: PALETTE.muted }}>No files with both cyclomatic and maintainability scores.</div>
+      ) : (
+        <div style={{ position: "relative", height: 380, marginTop: 8 }}>
+          <Bubble ref={chartRef} data={data} options={options} plugins={[quadrantPlugin]} />
+          {selectMode !== "off" && (
+            <svg
+              onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerCancel={() => setDrag(null)}
+              style={{ position: "absolute", inset: 0, width: "100%", height: "100%", cursor: "crosshair", touchAction: "none" }}
+            >
+              {overlayShape && <polygon points={overlayShape} fill="rgba(0,184,169,0.12)" stroke={PALETTE.teal} strokeDasharray="4 3" />}
+            </svg>
+          )}
+        </div>
+      )}
+      <div style={{ marginTop: 6, fontSize: 12, color: PALETTE.muted, textAlign: "right" }}>
+        {selectMode === "off" ? "Tip: click a bubble, or switch to box/lasso to select several files" : `Drag to ${selectMode}-select bubbles`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+// QualityGatesPanel.jsx — pass/fail banner, violation list and rule editor
+import React, { useRef, useState } from "react";
+import { PALETTE, buttonStyle } from "./helpers";
+import { GATE_METRICS, GATE_SCOPES, GATE_OPS, DEFAULT_RULES, describeRule, newRuleId, parseRules, ruleValue, serializeRules } from "./qualityGates";
+import { downloadText } from "./exporters";
+
+const smallBtn = (color) => ({ ...buttonStyle(color), padding: "4px 10px", fontSize: 12 });
+const selectStyle = { padding: "4px 6px", borderRadius: 6, fontSize: 12 };
+
+export default function QualityGatesPanel({ rules, onChange, evaluation, onSelectFile }) {
+  const [editing, setEditing] = useState(false);
+  const [importError, setImportError] = useState("");
+  const [expanded, setExpanded] = useState({});
+  const importRef = useRef(null);
+
+  const failed = evaluation.results.filter((r) => !r.passed);
+  const hasRules = evaluation.results.length > 0;
+
+  function update(id, patch) {
+    onChange(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  async function importFile(e) {
+    const f = e.target.files?.[0];
+    e.target.value = null;
+    if (!f) return;
+    try {
+      onChange(parseRules(await f.text()));
+      setImportError("");
+    } catch (err) {
+      setImportError(`Could not import gates: ${err?.message || err}`);
+    }
+  }
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: 10,
+          padding: "10px 12px",
+          borderRadius: 10,
+          background: !hasRules ? "#f4f4f0" : evaluation.passed ? "rgba(0,184,169,0.12)" : "rgba(246,65,108,0.12)",
+          border: `1px solid ${!hasRules ? "rgba(0,0,0,0.06)" : evaluation.passed ? PALETTE.teal : PALETTE.pink}`,
+        }}
+      >
+        <div style={{ fontWeight: 900, fontSize: 15, color: !hasRules ? PALETTE.muted : evaluation.passed ? "#00796f" : "#b30e36" }}>
+          {!hasRules
+            ? "Quality gate: no rules enabled"
+            : evaluation.passed
+            ? `Quality gate PASSED · ${evaluation.results.length} rule(s)`
+            : `Quality gate FAILED · ${failed.length} of ${evaluation.results.length} rule(s) · ${evaluation.violating.size} file(s) in violation`}
+        </div>
+        <button onClick={() => setEditing((v) => !v)} style={smallBtn("#ffffff")}>
+          {editing ? "Done" : "Edit rules"}
+        </button>
+      </div>
+
+      {failed.length > 0 && (
+        <ul style={{ margin: "10px 0 0", paddingLeft: 18, fontSize: 13 }}>
+          {failed.map(({ rule, actual, violators }) => (
+            <li key={rule.id} style={{ padding: "4px 0" }}>
+              <strong>{describeRule(rule)}</strong>
+              {rule.scope === "file" ? (
+                <>
+                  {" — "}
+                  <button
+                    onClick={() => setExpanded((prev) => ({ ...prev, [rule.id]: !prev[rule.id] }))}
+                    style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", color: PALETTE.pink, fontWeight: 800 }}
+                  >
+                    {actual} file(s) {expanded[rule.id] ? "▲" : "▼"}
+                  </button>
+                  {expanded[rule.id] && (
+                    <ul style={{ margin: "4px 0", paddingLeft: 18, maxHeight: 220, overflow: "auto" }}>
+                      {violators.map((v) => (
+                        <li key={v.path} style={{ padding: "2px 0" }}>
+                          <button
+                            onClick={() => onSelectFile(v.path)}
+                            style={{ background: "transparent", border: "none", padding: 0, cursor: "pointer", color: PALETTE.ink, fontWeight: 600, textAlign: "left" }}
+                          >
+                            {v.path}
+                          </button>{" "}
+                          <span style={{ color: PALETTE.pink, fontWeight: 800 }}>{v.actual}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              ) : (
+                <span style={{ color: PALETTE.pink, fontWeight: 800 }}> — actual {actual}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editing && (
+        <div style={{ marginTop: 10, background: "#fafaf6", borderRadius: 10, padding: 10, border: "1px solid rgba(0,0,0,0.05)" }}>
+          {rules.map((r) => (
+            <div key={r.id} style={{ display: "flex", gap: 6, alignItems: "center", padding: "4px 0", fontSize: 12 }}>
+              <input type="checkbox" checked={r.enabled} onChange={(e) => update(r.id, { enabled: e.target.checked })} title="Enabled" />
+              <select value={r.scope} onChange={(e) => update(r.id, { scope: e.target.value })} style={selectStyle}>
+                {Object.entries(GATE_SCOPES).map(([k, v]) => (
+                  <option key={k} value={k}>
+                    {v}
+                  </option>
+                ))}
+              </select>
+              <select value={r.metric} onChange={(e) => update(r.id, { metric: e.target.value })} style={selectStyle}>
+                {Object.entries(GATE_METRICS).map(([k, m]) => (
+                  <option key={k} value={k}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
+              <select value={r.op} onChange={(e) => update(r.id, { op: e.target.value })} style={selectStyle}>
+                {Object.keys(GATE_OPS).map((op) => (
+                  <option key={op} value={op}>
+                    {op}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={r.value}
+                onChange={(e) => update(r.id, { value: e.target.value })}
+                title={ruleValue(r) === null ? "Not evaluated until this is a number" : undefined}
+                style={{ ...selectStyle, width: 80, border: `1px solid ${ruleValue(r) === null ? PALETTE.pink : "rgba(0,0,0,0.1)"}` }}
+              />
+              <button onClick={() => onChange(rules.filter((x) => x.id !== r.id))} style={smallBtn("#ffffff")} title="Remove rule">
+                ✕
+              </button>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 6, marginTop: 8, flexWrap: "wrap" }}>
+            <button
+              onClick={() => onChange([...rules, { id: newRuleId(), metric: "cyclomatic", scope: "file", op: "<=", value: 10, enabled: true }])}
+              style={smallBtn(PALETTE.teal)}
+            >
+              Add rule
+            </button>
+            <button onClick={() => downloadText("codalens-gates.json", serializeRules(rules), "application/json")} style={smallBtn("#ffffff")}>
+              Export JSON
+            </button>
+            <button onClick={() => importRef.current && importRef.current.click()} style={smallBtn("#ffffff")}>
+              Import JSON
+            </button>
+            <button onClick={() => onChange(DEFAULT_RULES)} style={smallBtn(PALETTE.yellow)}>
+              Reset defaults
+            </button>
+            <input ref={importRef} type="file" accept="application/json,.json" onChange={importFile} style={{ display: "none" }} />
+          </div>
+          {importError && <div style={{ marginTop: 8, color: "#b30e0e", fontWeight: 600, fontSize: 12 }}>{importError}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+// ReportView.jsx — print-optimized report page (#/report) for browser "Save as PDF"
+import React from "react";
+import { Bar, Line, Doughnut } from "react-chartjs-2";
+import { PALETTE, buttonStyle, rampColor, hasMetric, formatMetric } from "./helpers";
+import { avgLinePlugin, centerTextPlugin } from "./chartPlugins";
+import { summarize } from "./exporters";
+import { partnerCount } from "./duplicates";
+
+// charts reuse the Analysis panel config, minus animation so they are complete when printing
+function still(options) {
+  return { ...options, animation: false, responsive: true, maintainAspectRatio: false };
+}
+
+export default function ReportView({ source, files, charts, onBack }) {
+  const s = summarize(files);
+  const cyclo = files.map((f) => f.cyclomatic).filter(hasMetric);
+  const maxCyclo = cyclo.reduce((a, b) => Math.max(a, b), 1);
+  const minCyclo = cyclo.reduce((a, b) => Math.min(a, b), 0);
+
+  const cell = { padding: "4px 6px", borderBottom: "1px solid #e5e5e5", textAlign: "left" };
+
+  return (
+    <div className="report-page" style={{ background: "#fff", color: PALETTE.ink, minHeight: "100vh", fontSize: 13 }}>
+      <div style={{ maxWidth: 1000, margin: "0 auto", padding: 24 }}>
+        <div className="no-print" style={{ display: "flex", gap: 10, justifyContent: "flex-end", marginBottom: 12 }}>
+          <button onClick={onBack} style={buttonStyle(PALETTE.yellow)}>
+            Back
+          </button>
+          <button onClick={() => window.print()} style={buttonStyle(PALETTE.teal)} disabled={!files.length}>
+            Print / Save as PDF
+          </button>
+        </div>
+
+        <h1 style={{ margin: 0, fontSize: 28, fontWeight: 900, letterSpacing: "1px" }}>CODALENS report</h1>
+        <div style={{ color: PALETTE.muted, marginTop: 4 }}>
+          {source ? `${source} · ` : ""}
+          {new Date().toLocaleString()}
+        </div>
+
+        {!files.length ? (
+          <div style={{ marginTop: 24, color: PALETTE.muted }}>No analysis loaded — go back and upload a project or load a saved run.</div>
+        ) : (
+          <>
+            <h2 style={{ fontSize: 18, marginTop: 20 }}>Summary</h2>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8 }}>
+              {[
+                ["Files", s.files],
+                ["Lines", s.lines],
+                ["Total cyclomatic", s.totalCyclomatic],
+                ["Max cyclomatic", s.maxCyclomatic],
+                ["Avg maintainability", s.avgMaintainability === null ? "n/a" : s.avgMaintainability.toFixed(1)],
+                ["Files with duplicates", s.filesWithDuplicates],
+              ].map(([k, v]) => (
+                <div key={k} style={{ border: "1px solid #e5e5e5", borderRadius: 8, padding: 8 }}>
+                  <div style={{ fontSize: 11, color: PALETTE.muted }}>{k}</div>
+                  <div style={{ fontSize: 18, fontWeight: 800 }}>{v}</div>
+                </div>
+              ))}
+            </div>
+
+            <h2 style={{ fontSize: 18, marginTop: 20 }}>Charts</h2>
+            <div className="report-charts">
+              <div className="report-chart" style={{ height: Math.min(700, charts.barHeight) }}>
+                <Bar data={charts.barData} options={still(charts.barOptions)} plugins={[avgLinePlugin]} />
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "200px 1fr", gap: 12, marginTop: 12 }}>
+                <div className="report-chart" style={{ height: 200 }}>
+                  <Doughnut data={charts.donutData} options={still(charts.donutOptions)} plugins={[centerTextPlugin]} />
+                </div>
+                <div className="report-chart" style={{ height: 200 }}>
+                  <Line data={charts.lineData} options={still(charts.lineOptions)} />
+                </div>
+              </div>
+            </div>
+
+            <h2 style={{ fontSize: 18, marginTop: 20 }}>Files ({files.length})</h2>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr>
+                  <th style={cell}>Path</th>
+                  <th style={cell}>Lines</th>
+                  <th style={cell}>Cyclomatic</th>
+                  <th style={cell}>Maintainability</th>
+                  <th style={cell}>Duplicates</th>
+                </tr>
+              </thead>
+              <tbody>
+                {files.map((f) => (
+                  <tr key={f.path}>
+                    <td style={{ ...cell, wordBreak: "break-all" }}>
+                      <span
+                        style={{
+                          display: "inline-block",
+                          width: 8,
+                          height: 8,
+                          borderRadius: 2,
+                          marginRight: 6,
+                          background: hasMetric(f.cyclomatic) ? rampColor(f.cyclomatic, minCyclo, (minCyclo + maxCyclo) / 2, maxCyclo) : "#bdbdbd",
+                        }}
+                      />
+                      {f.path}
+                    </td>
+                    <td style={cell}>{formatMetric(f.lines)}</td>
+                    <td style={cell}>{formatMetric(f.cyclomatic)}</td>
+                    <td style={cell}>{formatMetric(f.maintainabilityIndex)}</td>
+                    <td style={cell}>{partnerCount(f)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+
+      <style>{`
+        .report-page *, .report-page *::before, .report-page *::after { animation: none !important; transition: none !important; }
+        .report-chart { break-inside: avoid; page-break-inside: avoid; }
+        .report-page thead { display: table-header-group; }
+        .report-page tr { break-inside: avoid; page-break-inside: avoid; }
+        @page { size: A4; margin: 14mm; }
+        @media print {
+          .no-print { display: none !important; }
+          body { background: #fff !important; }
+          .report-page > div { max-width: none !important; padding: 0 !important; }
+          .report-page h2 { break-after: avoid; page-break-after: avoid; }
+          /* canvases keep their on-screen pixel size; let them scale to the page */
+          .report-chart canvas { max-width: 100% !important; height: auto !important; }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+// RunDiffTable.jsx — per-file before → after table for two analyses (run history and A vs B uploads)
+import React from "react";
+import { PALETTE } from "./helpers";
+
+export const STATUS_COLORS = {
+  added: PALETTE.teal,
+  removed: PALETTE.pink,
+  changed: "#c99a00",
+  unchanged: PALETTE.muted,
+};
+
+// metrics where a higher value is an improvement
+const HIGHER_IS_BETTER = { maintainabilityIndex: true };
+
+function DeltaCell({ metric, row }) {
+  const before = row.before[metric];
+  const after = row.after[metric];
+  const d = row.delta[metric];
+  if (row.status === "added") return <td style={{ padding: 8 }}>{after ?? "-"}</td>;
+  if (row.status === "removed") return <td style={{ padding: 8, color: PALETTE.muted }}>{before ?? "-"}</td>;
+  const good = d && (HIGHER_IS_BETTER[metric] ? d > 0 : d < 0);
+  return (
+    <td style={{ padding: 8, whiteSpace: "nowrap" }}>
+      {before ?? "-"} → {after ?? "-"}
+      {d ? (
+        <span style={{ marginLeft: 6, fontWeight: 800, color: good ? PALETTE.teal : PALETTE.pink }}>
+          {d > 0 ? "+" : ""}
+          {d}
+        </span>
+      ) : null}
+    </td>
+  );
+}
+
+export default function RunDiffTable({ rows, onOpenFile }) {
+  return (
+    <div style={{ marginTop: 8, maxHeight: 420, overflow: "auto", background: "#fff", borderRadius: 10, border: "1px solid rgba(0,0,0,0.06)" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr style={{ textAlign: "left", color: PALETTE.ink }}>
+            <th style={{ padding: 8 }}>Path</th>
+            <th style={{ padding: 8 }}>Status</th>
+            <th style={{ padding: 8 }}>Cyclomatic</th>
+            <th style={{ padding: 8 }}>Maintainability</th>
+            <th style={{ padding: 8 }}>Lines</th>
+            <th style={{ padding: 8 }}>Duplicates</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.path} style={{ borderTop: "1px solid rgba(0,0,0,0.04)" }}>
+              <td
+                onClick={onOpenFile && row.status !== "removed" ? () => onOpenFile(row.path) : undefined}
+                style={{ padding: 8, fontWeight: 700, wordBreak: "break-all", cursor: onOpenFile && row.status !== "removed" ? "pointer" : "default" }}
+              >
+                {row.path}
+              </td>
+              <td style={{ padding: 8, fontWeight: 800, color: STATUS_COLORS[row.status] }}>{row.status}</td>
+              <DeltaCell metric="cyclomatic" row={row} />
+              <DeltaCell metric="maintainabilityIndex" row={row} />
+              <DeltaCell metric="lines" row={row} />
+              <DeltaCell metric="duplicates" row={row} />
+            </tr>
+          ))}
+          {!rows.length && (
+            <tr>
+              <td colSpan={6} style={{ padding: 10, color: PALETTE.muted }}>
+                No differences between these runs.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
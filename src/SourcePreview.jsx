@@ -0,0 +1,47 @@
+// SourcePreview.jsx — highlighted Java source with line numbers and highlighted line ranges
+import React, { useEffect, useMemo, useRef } from "react";
+import { PALETTE } from "./helpers";
+import { tokenizeJava, tokensByLine, TOKEN_COLORS } from "./javaHighlight";
+
+const LINE_H = 18;
+
+export default function SourcePreview({ text, highlight, scrollToLine, maxHeight = 480 }) {
+  const lines = useMemo(() => tokensByLine(tokenizeJava(text)), [text]);
+  const boxRef = useRef(null);
+  const gutter = String(lines.length).length;
+
+  useEffect(() => {
+    if (boxRef.current && scrollToLine) boxRef.current.scrollTop = Math.max(0, (scrollToLine - 3) * LINE_H);
+  }, [scrollToLine]);
+
+  const isHighlighted = (n) => (highlight || []).some(([a, b]) => n >= a && n <= b);
+
+  return (
+    <div
+      ref={boxRef}
+      style={{
+        maxHeight,
+        overflow: "auto",
+        background: "#fbfbf7",
+        border: "1px solid rgba(0,0,0,0.06)",
+        borderRadius: 8,
+        fontFamily: "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace",
+        fontSize: 12,
+        lineHeight: `${LINE_H}px`,
+      }}
+    >
+      {lines.map((toks, i) => (
+        <div key={i} style={{ display: "flex", whiteSpace: "pre", background: isHighlighted(i + 1) ? "rgba(255,222,125,0.45)" : "transparent" }}>
+          <span style={{ width: `${gutter + 2}ch`, flexShrink: 0, textAlign: "right", paddingRight: 8, color: "#a3a3a3", userSelect: "none" }}>{i + 1}</span>
+          <span>
+            {toks.map((t, j) => (
+              <span key={j} style={{ color: TOKEN_COLORS[t.type] || PALETTE.ink, fontStyle: t.type === "comment" ? "italic" : "normal" }}>
+                {t.text}
+              </span>
+            ))}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
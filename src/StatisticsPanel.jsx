@@ -0,0 +1,159 @@
+// StatisticsPanel.jsx — distributions over the whole analysis: percentiles, histograms and concentration
+import React, { useMemo, useState } from "react";
+import { Bar, Line } from "react-chartjs-2";
+import { PALETTE } from "./helpers";
+import { concentration, distribution, histogram } from "./statistics";
+
+const METRICS = [
+  { key: "cyclomatic", label: "Cyclomatic", integer: true, color: PALETTE.pink },
+  { key: "maintainabilityIndex", label: "Maintainability", integer: false, color: PALETTE.teal },
+  { key: "lines", label: "Lines", integer: true, color: "#d89b00" },
+];
+const SUMMARY_COLUMNS = [
+  ["count", "Files"],
+  ["mean", "Mean"],
+  ["stdDev", "Std dev"],
+  ["p50", "p50"],
+  ["p90", "p90"],
+  ["p99", "p99"],
+  ["max", "Max"],
+  ["missing", "n/a"],
+];
+const cell = { padding: "6px 8px", textAlign: "right" };
+
+export default function StatisticsPanel({ files, filteredFiles, onSelectPaths }) {
+  const [scope, setScope] = useState("project"); // "project" | "filtered"
+  const scoped = scope === "filtered" ? filteredFiles : files;
+  const canFilter = filteredFiles.length !== files.length;
+
+  const stats = useMemo(
+    () =>
+      METRICS.map((m) => ({
+        ...m,
+        summary: distribution(scoped.map((f) => f[m.key])),
+        bins: histogram(scoped, m.key, { integer: m.integer }),
+      })),
+    [scoped]
+  );
+  const curves = useMemo(
+    () => ({
+      cyclomatic: concentration(scoped.map((f) => f.cyclomatic)),
+      lines: concentration(scoped.map((f) => f.lines)),
+    }),
+    [scoped]
+  );
+  const complexityShare = curves.cyclomatic.filesShareFor(0.8);
+  const linesShare = curves.lines.filesShareFor(0.8);
+
+  function histogramChart({ key, label, color, bins }) {
+    const data = {
+      labels: bins.map((b) => b.label),
+      datasets: [{ label: "Files", data: bins.map((b) => b.paths.length), backgroundColor: color, borderRadius: 3, barPercentage: 1, categoryPercentage: 0.92 }],
+    };
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        title: { display: true, text: `${label} distribution`, font: { size: 13, weight: 700 } },
+        tooltip: { callbacks: { title: (items) => `${label} ${items[0].label}`, label: (ctx) => `${ctx.raw} file(s)` } },
+      },
+      scales: {
+        x: { ticks: { color: PALETTE.ink, maxRotation: 45, autoSkip: true }, grid: { display: false } },
+        y: { beginAtZero: true, ticks: { precision: 0, color: PALETTE.ink } },
+      },
+      onClick: (evt, elements) => {
+        const bin = elements?.length ? bins[elements[0].index] : null;
+        if (bin?.paths.length) onSelectPaths(`${label} ${bin.label}`, bin.paths);
+      },
+      animation: { duration: 400 },
+    };
+    return (
+      <div key={key} style={{ height: 200, background: "#fff", borderRadius: 10, padding: 8, border: "1px solid rgba(0,0,0,0.06)" }}>
+        <Bar data={data} options={options} />
+      </div>
+    );
+  }
+
+  const curveData = {
+    datasets: [
+      { label: "Cyclomatic", data: curves.cyclomatic.points, borderColor: PALETTE.pink, backgroundColor: PALETTE.pink, pointRadius: 0, tension: 0 },
+      { label: "Lines", data: curves.lines.points, borderColor: "#d89b00", backgroundColor: "#d89b00", pointRadius: 0, tension: 0 },
+      { label: "Even spread", data: [{ x: 0, y: 0 }, { x: 100, y: 100 }], borderColor: "rgba(0,0,0,0.2)", borderDash: [4, 4], pointRadius: 0 },
+    ],
+  };
+  const curveOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: true, labels: { boxWidth: 12, font: { size: 11 } } },
+      title: { display: true, text: "Concentration (largest files first)", font: { size: 13, weight: 700 } },
+      tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y}% of total in ${ctx.parsed.x}% of files` } },
+    },
+    scales: {
+      x: { type: "linear", min: 0, max: 100, title: { display: true, text: "% of files" }, ticks: { color: PALETTE.ink } },
+      y: { min: 0, max: 100, title: { display: true, text: "% of total" }, ticks: { color: PALETTE.ink } },
+    },
+    animation: { duration: 400 },
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+        <h3 style={{ margin: 0 }}>Statistics</h3>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+          <label style={{ fontWeight: 700 }}>Scope:</label>
+          <select value={canFilter ? scope : "project"} disabled={!canFilter} onChange={(e) => setScope(e.target.value)} style={{ padding: "6px 8px", borderRadius: 6 }}>
+            <option value="project">Whole project ({files.length} files)</option>
+            <option value="filtered">Current filter ({filteredFiles.length} files)</option>
+          </select>
+        </div>
+      </div>
+
+      {complexityShare !== null && (
+        <div style={{ marginTop: 10, fontSize: 15, fontWeight: 800, color: PALETTE.ink }}>
+          80% of complexity lives in {complexityShare}% of files
+          {linesShare !== null && <span style={{ fontWeight: 600, color: PALETTE.muted, fontSize: 13 }}> · 80% of lines in {linesShare}% of files</span>}
+        </div>
+      )}
+
+      <div style={{ overflowX: "auto", marginTop: 10 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr style={{ color: PALETTE.ink }}>
+              <th style={{ ...cell, textAlign: "left" }}>Metric</th>
+              {SUMMARY_COLUMNS.map(([k, title]) => (
+                <th key={k} style={cell}>
+                  {title}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {stats.map(({ key, label, color, summary }) => (
+              <tr key={key} style={{ borderTop: "1px solid rgba(0,0,0,0.04)" }}>
+                <td style={{ ...cell, textAlign: "left", fontWeight: 700 }}>
+                  <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: 3, background: color, marginRight: 6 }} />
+                  {label}
+                </td>
+                {SUMMARY_COLUMNS.map(([k]) => (
+                  <td key={k} style={{ ...cell, color: k === "missing" && summary.missing ? PALETTE.pink : PALETTE.ink }}>
+                    {summary[k] ?? "n/a"}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: 10, marginTop: 12 }}>
+        {stats.map(histogramChart)}
+        <div style={{ height: 200, background: "#fff", borderRadius: 10, padding: 8, border: "1px solid rgba(0,0,0,0.06)" }}>
+          <Line data={curveData} options={curveOptions} />
+        </div>
+      </div>
+      <div style={{ marginTop: 6, fontSize: 12, color: PALETTE.muted }}>Click a histogram bar to list its files. Files without a metric are left out of its statistics.</div>
+    </div>
+  );
+}
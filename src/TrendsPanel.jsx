@@ -0,0 +1,129 @@
+// TrendsPanel.jsx — time series of project-wide metrics across saved runs
+import React, { useEffect, useMemo, useState } from "react";
+import { Line } from "react-chartjs-2";
+import { PALETTE } from "./helpers";
+import { avgLinePlugin } from "./chartPlugins";
+import { listRuns, projectKey, runMetrics } from "./history";
+
+const SERIES = [
+  { key: "avgMaintainability", title: "Avg Maintainability", color: PALETTE.teal },
+  { key: "totalCyclomatic", title: "Total Cyclomatic", color: PALETTE.pink },
+  { key: "maxCyclomatic", title: "Max Cyclomatic", color: "#d89b00" },
+  { key: "clonePairs", title: "Clone pairs", color: PALETTE.ink },
+];
+
+export default function TrendsPanel({ version, activeRunId, activeProject, onLoadRun }) {
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState("");
+  const [picked, setPicked] = useState(""); // project chosen in the dropdown; "" follows the Analysis panel
+
+  useEffect(() => {
+    let cancelled = false;
+    listRuns()
+      .then((list) => !cancelled && setRuns(list))
+      .catch((err) => !cancelled && setError(err?.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  const projects = useMemo(() => [...new Set(runs.map(projectKey))].sort(), [runs]);
+
+  // follow the run shown in the Analysis panel unless the user picked a project here since it changed;
+  // history reloads (new runs, renames) keep the pick
+  useEffect(() => setPicked(""), [activeProject]);
+  const selected = projects.includes(picked) ? picked : projects.includes(activeProject) ? activeProject : projects[0] || "";
+
+  // oldest first so the x axis reads left-to-right in time
+  const series = useMemo(
+    () =>
+      runs
+        .filter((r) => projectKey(r) === selected)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map((r) => ({ run: r, metrics: runMetrics(r.result) })),
+    [runs, selected]
+  );
+  const labels = series.map(({ run }) => new Date(run.timestamp).toLocaleDateString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }));
+
+  function chartFor({ key, title, color }) {
+    const data = {
+      labels,
+      datasets: [
+        {
+          label: title,
+          data: series.map((s) => s.metrics[key]),
+          borderColor: color,
+          backgroundColor: color,
+          tension: 0.25,
+          pointRadius: series.map((s) => (s.run.id === activeRunId ? 7 : 4)),
+          pointHoverRadius: 8,
+          pointBackgroundColor: series.map((s) => (s.run.id === activeRunId ? PALETTE.pink : color)),
+        },
+      ],
+    };
+    const options = {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        title: { display: true, text: title, font: { size: 13, weight: 700 } },
+        tooltip: {
+          callbacks: {
+            title: (items) => series[items[0].dataIndex]?.run.label || items[0].label,
+            label: (ctx) => `${title}: ${ctx.formattedValue}`,
+          },
+        },
+      },
+      scales: {
+        y: { beginAtZero: key !== "avgMaintainability", ticks: { color: PALETTE.ink } },
+        x: { ticks: { color: PALETTE.ink, maxRotation: 35, autoSkip: true }, grid: { display: false } },
+      },
+      onClick: (evt, elements) => {
+        if (!elements || !elements.length) return;
+        const s = series[elements[0].index];
+        if (s) onLoadRun(s.run);
+      },
+      animation: { duration: 400 },
+    };
+    return (
+      <div key={key} style={{ height: 200, background: "#fff", borderRadius: 10, padding: 8, border: "1px solid rgba(0,0,0,0.06)" }}>
+        <Line data={data} options={options} plugins={[avgLinePlugin]} />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+        <h3 style={{ margin: 0 }}>Trends</h3>
+        {projects.length > 0 && (
+          <div style={{ display: "flex", alignItems: "center", gap: 8, background: "#fff", padding: 8, borderRadius: 8, border: "1px solid rgba(0,0,0,0.04)" }}>
+            <label style={{ fontSize: 13, color: PALETTE.ink, fontWeight: 700 }}>Project:</label>
+            <select value={selected} onChange={(e) => setPicked(e.target.value)} style={{ padding: "6px 8px", borderRadius: 6 }}>
+              {projects.map((p) => (
+                <option key={p} value={p}>
+                  {p}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {error && <div style={{ marginTop: 8, color: "#b30e0e", fontWeight: 600 }}>{error}</div>}
+
+      {series.length < 2 ? (
+        <div style={{ marginTop: 10, fontSize: 13, color: PALETTE.muted }}>
+          Trends appear once a project has at least two saved runs.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 10 }}>{SERIES.map(chartFor)}</div>
+          <div style={{ marginTop: 8, fontSize: 12, color: PALETTE.muted, textAlign: "right" }}>
+            Tip: click a point to load that run into the Analysis panel
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+// ZipSelection.jsx — tree of the .java files inside a chosen zip, to pick what gets uploaded
+import React, { useEffect, useMemo, useState } from "react";
+import { PALETTE } from "./helpers";
+import { buildPathTree } from "./pathTree";
+import { isZip, readSources } from "./sourceArchive";
+import { filterByPatterns, loadPatterns, parsePatterns, savePatterns } from "./uploadSelection";
+
+const PRESETS = [
+  ["tests", ["**/test/**", "**/tests/**", "*Test.java"]],
+  ["generated", ["**/generated/**", "**/generated-sources/**", "**/target/**", "**/build/**"]],
+  ["vendored", ["**/vendor/**", "**/third_party/**", "**/thirdparty/**"]],
+];
+
+const patternInput = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "5px 8px",
+  borderRadius: 6,
+  border: "1px solid rgba(0,0,0,0.1)",
+  fontSize: 12,
+  fontFamily: "ui-monospace, Menlo, monospace",
+  resize: "vertical",
+};
+
+// onChange(names) with the selected entry names, or null when the zip should go up unchanged
+export default function ZipSelection({ file, onChange }) {
+  const [names, setNames] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [deselected, setDeselected] = useState(() => new Set());
+  const [expanded, setExpanded] = useState(() => new Set([""]));
+  const [patterns, setPatterns] = useState(loadPatterns);
+
+  useEffect(() => {
+    setNames(null);
+    setDeselected(new Set());
+    setExpanded(new Set([""]));
+    if (!isZip(file)) return setStatus("idle");
+    let cancelled = false;
+    setStatus("loading");
+    readSources(file)
+      .then((sources) => {
+        if (cancelled) return;
+        setNames(Object.keys(sources).sort());
+        setStatus("ok");
+      })
+      .catch(() => !cancelled && setStatus("error"));
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => savePatterns(patterns), [patterns]);
+
+  const allowed = useMemo(() => new Set(filterByPatterns(names || [], patterns.include, patterns.exclude)), [names, patterns]);
+  const selected = useMemo(() => (names || []).filter((n) => allowed.has(n) && !deselected.has(n)), [names, allowed, deselected]);
+  const tree = useMemo(() => buildPathTree((names || []).map((path) => ({ path }))), [names]);
+
+  useEffect(() => {
+    onChange(names && selected.length !== names.length ? selected : null);
+  }, [names, selected, onChange]);
+
+  if (status === "idle") return null;
+  if (status === "loading") return <div style={{ fontSize: 12, color: PALETTE.muted, marginBottom: 12 }}>Reading zip contents…</div>;
+  if (status === "error")
+    return <div style={{ fontSize: 12, color: PALETTE.muted, marginBottom: 12 }}>Could not open the zip in the browser; it will be uploaded as is.</div>;
+
+  const isSelected = (p) => allowed.has(p) && !deselected.has(p);
+
+  function toggleFiles(paths, on) {
+    setDeselected((prev) => {
+      const next = new Set(prev);
+      paths.forEach((p) => (on ? next.delete(p) : next.add(p)));
+      return next;
+    });
+  }
+
+  function toggleExpanded(path) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  }
+
+  function addPreset(list) {
+    setPatterns((prev) => {
+      const current = parsePatterns(prev.exclude);
+      const missing = list.filter((p) => !current.includes(p));
+      return { ...prev, exclude: [...current, ...missing].join("\n") };
+    });
+  }
+
+  const renderNode = (node, depth) => {
+    const candidates = node.allFiles.map((f) => f.path).filter((p) => allowed.has(p));
+    const count = candidates.filter((p) => !deselected.has(p)).length;
+    const all = candidates.length > 0 && count === candidates.length;
+    const open = expanded.has(node.path);
+    return (
+      <div key={`d:${node.path}`}>
+        {node.path && (
+          <div style={{ display: "flex", alignItems: "center", gap: 4, paddingLeft: depth * 12 }}>
+            <span onClick={() => toggleExpanded(node.path)} style={{ cursor: "pointer", width: 12, color: PALETTE.muted }}>
+              {open ? "▾" : "▸"}
+            </span>
+            <input
+              type="checkbox"
+              checked={all}
+              disabled={!candidates.length}
+              ref={(el) => el && (el.indeterminate = count > 0 && !all)}
+              onChange={() => toggleFiles(candidates, !all)}
+            />
+            <span onClick={() => toggleExpanded(node.path)} style={{ cursor: "pointer", fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={node.path}>
+              {node.name}
+            </span>
+            <span style={{ color: PALETTE.muted, flexShrink: 0 }}>
+              {count}/{node.allFiles.length}
+            </span>
+          </div>
+        )}
+        {open && (
+          <>
+            {node.children.map((c) => renderNode(c, node.path ? depth + 1 : depth))}
+            {node.files.map((f) => (
+              <label
+                key={f.path}
+                title={allowed.has(f.path) ? f.path : `${f.path} (excluded by pattern)`}
+                style={{ display: "flex", alignItems: "center", gap: 4, paddingLeft: (node.path ? depth + 1 : depth) * 12 + 16 }}
+              >
+                <input type="checkbox" checked={isSelected(f.path)} disabled={!allowed.has(f.path)} onChange={(e) => toggleFiles([f.path], e.target.checked)} />
+                <span
+                  style={{
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                    color: allowed.has(f.path) ? PALETTE.ink : PALETTE.muted,
+                    textDecoration: allowed.has(f.path) ? "none" : "line-through",
+                  }}
+                >
+                  {f.path.split("/").pop()}
+                </span>
+              </label>
+            ))}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ background: "#fff", border: "1px solid rgba(0,0,0,0.08)", borderRadius: 10, padding: 10, marginBottom: 12, fontSize: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <div style={{ fontWeight: 800 }}>
+          {selected.length} of {names.length} .java file(s) selected
+        </div>
+        <button
+          onClick={() => setDeselected(new Set())}
+          style={{ background: "transparent", border: "none", padding: 0, fontSize: 12, color: PALETTE.ink, textDecoration: "underline" }}
+        >
+          Tick all
+        </button>
+      </div>
+
+      <div style={{ maxHeight: 220, overflow: "auto", border: "1px solid rgba(0,0,0,0.05)", borderRadius: 6, padding: 4, marginBottom: 8 }}>
+        {renderNode(tree, 0)}
+      </div>
+
+      <div style={{ display: "grid", gap: 6 }}>
+        <label>
+          <div style={{ color: PALETTE.muted, marginBottom: 2 }}>Include (globs, one per line)</div>
+          <textarea rows={2} value={patterns.include} onChange={(e) => setPatterns({ ...patterns, include: e.target.value })} placeholder="src/main/**" style={patternInput} />
+        </label>
+        <label>
+          <div style={{ color: PALETTE.muted, marginBottom: 2 }}>Exclude</div>
+          <textarea rows={3} value={patterns.exclude} onChange={(e) => setPatterns({ ...patterns, exclude: e.target.value })} placeholder="**/test/**" style={patternInput} />
+        </label>
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ color: PALETTE.muted }}>Skip:</span>
+          {PRESETS.map(([label, list]) => (
+            <button key={label} onClick={() => addPreset(list)} style={{ padding: "2px 8px", fontSize: 11, borderRadius: 999 }}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {selected.length !== names.length && (
+        <div style={{ color: PALETTE.muted, marginTop: 6 }}>Only the selected .java files are re-zipped and uploaded.</div>
+      )}
+    </div>
+  );
+}
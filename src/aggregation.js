@@ -0,0 +1,136 @@
+// aggregation.js — ways to group files for the "All" view of large projects
+import { hasMetric, meanOf } from "./helpers";
+import { partnerCount } from "./duplicates";
+
+export const AGGREGATIONS = {
+  chunk: { label: "Fixed-size chunks" },
+  package: { label: "By package" },
+  band: { label: "By complexity band" },
+  quantile: { label: "By complexity decile" },
+  maintainability: { label: "Maintainability histogram" },
+};
+
+export const COMPLEXITY_BANDS = [
+  { label: "CC 1–5", max: 5 },
+  { label: "CC 6–10", max: 10 },
+  { label: "CC 11–20", max: 20 },
+  { label: "CC 21+", max: Infinity },
+];
+
+const MI_BUCKETS = ["MI <10", "MI 10–20", "MI 20–30", "MI 30–40", "MI 40–50", "MI 50–60", "MI 60–70", "MI 70–80", "MI 80–90", "MI 90+"];
+const NA_LABEL = "n/a";
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// { count, min, max, median, mean } over the values that are present; all null when none are
+export function metricSummary(values) {
+  const nums = values.filter(hasMetric).sort((a, b) => a - b);
+  if (!nums.length) return { count: 0, min: null, max: null, median: null, mean: null };
+  const mid = nums.length >> 1;
+  const median = nums.length % 2 ? nums[mid] : round1((nums[mid - 1] + nums[mid]) / 2);
+  return { count: nums.length, min: nums[0], max: nums[nums.length - 1], median, mean: meanOf(nums) };
+}
+
+export function summarizeFiles(files) {
+  return {
+    lines: metricSummary(files.map((f) => f.lines)),
+    cyclomatic: metricSummary(files.map((f) => f.cyclomatic)),
+    maintainabilityIndex: metricSummary(files.map((f) => f.maintainabilityIndex)),
+  };
+}
+
+// "min–max · med x" for a group cell or tooltip
+export function formatSummary(s) {
+  return s.count ? `${s.min}–${s.max} · med ${s.median}` : "n/a";
+}
+
+// [{ label, title, files }] -> the shape the charts and table consume
+function fromGroups(strategy, groups) {
+  return {
+    strategy,
+    labels: groups.map((g) => g.label),
+    titles: groups.map((g) => g.title || g.label),
+    cyclo: groups.map((g) => meanOf(g.files.map((f) => f.cyclomatic))),
+    maintain: groups.map((g) => meanOf(g.files.map((f) => f.maintainabilityIndex))),
+    duplicates: groups.map((g) => g.files.reduce((a, b) => a + partnerCount(b), 0)),
+    mapping: groups.map((g) => g.files.map((f) => f.path)),
+    stats: groups.map((g) => summarizeFiles(g.files)),
+  };
+}
+
+// fixed buckets keyed by index; files without the metric go into a trailing "n/a" group
+function bucketGroups(files, labels, bucketOf) {
+  const buckets = labels.map((label) => ({ label, files: [] }));
+  const missing = { label: NA_LABEL, title: "Metric not reported", files: [] };
+  files.forEach((f) => {
+    const i = bucketOf(f);
+    (i === null ? missing : buckets[i]).files.push(f);
+  });
+  return missing.files.length ? [...buckets, missing] : buckets;
+}
+
+// consecutive slices of the sorted list, labelled by rank ("1–20")
+export function aggregateIntoBins(files, binSize = 20) {
+  const groups = [];
+  for (let i = 0; i < files.length; i += binSize) {
+    const slice = files.slice(i, i + binSize);
+    const label = `${i + 1}–${i + slice.length}`;
+    groups.push({ label, title: `Group ${label}`, files: slice });
+  }
+  return fromGroups("chunk", groups);
+}
+
+// one group per directory, in order of first appearance; labels drop the directories all files share
+function byPackage(files) {
+  const dirOf = (p) => (p.includes("/") ? p.slice(0, p.lastIndexOf("/")) : "");
+  const dirs = new Map();
+  files.forEach((f) => {
+    const d = dirOf(f.path);
+    if (!dirs.has(d)) dirs.set(d, []);
+    dirs.get(d).push(f);
+  });
+  const split = [...dirs.keys()].map((d) => (d ? d.split("/") : []));
+  let common = split[0] || [];
+  split.forEach((parts) => {
+    let n = 0;
+    while (n < common.length && n < parts.length && common[n] === parts[n]) n++;
+    common = common.slice(0, n);
+  });
+  return [...dirs.entries()].map(([dir, group]) => {
+    const rest = (dir ? dir.split("/") : []).slice(common.length).join("/");
+    return { label: rest || `${common[common.length - 1] || "(root)"}/`, title: dir || "(root)", files: group };
+  });
+}
+
+function byBand(files) {
+  return bucketGroups(
+    files,
+    COMPLEXITY_BANDS.map((b) => b.label),
+    (f) => (hasMetric(f.cyclomatic) ? COMPLEXITY_BANDS.findIndex((b) => f.cyclomatic <= b.max) : null)
+  );
+}
+
+// ten rank-based groups from least to most complex; ties may straddle a boundary
+function byDecile(files) {
+  const ranked = files.filter((f) => hasMetric(f.cyclomatic)).sort((a, b) => a.cyclomatic - b.cyclomatic);
+  const decile = new Map(ranked.map((f, i) => [f, Math.floor((i * 10) / ranked.length)]));
+  const labels = Array.from({ length: 10 }, (_, k) => `P${k * 10}–${k * 10 + 10}`);
+  return bucketGroups(files, labels, (f) => decile.get(f) ?? null).filter((g) => g.files.length);
+}
+
+function byMaintainability(files) {
+  return bucketGroups(files, MI_BUCKETS, (f) => (hasMetric(f.maintainabilityIndex) ? Math.max(0, Math.min(9, Math.floor(f.maintainabilityIndex / 10))) : null));
+}
+
+/**
+ * Groups `files` (already in display order) with one of the AGGREGATIONS strategies.
+ * Every strategy keeps each group's files in their incoming order.
+ */
+export function aggregateFiles(files, strategy = "chunk", { binSize = 20 } = {}) {
+  if (!files.length) return fromGroups(strategy, []);
+  if (strategy === "package") return fromGroups(strategy, byPackage(files));
+  if (strategy === "band") return fromGroups(strategy, byBand(files));
+  if (strategy === "quantile") return fromGroups(strategy, byDecile(files));
+  if (strategy === "maintainability") return fromGroups(strategy, byMaintainability(files));
+  return aggregateIntoBins(files, binSize);
+}
@@ -0,0 +1,55 @@
+import { aggregateFiles, aggregateIntoBins, formatSummary, metricSummary } from './aggregation';
+
+const file = (path, cyclomatic, maintainabilityIndex = 50, lines = 100) => ({ path, cyclomatic, maintainabilityIndex, lines });
+
+test('summarizes a metric with min, max and median, ignoring missing values', () => {
+  expect(metricSummary([7, null, 1, 4, 10])).toEqual({ count: 4, min: 1, max: 10, median: 5.5, mean: 5.5 });
+  expect(metricSummary([3, 9, 1]).median).toBe(3);
+  expect(formatSummary(metricSummary([null]))).toBe('n/a');
+  expect(formatSummary(metricSummary([2, 8, 3]))).toBe('2–8 · med 3');
+});
+
+test('fixed chunks keep their rank labels and carry group stats', () => {
+  const agg = aggregateIntoBins([file('a', 9), file('b', 5), file('c', 1)], 2);
+  expect(agg.labels).toEqual(['1–2', '3–3']);
+  expect(agg.titles).toEqual(['Group 1–2', 'Group 3–3']);
+  expect(agg.stats[0].cyclomatic).toMatchObject({ min: 5, max: 9, median: 7 });
+});
+
+test('groups by package with the shared prefix dropped from labels', () => {
+  const files = [
+    file('src/com/acme/api/A.java', 3),
+    file('src/com/acme/Root.java', 2),
+    file('src/com/acme/api/B.java', 5),
+    file('src/com/acme/db/C.java', 1),
+  ];
+  const agg = aggregateFiles(files, 'package');
+  expect(agg.labels).toEqual(['api', 'acme/', 'db']);
+  expect(agg.titles[0]).toBe('src/com/acme/api');
+  expect(agg.mapping[0]).toEqual(['src/com/acme/api/A.java', 'src/com/acme/api/B.java']);
+  expect(agg.cyclo).toEqual([4, 2, 1]);
+});
+
+test('groups by complexity band with missing values in their own group', () => {
+  const agg = aggregateFiles([file('a', 1), file('b', 6), file('c', 30), file('d', null), file('e', 5)], 'band');
+  expect(agg.labels).toEqual(['CC 1–5', 'CC 6–10', 'CC 11–20', 'CC 21+', 'n/a']);
+  expect(agg.mapping).toEqual([['a', 'e'], ['b'], [], ['c'], ['d']]);
+});
+
+test('splits into complexity deciles by rank', () => {
+  const files = Array.from({ length: 20 }, (_, i) => file(`F${i}`, 20 - i));
+  const agg = aggregateFiles(files, 'quantile');
+  expect(agg.labels).toHaveLength(10);
+  expect(agg.labels[0]).toBe('P0–10');
+  expect(agg.mapping[0]).toEqual(['F18', 'F19']);
+  expect(agg.mapping[9]).toEqual(['F0', 'F1']);
+});
+
+test('builds a maintainability histogram, clamping out-of-range scores', () => {
+  const agg = aggregateFiles([file('a', 1, 95), file('b', 1, 140), file('c', 1, 42), file('d', 1, -3)], 'maintainability');
+  expect(agg.labels).toHaveLength(10);
+  expect(agg.mapping[9]).toEqual(['a', 'b']);
+  expect(agg.mapping[4]).toEqual(['c']);
+  expect(agg.mapping[0]).toEqual(['d']);
+  expect(aggregateFiles([], 'band').labels).toEqual([]);
+});
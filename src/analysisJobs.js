@@ -0,0 +1,210 @@
+// analysisJobs.js — job-based analysis: submit, then follow over SSE or polling
+//
+// Protocol (used only when GET /api/v1/capabilities answers { jobs: true }):
+//   POST /api/v1/jobs (multipart "file")      -> { jobId }
+//   GET  /api/v1/jobs/:id                     -> { status, phase, processed, total, files?, result?, error? }
+//   GET  /api/v1/jobs/:id/events (SSE, when { sse: true }) with events
+//        phase { phase, processed, total } · file { ...fileEntry } · done { ...analyzeResult } · error { message }
+//   DELETE /api/v1/jobs/:id                   -> cancel (best-effort)
+import { CancelledError, HttpError, NetworkError, SchemaError, TimeoutError } from "./apiErrors";
+import { parseErrorBody, parseJson, uploadWithRetry } from "./uploadRequest";
+
+export const JOB_PHASES = [
+  ["queued", "Queued"],
+  ["unpacking", "Unpacking"],
+  ["parsing", "Parsing"],
+  ["measuring", "Measuring"],
+  ["duplicates", "Duplicate detection"],
+];
+
+export const POLL_MS = 1000;
+// consecutive failed status requests (network, 5xx, timeout) before polling gives up
+export const MAX_POLL_FAILURES = 5;
+
+export const initialJobState = { status: "running", phase: "queued", processed: 0, total: null, files: [], result: null, error: null };
+
+// fold one job event (SSE message or polled snapshot) into the client-side job state
+export function reduceJobEvent(state, event) {
+  switch (event.type) {
+    case "phase":
+      return { ...state, phase: event.phase ?? state.phase, processed: event.processed ?? state.processed, total: event.total ?? state.total };
+    case "file": {
+      if (!event.file?.path) return state;
+      const files = state.files.filter((f) => f.path !== event.file.path);
+      return { ...state, files: [...files, event.file] };
+    }
+    case "done":
+      return { ...state, status: "done", result: event.result, files: event.result?.files ?? state.files };
+    case "error":
+      return { ...state, status: "failed", error: event.message || "Analysis failed" };
+    case "snapshot": {
+      const s = event.snapshot || {};
+      let next = reduceJobEvent(state, { type: "phase", phase: s.phase, processed: s.processed, total: s.total });
+      if (Array.isArray(s.files)) next = { ...next, files: s.files };
+      if (s.status === "done") return reduceJobEvent(next, { type: "done", result: s.result });
+      if (s.status === "failed") return reduceJobEvent(next, { type: "error", message: s.error });
+      return next;
+    }
+    default:
+      return state;
+  }
+}
+
+// { jobs, sse }; anything but a clean answer means "synchronous only"
+export async function fetchCapabilities(base, signal, headers = {}) {
+  try {
+    const res = await fetch(`${base}/api/v1/capabilities`, { signal, headers });
+    if (!res.ok) return { jobs: false, sse: false };
+    const json = await res.json();
+    return { jobs: json?.jobs === true, sse: json?.sse === true };
+  } catch (err) {
+    if (signal?.aborted) throw new CancelledError();
+    return { jobs: false, sse: false };
+  }
+}
+
+export async function submitJob(base, makeBody, options) {
+  const text = await uploadWithRetry(`${base}/api/v1/jobs`, makeBody, options);
+  const jobId = parseJson(text)?.jobId;
+  if (!jobId) throw new HttpError("Server did not return a job id", { status: 200, body: text });
+  return jobId;
+}
+
+// each status request is bounded by timeoutMs; transient failures are retried up to maxFailures in a row
+function pollJob(url, { signal, headers, onUpdate, pollMs, timeoutMs, maxFailures }) {
+  let state = initialJobState;
+  let failures = 0;
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    let settled = false;
+    const finish = (settle, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      settle(value);
+    };
+    const retry = (err) => {
+      failures += 1;
+      if (failures >= maxFailures) {
+        err.attempts = failures;
+        return finish(reject, err);
+      }
+      timer = setTimeout(tick, pollMs * 2);
+    };
+    const tick = async () => {
+      const request = new AbortController();
+      const abort = () => request.abort();
+      signal?.addEventListener("abort", abort, { once: true });
+      const deadline = timeoutMs ? setTimeout(abort, timeoutMs) : null;
+      let res;
+      let text;
+      try {
+        res = await fetch(url, { signal: request.signal, headers });
+        text = await res.text();
+      } catch (err) {
+        if (signal?.aborted) return finish(reject, new CancelledError());
+        return retry(request.signal.aborted ? new TimeoutError(`No job status within ${Math.round(timeoutMs / 1000)}s`) : new NetworkError());
+      } finally {
+        clearTimeout(deadline);
+        signal?.removeEventListener("abort", abort);
+      }
+      if (settled) return;
+      if (!res.ok) {
+        const err = new HttpError(`Job status returned ${res.status}`, { status: res.status, detail: parseErrorBody(text, res.status), body: text });
+        // a 5xx while polling is usually transient; keep polling for a while
+        return err.retryable ? retry(err) : finish(reject, err);
+      }
+      failures = 0;
+      let snapshot;
+      try {
+        snapshot = JSON.parse(text);
+      } catch (err) {
+        snapshot = null;
+      }
+      if (!snapshot || typeof snapshot !== "object" || Array.isArray(snapshot)) {
+        return finish(reject, new SchemaError("Job status is not a JSON object", { issues: ["expected { status, phase, processed, total }"], body: text }));
+      }
+      try {
+        state = reduceJobEvent(state, { type: "snapshot", snapshot });
+        onUpdate(state);
+      } catch (err) {
+        return finish(reject, err);
+      }
+      if (state.status === "done") return finish(resolve, state.result);
+      if (state.status === "failed") return finish(reject, new HttpError(state.error, { status: 200 }));
+      timer = setTimeout(tick, pollMs);
+    };
+    signal?.addEventListener("abort", () => finish(reject, new CancelledError()), { once: true });
+    tick();
+  });
+}
+
+// resolves with null (instead of failing) when the stream cannot be opened, so the caller can poll
+function streamJob(url, { signal, onUpdate }) {
+  let state = initialJobState;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new CancelledError());
+    const source = new EventSource(url);
+    let opened = false;
+    const onAbort = () => {
+      close();
+      reject(new CancelledError());
+    };
+    const close = () => {
+      source.close();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const handle = (type) => (e) => {
+      opened = true;
+      let data = {};
+      try {
+        data = JSON.parse(e.data || "{}");
+      } catch (err) {
+        return; // ignore malformed frames
+      }
+      const event = type === "file" ? { type, file: data } : type === "done" ? { type, result: data } : { type, ...data };
+      state = reduceJobEvent(state, event);
+      onUpdate(state);
+      if (state.status === "done") {
+        close();
+        resolve(state.result);
+      } else if (state.status === "failed") {
+        close();
+        reject(new HttpError(state.error, { status: 200 }));
+      }
+    };
+    ["phase", "file", "done"].forEach((t) => source.addEventListener(t, handle(t)));
+    // server-sent "error" events carry data; connection errors do not
+    source.addEventListener("error", (e) => {
+      if (e.data) return handle("error")(e);
+      if (!opened) {
+        close();
+        resolve(null);
+      }
+      // otherwise EventSource reconnects by itself
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// follow a submitted job until it finishes; onUpdate(state) receives phases and partial files.
+// EventSource cannot send headers, so authenticated connections always poll.
+export async function followJob(base, jobId, { signal, headers = {}, onUpdate = () => {}, sse = false, pollMs = POLL_MS, timeoutMs, maxFailures = MAX_POLL_FAILURES } = {}) {
+  const url = `${base}/api/v1/jobs/${encodeURIComponent(jobId)}`;
+  // cancel the job on the server only while it runs; the same signal may go on to cover other requests
+  const cancelJob = () => fetch(url, { method: "DELETE", headers }).catch(() => {});
+  signal?.addEventListener("abort", cancelJob, { once: true });
+  try {
+    if (sse && !Object.keys(headers).length && typeof EventSource !== "undefined") {
+      const result = await streamJob(`${url}/events`, { signal, onUpdate });
+      if (result) return result;
+    }
+    return await pollJob(url, { signal, headers, onUpdate, pollMs, timeoutMs, maxFailures });
+  } finally {
+    signal?.removeEventListener("abort", cancelJob);
+  }
+}
+
+export function phaseLabel(phase) {
+  return JOB_PHASES.find(([id]) => id === phase)?.[1] ?? phase;
+}
@@ -0,0 +1,131 @@
+import { followJob, initialJobState, phaseLabel, reduceJobEvent, submitJob } from './analysisJobs';
+
+test('streams phases and partial files', () => {
+  let s = reduceJobEvent(initialJobState, { type: 'phase', phase: 'parsing', processed: 0, total: 3 });
+  s = reduceJobEvent(s, { type: 'file', file: { path: 'A.java', cyclomatic: 2 } });
+  s = reduceJobEvent(s, { type: 'file', file: { path: 'A.java', cyclomatic: 3 } });
+  s = reduceJobEvent(s, { type: 'phase', processed: 1 });
+  expect(s).toMatchObject({ status: 'running', phase: 'parsing', processed: 1, total: 3 });
+  expect(s.files).toEqual([{ path: 'A.java', cyclomatic: 3 }]);
+});
+
+test('finishes with the final result', () => {
+  const result = { totalFiles: 1, files: [{ path: 'B.java' }] };
+  const s = reduceJobEvent(initialJobState, { type: 'done', result });
+  expect(s).toMatchObject({ status: 'done', result, files: result.files });
+});
+
+test('folds polled snapshots', () => {
+  const running = reduceJobEvent(initialJobState, { type: 'snapshot', snapshot: { status: 'running', phase: 'measuring', processed: 5, total: 9, files: [{ path: 'C.java' }] } });
+  expect(running).toMatchObject({ phase: 'measuring', processed: 5, total: 9, files: [{ path: 'C.java' }] });
+  const failed = reduceJobEvent(running, { type: 'snapshot', snapshot: { status: 'failed', error: 'out of memory' } });
+  expect(failed).toMatchObject({ status: 'failed', error: 'out of memory', phase: 'measuring' });
+});
+
+test('labels known phases and passes others through', () => {
+  expect(phaseLabel('duplicates')).toBe('Duplicate detection');
+  expect(phaseLabel('indexing')).toBe('indexing');
+});
+
+const realFetch = global.fetch;
+afterEach(() => {
+  global.fetch = realFetch;
+});
+const reply = (status, body) => Promise.resolve({ ok: status < 400, status, text: () => Promise.resolve(body) });
+
+test('resolves with the result and stops listening for cancel', async () => {
+  global.fetch = jest.fn(() => reply(200, JSON.stringify({ status: 'done', result: { files: [] } })));
+  const controller = new AbortController();
+  await expect(followJob('http://api', 'j1', { signal: controller.signal, pollMs: 1 })).resolves.toEqual({ files: [] });
+  controller.abort();
+  expect(global.fetch.mock.calls.filter(([, init]) => init?.method === 'DELETE')).toHaveLength(0);
+});
+
+test('cancels the job on the server while it is running', async () => {
+  const controller = new AbortController();
+  global.fetch = jest.fn((url, init) => {
+    if (init?.method === 'DELETE') return reply(204, '');
+    setTimeout(() => controller.abort(), 0);
+    return reply(200, JSON.stringify({ status: 'running', phase: 'parsing' }));
+  });
+  await expect(followJob('http://api', 'j2', { signal: controller.signal, pollMs: 5 })).rejects.toMatchObject({ kind: 'aborted' });
+  expect(global.fetch).toHaveBeenCalledWith('http://api/api/v1/jobs/j2', expect.objectContaining({ method: 'DELETE' }));
+});
+
+test('rejects a status that is not JSON instead of polling forever', async () => {
+  global.fetch = jest.fn(() => reply(200, '<html>proxy error</html>'));
+  await expect(followJob('http://api', 'j3', { pollMs: 1 })).rejects.toMatchObject({ name: 'SchemaError' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('gives up after consecutive network failures or 5xx answers', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await expect(followJob('http://api', 'j4', { pollMs: 1, maxFailures: 3 })).rejects.toMatchObject({ kind: 'network', attempts: 3 });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+
+  global.fetch = jest.fn(() => reply(503, ''));
+  await expect(followJob('http://api', 'j5', { pollMs: 1, maxFailures: 2 })).rejects.toMatchObject({ kind: 'http', status: 503, attempts: 2 });
+});
+
+test('times out a status request that never answers', async () => {
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))));
+  await expect(followJob('http://api', 'j6', { pollMs: 1, timeoutMs: 5, maxFailures: 1 })).rejects.toMatchObject({ kind: 'timeout' });
+});
+
+test('surfaces an error thrown by the update callback', async () => {
+  global.fetch = jest.fn(() => reply(200, JSON.stringify({ status: 'running' })));
+  const onUpdate = () => {
+    throw new Error('render failed');
+  };
+  await expect(followJob('http://api', 'j7', { pollMs: 1, onUpdate })).rejects.toThrow('render failed');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('rejects a job submission whose answer is not JSON', async () => {
+  const send = () => Promise.resolve('<html>gateway</html>');
+  await expect(submitJob('http://api', () => null, { send })).rejects.toMatchObject({ name: 'SchemaError' });
+});
+
+class FakeEventSource {
+  static instances = [];
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+  addEventListener(type, fn) {
+    this.listeners[type] = fn;
+  }
+  emit(type, data) {
+    this.listeners[type]({ data: JSON.stringify(data) });
+  }
+  close() {
+    this.closed = true;
+  }
+}
+
+test('does not open a stream for an already cancelled signal', async () => {
+  global.EventSource = FakeEventSource;
+  global.fetch = jest.fn(() => reply(204, ''));
+  const controller = new AbortController();
+  controller.abort();
+  await expect(followJob('http://api', 'j8', { signal: controller.signal, sse: true })).rejects.toMatchObject({ kind: 'aborted' });
+  expect(FakeEventSource.instances).toHaveLength(0);
+  delete global.EventSource;
+});
+
+test('a finished stream stops listening for cancel', async () => {
+  global.EventSource = FakeEventSource;
+  const controller = new AbortController();
+  const added = [];
+  const removed = [];
+  jest.spyOn(controller.signal, 'addEventListener').mockImplementation((type, fn) => added.push(fn));
+  jest.spyOn(controller.signal, 'removeEventListener').mockImplementation((type, fn) => removed.push(fn));
+  const done = followJob('http://api', 'j9', { signal: controller.signal, sse: true });
+  FakeEventSource.instances[FakeEventSource.instances.length - 1].emit('done', { files: [] });
+  await expect(done).resolves.toEqual({ files: [] });
+  expect(added).toHaveLength(2);
+  expect(removed).toEqual(expect.arrayContaining(added));
+  delete global.EventSource;
+});
@@ -0,0 +1,100 @@
+// analysisSchema.js — shape check for /api/v1/analyze responses before the UI renders them
+import { SchemaError } from "./apiErrors";
+
+/**
+ * @typedef {Object} FileEntry
+ * @property {string} path
+ * @property {number | null} [lines]
+ * @property {number | null} [cyclomatic]
+ * @property {number | null} [maintainabilityIndex]
+ * @property {Array<string | { path: string }>} [duplicatedWith]
+ * @property {Array<Object>} [methods]
+ *
+ * @typedef {Object} Diagnostic
+ * @property {number | null} index position in the response's files array (null = top level)
+ * @property {string | null} path
+ * @property {"dropped" | "repaired"} action
+ * @property {string} message
+ * @property {string} raw JSON excerpt of the offending value
+ *
+ * @typedef {Object} AnalysisResult
+ * @property {number} totalFiles
+ * @property {FileEntry[]} files
+ * @property {Diagnostic[]} diagnostics
+ */
+
+export const METRIC_FIELDS = ["lines", "cyclomatic", "maintainabilityIndex"];
+
+const excerpt = (value) => {
+  const s = JSON.stringify(value) ?? String(value);
+  return s.length > 300 ? `${s.slice(0, 300)}…` : s;
+};
+
+// one response entry -> { file, issues }; `file` is null when the entry cannot be used at all
+function checkEntry(raw, index) {
+  const issue = (action, message, value = raw) => ({ index, path: raw?.path ?? null, action, message, raw: excerpt(value) });
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { file: null, issues: [issue("dropped", "entry is not an object")] };
+  if (typeof raw.path !== "string" || !raw.path.trim()) return { file: null, issues: [issue("dropped", "path is missing or not a string")] };
+
+  const file = { ...raw };
+  const issues = [];
+  METRIC_FIELDS.forEach((k) => {
+    const v = raw[k];
+    if (v === undefined || v === null || Number.isFinite(v)) return;
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : NaN;
+    if (Number.isFinite(n)) {
+      file[k] = n;
+      issues.push(issue("repaired", `${k} was a string, read as ${n}`, v));
+    } else {
+      file[k] = null;
+      issues.push(issue("repaired", `${k} is not a number, shown as n/a`, v));
+    }
+  });
+  if (raw.duplicatedWith !== undefined && raw.duplicatedWith !== null && !Array.isArray(raw.duplicatedWith)) {
+    file.duplicatedWith = [];
+    issues.push(issue("repaired", "duplicatedWith is not an array, ignored", raw.duplicatedWith));
+  }
+  return { file, issues };
+}
+
+/**
+ * Keeps every usable entry: bad metrics become null ("n/a"), unusable entries are dropped,
+ * and everything that was changed is reported in `diagnostics`.
+ * @param {unknown} json parsed response body
+ * @returns {AnalysisResult}
+ * @throws {SchemaError} when the response is not an analysis at all
+ */
+export function validateAnalysis(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) throw new SchemaError("Response is not a JSON object", { issues: ["expected { totalFiles, files }"] });
+  if (!Array.isArray(json.files)) throw new SchemaError("Response has no files array", { issues: ["files must be an array"] });
+
+  const diagnostics = [];
+  const seen = new Set();
+  const files = [];
+  json.files.forEach((raw, index) => {
+    const { file, issues } = checkEntry(raw, index);
+    diagnostics.push(...issues);
+    if (!file) return;
+    if (seen.has(file.path)) {
+      diagnostics.push({ index, path: file.path, action: "dropped", message: "duplicate path, first entry kept", raw: excerpt(raw) });
+      return;
+    }
+    seen.add(file.path);
+    files.push(file);
+  });
+
+  let totalFiles = json.totalFiles;
+  if (totalFiles === undefined) totalFiles = files.length;
+  else if (!Number.isFinite(totalFiles)) {
+    diagnostics.push({ index: null, path: null, action: "repaired", message: "totalFiles is not a number, counted from files", raw: excerpt(totalFiles) });
+    totalFiles = files.length;
+  }
+  return { ...json, totalFiles, files, diagnostics };
+}
+
+// per metric, how many files have no value (they are shown as n/a and left out of averages)
+export function missingMetrics(files) {
+  const out = {};
+  METRIC_FIELDS.forEach((k) => (out[k] = files.filter((f) => !Number.isFinite(f[k])).length));
+  return out;
+}
@@ -0,0 +1,59 @@
+import { missingMetrics, validateAnalysis } from './analysisSchema';
+import { meanOf } from './helpers';
+import { aggregateIntoBins } from './aggregation';
+
+test('keeps usable entries and reports what was repaired or dropped', () => {
+  const result = validateAnalysis({
+    totalFiles: 5,
+    files: [
+      { path: 'A.java', lines: '120', cyclomatic: 4 },
+      { path: 'B.java', cyclomatic: 'high', maintainabilityIndex: 70 },
+      { lines: 10 },
+      'C.java',
+      { path: 'A.java', cyclomatic: 9 },
+      { path: 'D.java', duplicatedWith: 'A.java' },
+    ],
+  });
+  expect(result.files.map((f) => f.path)).toEqual(['A.java', 'B.java', 'D.java']);
+  expect(result.files[0].lines).toBe(120);
+  expect(result.files[1].cyclomatic).toBeNull();
+  expect(result.files[2].duplicatedWith).toEqual([]);
+  expect(result.diagnostics.map((d) => [d.index, d.action])).toEqual([
+    [0, 'repaired'],
+    [1, 'repaired'],
+    [2, 'dropped'],
+    [3, 'dropped'],
+    [4, 'dropped'],
+    [5, 'repaired'],
+  ]);
+  expect(result.diagnostics[3].raw).toBe('"C.java"');
+});
+
+test('repairs a non-numeric totalFiles', () => {
+  const result = validateAnalysis({ totalFiles: 'lots', files: [{ path: 'A.java' }] });
+  expect(result.totalFiles).toBe(1);
+  expect(result.diagnostics[0]).toMatchObject({ index: null, action: 'repaired' });
+});
+
+test('counts files without each metric', () => {
+  expect(missingMetrics([{ path: 'A', cyclomatic: 1 }, { path: 'B', cyclomatic: null, lines: 3 }])).toEqual({
+    lines: 1,
+    cyclomatic: 1,
+    maintainabilityIndex: 2,
+  });
+});
+
+test('averages leave missing metrics out instead of counting zeros', () => {
+  expect(meanOf([10, null, undefined, 20])).toBe(15);
+  expect(meanOf([null])).toBeNull();
+  const bins = aggregateIntoBins(
+    [
+      { path: 'a', cyclomatic: 4, maintainabilityIndex: 80 },
+      { path: 'b', maintainabilityIndex: 60 },
+      { path: 'c' },
+    ],
+    2
+  );
+  expect(bins.cyclo).toEqual([4, null]);
+  expect(bins.maintain).toEqual([70, null]);
+});
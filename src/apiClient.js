@@ -0,0 +1,127 @@
+// apiClient.js — the one place the UI talks to the analysis backend, over HTTP or a mock adapter
+//
+// Mock mode: pick the "Mock (offline)" server profile, set REACT_APP_API_MODE=mock, or add ?mock to
+// the page URL. ?mock=error, ?mock=offline and ?mock=invalid simulate a 500, an unreachable backend
+// and a malformed response.
+import { HttpError, NetworkError } from "./apiErrors";
+import { validateAnalysis } from "./analysisSchema";
+import { fetchCapabilities, followJob, initialJobState, reduceJobEvent, submitJob } from "./analysisJobs";
+import { analysisFromSources, demoAnalysis } from "./mockFixtures";
+import { readSources } from "./sourceArchive";
+import { parseErrorBody, parseJson, sleep, uploadWithRetry } from "./uploadRequest";
+
+export const API_BASE = process.env.REACT_APP_API_URL || "http://localhost:8080";
+
+const noop = () => {};
+
+function formBody(file) {
+  return () => {
+    const fd = new FormData();
+    fd.append("file", file);
+    return fd;
+  };
+}
+
+// backends that advertise jobs get the async flow; everything else the single POST
+export function httpAdapter(baseUrl, headers = {}) {
+  return {
+    async analyze(file, { signal, timeoutMs, onProgress, onRetry, onJobUpdate = noop }) {
+      const makeBody = formBody(file);
+      const send = { signal, timeoutMs, headers, onProgress, onRetry };
+      const caps = await fetchCapabilities(baseUrl, signal, headers);
+      if (caps.jobs) {
+        const jobId = await submitJob(baseUrl, makeBody, send);
+        return followJob(baseUrl, jobId, { signal, headers, timeoutMs, sse: caps.sse, onUpdate: onJobUpdate });
+      }
+      return parseJson(await uploadWithRetry(`${baseUrl}/api/v1/analyze`, makeBody, send));
+    },
+  };
+}
+
+// measures the uploaded sources in the browser and replays the result as a streamed job
+export function mockAdapter({ scenario = "ok", delayMs = 120 } = {}) {
+  return {
+    async analyze(file, { signal, onProgress = noop, onJobUpdate = noop }) {
+      const total = file?.size || 1;
+      for (let i = 1; i <= 5; i++) {
+        await sleep(delayMs / 2, signal);
+        onProgress({ loaded: (total * i) / 5, total, phase: "upload" });
+      }
+      if (scenario === "offline") throw new NetworkError("Mock backend is offline (?mock=offline)");
+      if (scenario === "error") {
+        const body = JSON.stringify({ status: 500, error: "Internal Server Error", message: "Simulated failure (?mock=error)", path: "/api/v1/analyze" });
+        throw new HttpError("Server returned 500: Simulated failure (?mock=error)", { status: 500, detail: parseErrorBody(body, 500), body });
+      }
+      if (scenario === "invalid") return { totalFiles: "two", files: [{ lines: 10 }, "B.java"] };
+
+      const sources = await readSources(file).catch(() => ({}));
+      const analysis = Object.keys(sources).length ? analysisFromSources(sources) : demoAnalysis();
+      const n = analysis.files.length;
+      let state = initialJobState;
+      const emit = (event) => {
+        state = reduceJobEvent(state, event);
+        onJobUpdate(state);
+      };
+      for (const phase of ["unpacking", "parsing", "measuring"]) {
+        emit({ type: "phase", phase, processed: 0, total: n });
+        await sleep(delayMs, signal);
+      }
+      const chunk = Math.max(1, Math.ceil(n / 10));
+      for (let i = 0; i < n; i += chunk) {
+        analysis.files.slice(i, i + chunk).forEach((f) => emit({ type: "file", file: f }));
+        emit({ type: "phase", processed: Math.min(n, i + chunk) });
+        await sleep(delayMs / 2, signal);
+      }
+      emit({ type: "phase", phase: "duplicates" });
+      await sleep(delayMs, signal);
+      emit({ type: "done", result: analysis });
+      return analysis;
+    },
+  };
+}
+
+// { mode: "mock", scenario } when the build env or page URL forces the mock, otherwise null
+export function mockOverride() {
+  const param = new URLSearchParams(window.location.search).get("mock");
+  const scenario = param ?? (process.env.REACT_APP_API_MODE === "mock" ? "ok" : null);
+  return scenario !== null ? { mode: "mock", scenario: scenario || "ok", baseUrl: "mock" } : null;
+}
+
+// analyze(file, { signal, timeoutMs, onProgress, onRetry, onJobUpdate }) resolves with a validated result
+export function createApiClient({ mode = "http", baseUrl = API_BASE, scenario, headers = {}, timeoutMs } = {}) {
+  const adapter = mode === "mock" ? mockAdapter({ scenario }) : httpAdapter(baseUrl, headers);
+  return {
+    mode,
+    baseUrl,
+    async analyze(file, options = {}) {
+      return validateAnalysis(await adapter.analyze(file, { timeoutMs, ...options }));
+    },
+  };
+}
+
+const HEALTH_PATHS = ["/actuator/health", "/api/v1/capabilities"];
+const HEALTH_TIMEOUT_MS = 5000;
+
+// { ok, status, ms, message }; any 2xx on a known health path counts as healthy
+export async function checkHealth({ mode, baseUrl, headers = {} }) {
+  if (mode === "mock") return { ok: true, status: null, ms: 0, message: "Mock backend — always available" };
+  const started = performance.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+  let last = null;
+  try {
+    for (const path of HEALTH_PATHS) {
+      const res = await fetch(`${baseUrl}${path}`, { headers, signal: controller.signal });
+      last = res.status;
+      if (res.ok) return { ok: true, status: res.status, ms: Math.round(performance.now() - started), message: `${path} answered ${res.status}` };
+      if (res.status === 401 || res.status === 403) break;
+    }
+    const hint = last === 401 || last === 403 ? " — check the auth token" : "";
+    return { ok: false, status: last, ms: Math.round(performance.now() - started), message: `Reachable, but answered HTTP ${last}${hint}` };
+  } catch (err) {
+    const timedOut = controller.signal.aborted;
+    return { ok: false, status: null, ms: Math.round(performance.now() - started), message: timedOut ? `No answer within ${HEALTH_TIMEOUT_MS / 1000}s` : "Unreachable — wrong URL, server down or CORS blocked" };
+  } finally {
+    clearTimeout(timer);
+  }
+}
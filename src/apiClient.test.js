@@ -0,0 +1,57 @@
+import { createApiClient, mockAdapter } from './apiClient';
+import { HttpError, NetworkError, SchemaError } from './apiErrors';
+import { validateAnalysis } from './analysisSchema';
+import { analysisFromSources, demoAnalysis, measureSource } from './mockFixtures';
+
+test('rejects responses that are not an analysis at all', () => {
+  expect(validateAnalysis({ files: [{ path: 'A.java', cyclomatic: 3 }] }).totalFiles).toBe(1);
+  expect(() => validateAnalysis([])).toThrow(SchemaError);
+  expect(() => validateAnalysis({ files: {} })).toThrow('no files array');
+});
+
+test('error classes say which failures are retryable', () => {
+  expect(new NetworkError().retryable).toBe(true);
+  expect(new HttpError('x', { status: 502 }).retryable).toBe(true);
+  expect(new HttpError('x', { status: 404 }).retryable).toBe(false);
+  expect(new SchemaError('x').name).toBe('SchemaError');
+});
+
+test('measures sources like the backend would report them', () => {
+  const src = ['public class A {', '  public int f(int x) {', '    if (x > 0 && x < 9) return 1;', '    // if not', '    return 0;', '  }', '}'].join('\n');
+  const f = measureSource('A.java', src);
+  expect(f).toMatchObject({ path: 'A.java', lines: 7, cyclomatic: 3 });
+  expect(f.methods).toEqual([{ name: 'f', startLine: 2, endLine: 6, cyclomatic: 3 }]);
+  expect(f.maintainabilityIndex).toBeGreaterThan(0);
+});
+
+test('links copied files as duplicates with line regions', () => {
+  const body = Array.from({ length: 8 }, (_, i) => `  total += step${i}(x);`).join('\n');
+  const { files } = analysisFromSources({ 'A.java': `class A {\n${body}\n}`, 'B.java': `class B {\n\n${body}\n}`, 'C.java': 'class C {}' });
+  expect(files[0].duplicatedWith).toEqual([{ path: 'B.java', regions: [{ a: [2, 9], b: [3, 10] }] }]);
+  expect(files[1].duplicatedWith[0].regions).toEqual([{ a: [3, 10], b: [2, 9] }]);
+  expect(files[2].duplicatedWith).toEqual([]);
+});
+
+test('demo fixture is deterministic and valid', () => {
+  expect(demoAnalysis()).toEqual(demoAnalysis());
+  expect(validateAnalysis(demoAnalysis(10)).files).toHaveLength(10);
+});
+
+test('mock client streams a job and returns a validated result', async () => {
+  const file = { name: 'A.java', size: 20, text: async () => 'class A { void f() { if (a) {} } }' };
+  const updates = [];
+  const api = createApiClient({ mode: 'mock' });
+  const result = await api.analyze(file, { onJobUpdate: (s) => updates.push(s.phase) });
+  expect(result.files.map((f) => f.path)).toEqual(['A.java']);
+  expect(updates).toContain('measuring');
+  expect(updates[updates.length - 1]).toBe('duplicates');
+});
+
+test('mock scenarios reproduce backend failures', async () => {
+  const file = { name: 'x.java', size: 1, text: async () => '' };
+  await expect(mockAdapter({ scenario: 'error', delayMs: 0 }).analyze(file, {})).rejects.toMatchObject({ kind: 'http', status: 500 });
+  await expect(mockAdapter({ scenario: 'offline', delayMs: 0 }).analyze(file, {})).rejects.toBeInstanceOf(NetworkError);
+  const invalid = await createApiClient({ mode: 'mock', scenario: 'invalid' }).analyze(file, {});
+  expect(invalid.files).toEqual([]);
+  expect(invalid.diagnostics.map((d) => d.action)).toEqual(['dropped', 'dropped', 'repaired']);
+});
@@ -0,0 +1,65 @@
+// apiErrors.js — error classes thrown by the API client (names are set explicitly: the build minifies class names)
+
+export class ApiError extends Error {
+  constructor(message, { kind = "unknown", status = null, detail = null, body = "", attempts = 1, issues = [] } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.detail = detail;
+    this.body = body;
+    this.attempts = attempts;
+    this.issues = issues;
+  }
+
+  // only transient failures are worth another attempt
+  get retryable() {
+    return false;
+  }
+}
+
+// the request never got an answer (backend down, CORS, DNS, offline)
+export class NetworkError extends ApiError {
+  constructor(message = "Network error — is the backend running and CORS enabled?", options = {}) {
+    super(message, { ...options, kind: "network" });
+    this.name = "NetworkError";
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// the backend answered with a non-2xx status; `detail` is the parsed error body
+export class HttpError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "http" });
+    this.name = "HttpError";
+  }
+
+  get retryable() {
+    return this.status >= 500;
+  }
+}
+
+// the backend answered 2xx but the payload is not an analysis we can render; `issues` lists why
+export class SchemaError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "schema" });
+    this.name = "SchemaError";
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "timeout" });
+    this.name = "TimeoutError";
+  }
+}
+
+export class CancelledError extends ApiError {
+  constructor(message = "Upload cancelled", options = {}) {
+    super(message, { ...options, kind: "aborted" });
+    this.name = "CancelledError";
+  }
+}
@@ -0,0 +1,75 @@
+// backendProfiles.js — named backend connections (URL, auth, timeout) persisted in localStorage
+import { API_BASE } from "./apiClient";
+import { DEFAULT_TIMEOUT_S } from "./uploadRequest";
+import { readStored, writeStored } from "./helpers";
+
+const STORAGE_KEY = "codalens.backendProfiles";
+
+export const DEFAULT_PROFILES = [
+  { id: "default", name: "Local", mode: "http", baseUrl: API_BASE, authHeader: "Authorization", authToken: "", timeoutS: DEFAULT_TIMEOUT_S },
+  { id: "mock", name: "Mock (offline)", mode: "mock", baseUrl: "", authHeader: "", authToken: "", timeoutS: DEFAULT_TIMEOUT_S },
+];
+
+export function newProfileId() {
+  return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function newProfile() {
+  return { ...DEFAULT_PROFILES[0], id: newProfileId(), name: "New server", baseUrl: "https://" };
+}
+
+// returns a list of problems; empty means the profile can be used
+export function profileProblems(profile) {
+  const problems = [];
+  if (!profile.name?.trim()) problems.push("Name is required");
+  if (profile.mode !== "mock") {
+    try {
+      const url = new URL(profile.baseUrl);
+      if (url.protocol !== "http:" && url.protocol !== "https:") problems.push("Base URL must start with http:// or https://");
+    } catch (err) {
+      problems.push("Base URL is not a valid URL");
+    }
+    if (profile.authToken && !/^[A-Za-z0-9-]+$/.test(profile.authHeader || "")) problems.push("Auth header name is invalid");
+  }
+  if (!(profile.timeoutS > 0)) problems.push("Timeout must be a positive number of seconds");
+  return problems;
+}
+
+export function profileHeaders(profile) {
+  return profile.authToken && profile.authHeader ? { [profile.authHeader]: profile.authToken } : {};
+}
+
+// shape understood by createApiClient
+export function toApiConfig(profile) {
+  return {
+    mode: profile.mode === "mock" ? "mock" : "http",
+    baseUrl: profile.mode === "mock" ? "mock" : profile.baseUrl.replace(/\/+$/, ""),
+    headers: profileHeaders(profile),
+    timeoutMs: profile.timeoutS * 1000,
+  };
+}
+
+function sanitize(p) {
+  return {
+    id: String(p.id || newProfileId()),
+    name: String(p.name ?? "Server"),
+    mode: p.mode === "mock" ? "mock" : "http",
+    baseUrl: String(p.baseUrl ?? ""),
+    authHeader: String(p.authHeader ?? ""),
+    authToken: String(p.authToken ?? ""),
+    timeoutS: Number(p.timeoutS) > 0 ? Number(p.timeoutS) : DEFAULT_TIMEOUT_S,
+  };
+}
+
+// { profiles, activeId }
+export function loadProfiles() {
+  return readStored(STORAGE_KEY, { profiles: DEFAULT_PROFILES, activeId: DEFAULT_PROFILES[0].id }, (raw) => {
+    const profiles = Array.isArray(raw?.profiles) && raw.profiles.length ? raw.profiles.map(sanitize) : DEFAULT_PROFILES;
+    const activeId = profiles.some((p) => p.id === raw?.activeId) ? raw.activeId : profiles[0].id;
+    return { profiles, activeId };
+  });
+}
+
+export function saveProfiles(state) {
+  writeStored(STORAGE_KEY, state);
+}
@@ -0,0 +1,33 @@
+import { DEFAULT_PROFILES, loadProfiles, profileProblems, saveProfiles, toApiConfig } from './backendProfiles';
+
+const server = { id: 's', name: 'Staging', mode: 'http', baseUrl: 'https://ci.example.com/codalens/', authHeader: 'Authorization', authToken: 'Bearer t0k', timeoutS: 60 };
+
+afterEach(() => localStorage.clear());
+
+test('turns a profile into client config with auth header and trimmed URL', () => {
+  expect(toApiConfig(server)).toEqual({ mode: 'http', baseUrl: 'https://ci.example.com/codalens', headers: { Authorization: 'Bearer t0k' }, timeoutMs: 60000 });
+  expect(toApiConfig({ ...server, authToken: '' }).headers).toEqual({});
+  expect(toApiConfig({ ...server, mode: 'mock' })).toMatchObject({ mode: 'mock', baseUrl: 'mock' });
+});
+
+test('reports what keeps a profile from being used', () => {
+  expect(profileProblems(server)).toEqual([]);
+  expect(profileProblems({ ...server, name: ' ', baseUrl: 'ftp://x' })).toEqual(['Name is required', 'Base URL must start with http:// or https://']);
+  expect(profileProblems({ ...server, baseUrl: 'ci.example.com' })).toContain('Base URL is not a valid URL');
+  expect(profileProblems({ ...server, authHeader: 'X Token' })).toContain('Auth header name is invalid');
+  expect(profileProblems({ ...server, mode: 'mock', baseUrl: '', timeoutS: 0 })).toEqual(['Timeout must be a positive number of seconds']);
+});
+
+test('round-trips profiles and falls back on bad storage', () => {
+  expect(loadProfiles()).toEqual({ profiles: DEFAULT_PROFILES, activeId: 'default' });
+  saveProfiles({ profiles: [server], activeId: 's' });
+  expect(loadProfiles()).toEqual({ profiles: [server], activeId: 's' });
+
+  localStorage.setItem('codalens.backendProfiles', JSON.stringify({ profiles: [{ id: 'x', name: 'X', mode: 'ftp', timeoutS: 'soon' }], activeId: 'gone' }));
+  const { profiles, activeId } = loadProfiles();
+  expect(activeId).toBe('x');
+  expect(profiles[0]).toMatchObject({ mode: 'http', baseUrl: '', authToken: '', timeoutS: 300 });
+
+  localStorage.setItem('codalens.backendProfiles', '{oops');
+  expect(loadProfiles().activeId).toBe('default');
+});
@@ -0,0 +1,100 @@
+// baseline.js — compare the current result with a committed baseline and flag only what got worse
+import { PALETTE, blendHex, hasMetric, readStored, writeStored } from "./helpers";
+import { validateAnalysis } from "./analysisSchema";
+import { partnerCount } from "./duplicates";
+
+const STORAGE_KEY = "codalens.baseline";
+
+export const BASELINE_STATUSES = ["new", "regressed", "improved", "unchanged"];
+export const BASELINE_COLORS = {
+  new: "#5b8def",
+  regressed: PALETTE.pink,
+  improved: PALETTE.teal,
+  unchanged: "#bdbdbd",
+};
+
+// maintainability moves smaller than this are rounding noise between backend versions
+const MI_TOLERANCE = 1;
+
+// only the fields the comparison reads are kept, so a stored baseline stays small
+const slim = (f) => ({ path: f.path, lines: f.lines, cyclomatic: f.cyclomatic, maintainabilityIndex: f.maintainabilityIndex, duplicates: partnerCount(f) });
+
+const change = (before, after) => (hasMetric(before) && hasMetric(after) ? Math.round((after - before) * 100) / 100 : null);
+
+/**
+ * Reads a baseline from an exported analysis (or a raw /analyze response).
+ * @throws {Error} when the text is not JSON; SchemaError when it is not an analysis
+ */
+export function parseBaseline(text, name) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Baseline is not valid JSON: ${err.message}`);
+  }
+  return baselineFrom(validateAnalysis(json), name);
+}
+
+export function baselineFrom(result, name) {
+  return { name, files: (result?.files ?? []).map(slim) };
+}
+
+/**
+ * Classifies every current file against the baseline: new (not in the baseline), regressed (more
+ * complex, less maintainable or more clones — any of them), improved (better and nothing worse) or unchanged.
+ * @returns {{ byPath: Map<string, { status, delta }>, summary: Object, maxCyclomaticChange: number }}
+ */
+export function classifyAgainstBaseline(files, baselineFiles) {
+  const base = new Map(baselineFiles.map((f) => [f.path, f]));
+  const byPath = new Map();
+  const summary = { new: 0, regressed: 0, improved: 0, unchanged: 0, removed: 0 };
+  let maxCyclomaticChange = 0;
+
+  files.forEach((f) => {
+    const b = base.get(f.path);
+    const now = slim(f);
+    let status = "new";
+    const delta = { lines: null, cyclomatic: null, maintainabilityIndex: null, duplicates: null };
+    if (b) {
+      Object.keys(delta).forEach((k) => (delta[k] = change(b[k], now[k])));
+      const worse = delta.cyclomatic > 0 || delta.maintainabilityIndex <= -MI_TOLERANCE || delta.duplicates > 0;
+      const better = delta.cyclomatic < 0 || delta.maintainabilityIndex >= MI_TOLERANCE || delta.duplicates < 0;
+      status = worse ? "regressed" : better ? "improved" : "unchanged";
+      maxCyclomaticChange = Math.max(maxCyclomaticChange, Math.abs(delta.cyclomatic || 0));
+    }
+    summary[status] += 1;
+    byPath.set(f.path, { status, delta });
+  });
+  const current = new Set(files.map((f) => f.path));
+  summary.removed = baselineFiles.filter((f) => !current.has(f.path)).length;
+  return { byPath, summary, maxCyclomaticChange };
+}
+
+/**
+ * One entry for a group of files (an aggregated bar or table row): regressed wins over improved,
+ * improved over new; the cyclomatic change is the sum over the group.
+ */
+export function groupDelta(paths, byPath) {
+  const entries = paths.map((p) => byPath.get(p)).filter(Boolean);
+  if (!entries.length) return null;
+  const status = ["regressed", "improved", "new"].find((s) => entries.some((e) => e.status === s)) || "unchanged";
+  const cyclomatic = entries.reduce((a, e) => a + (e.delta.cyclomatic || 0), 0);
+  return { status, delta: { cyclomatic } };
+}
+
+// faint for small cyclomatic changes, full colour for the largest one in the project
+export function deltaColor(entry, scale = 1) {
+  if (!entry) return BASELINE_COLORS.unchanged;
+  if (entry.status === "new" || entry.status === "unchanged") return BASELINE_COLORS[entry.status];
+  const t = 0.4 + 0.6 * Math.min(1, Math.abs(entry.delta.cyclomatic || 0) / (scale || 1));
+  return blendHex("#e6e6df", BASELINE_COLORS[entry.status], t);
+}
+
+export function loadBaseline() {
+  return readStored(STORAGE_KEY, null, (raw) => (raw && typeof raw.name === "string" && Array.isArray(raw.files) ? raw : null));
+}
+
+// null clears the stored baseline
+export function saveBaseline(baseline) {
+  writeStored(STORAGE_KEY, baseline);
+}
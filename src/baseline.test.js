@@ -0,0 +1,58 @@
+import { baselineFrom, classifyAgainstBaseline, deltaColor, groupDelta, parseBaseline } from './baseline';
+
+const baseline = baselineFrom(
+  {
+    files: [
+      { path: 'Legacy.java', lines: 900, cyclomatic: 60, maintainabilityIndex: 20, duplicatedWith: ['Copy.java'] },
+      { path: 'Order.java', lines: 300, cyclomatic: 18, maintainabilityIndex: 60 },
+      { path: 'Price.java', lines: 200, cyclomatic: 12, maintainabilityIndex: 70 },
+      { path: 'Gone.java', lines: 10, cyclomatic: 1, maintainabilityIndex: 95 },
+    ],
+  },
+  'main.json'
+);
+const current = [
+  { path: 'Legacy.java', lines: 950, cyclomatic: 60, maintainabilityIndex: 19.6, duplicatedWith: ['Copy.java'] },
+  { path: 'Order.java', lines: 320, cyclomatic: 21, maintainabilityIndex: 62 },
+  { path: 'Price.java', lines: 180, cyclomatic: 10, maintainabilityIndex: 72, duplicatedWith: [] },
+  { path: 'New.java', lines: 50, cyclomatic: 30, maintainabilityIndex: 40 },
+];
+
+test('classifies files as new, regressed, improved or unchanged against the baseline', () => {
+  const { byPath, summary, maxCyclomaticChange } = classifyAgainstBaseline(current, baseline.files);
+  expect(Object.fromEntries([...byPath].map(([p, e]) => [p, e.status]))).toEqual({
+    'Legacy.java': 'unchanged',
+    'Order.java': 'regressed',
+    'Price.java': 'improved',
+    'New.java': 'new',
+  });
+  expect(byPath.get('Order.java').delta).toEqual({ lines: 20, cyclomatic: 3, maintainabilityIndex: 2, duplicates: 0 });
+  expect(summary).toEqual({ new: 1, regressed: 1, improved: 1, unchanged: 1, removed: 1 });
+  expect(maxCyclomaticChange).toBe(3);
+});
+
+test('a new clone or a maintainability drop alone is a regression', () => {
+  const files = [
+    { path: 'Order.java', lines: 300, cyclomatic: 18, maintainabilityIndex: 60, duplicatedWith: ['X.java'] },
+    { path: 'Price.java', lines: 200, cyclomatic: 12, maintainabilityIndex: 64 },
+  ];
+  const { byPath } = classifyAgainstBaseline(files, baseline.files);
+  expect(byPath.get('Order.java').status).toBe('regressed');
+  expect(byPath.get('Price.java').status).toBe('regressed');
+});
+
+test('groups take their worst status and colours scale with the cyclomatic change', () => {
+  const { byPath } = classifyAgainstBaseline(current, baseline.files);
+  expect(groupDelta(['Price.java', 'Order.java'], byPath)).toEqual({ status: 'regressed', delta: { cyclomatic: 1 } });
+  expect(groupDelta(['New.java', 'Legacy.java'], byPath).status).toBe('new');
+  expect(groupDelta(['Unknown.java'], byPath)).toBeNull();
+  expect(deltaColor(byPath.get('Order.java'), 3)).toBe('rgb(246, 65, 108)');
+  expect(deltaColor(byPath.get('Legacy.java'), 3)).toBe('#bdbdbd');
+});
+
+test('reads exported analyses and rejects anything else', () => {
+  const parsed = parseBaseline(JSON.stringify({ totalFiles: 1, files: [{ path: 'A.java', cyclomatic: '4', duplicatedWith: ['B.java'] }] }), 'a.json');
+  expect(parsed).toEqual({ name: 'a.json', files: [{ path: 'A.java', lines: undefined, cyclomatic: 4, maintainabilityIndex: undefined, duplicates: 1 }] });
+  expect(() => parseBaseline('{not json', 'x.json')).toThrow('Baseline is not valid JSON');
+  expect(() => parseBaseline('[]', 'x.json')).toThrow('not a JSON object');
+});
@@ -0,0 +1,97 @@
+// chartPlugins.js — custom Chart.js plugins used by the CodaLens charts
+import { PALETTE, hasMetric } from "./helpers";
+
+// ----------------- Chart plugins -----------------
+// UPDATED: avgLinePlugin - draws dashed line always, but only shows text when avg is meaningful (>1.5).
+export const avgLinePlugin = {
+  id: "avgLine",
+  afterDraw(chart) {
+    const { ctx, chartArea, scales } = chart;
+    if (!chartArea) return;
+    const { left, right } = chartArea;
+    // pick first dataset numeric values (safeguard)
+    // missing values (null gaps) are left out of the average
+    const values = (chart.data.datasets?.[0]?.data ?? []).filter(hasMetric);
+    if (!values.length) return;
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    const yScale = scales?.y;
+    if (!yScale) return;
+    const y = yScale.getPixelForValue(avg);
+    ctx.save();
+    ctx.beginPath();
+    ctx.setLineDash([6, 6]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(0,0,0,0.10)";
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+    // show label only if avg is reasonably informative (not tiny like 1.0 for metrics that range 0..1)
+    // here threshold 1.5: if avg <=1.5 we omit rendering text (keeps visual clean)
+    if (avg > 1.5) {
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      ctx.font = "12px system-ui, Arial";
+      const label = `Avg ${avg.toFixed(avg >= 10 ? 1 : 1)}`;
+      ctx.fillText(label, right - ctx.measureText(label).width - 8, y - 8);
+    }
+    ctx.restore();
+  },
+};
+
+export const centerTextPlugin = {
+  id: "centerText",
+  afterDraw(chart) {
+    if (chart.config.type !== "doughnut") return;
+    const { ctx, chartArea } = chart;
+    const centerX = (chartArea.left + chartArea.right) / 2;
+    const centerY = (chartArea.top + chartArea.bottom) / 2;
+    const data = chart.data.datasets?.[0]?.data || [];
+    const val = data[0] ?? null;
+    ctx.save();
+    ctx.fillStyle = PALETTE.ink;
+    ctx.font = "700 20px system-ui, Arial";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(val !== null ? `${Math.round(val)}%` : "-", centerX, centerY - 6);
+    ctx.font = "500 12px system-ui, Arial";
+    ctx.fillText("Maintainability", centerX, centerY + 14);
+    ctx.restore();
+  },
+};
+
+// quadrantPlugin - threshold cross-hair for the complexity/maintainability bubble chart.
+// reads options.plugins.quadrants = { x, y, labels: { topLeft, topRight, bottomLeft, bottomRight } }
+export const quadrantPlugin = {
+  id: "quadrants",
+  beforeDatasetsDraw(chart, args, opts) {
+    const { ctx, chartArea, scales } = chart;
+    if (!chartArea || !scales?.x || !scales?.y || opts?.x === undefined || opts?.y === undefined) return;
+    const { left, right, top, bottom } = chartArea;
+    const px = Math.max(left, Math.min(right, scales.x.getPixelForValue(opts.x)));
+    const py = Math.max(top, Math.min(bottom, scales.y.getPixelForValue(opts.y)));
+    ctx.save();
+    // tint the "refactor now" corner (high complexity, low maintainability)
+    ctx.fillStyle = "rgba(246,65,108,0.06)";
+    ctx.fillRect(px, py, right - px, bottom - py);
+    ctx.beginPath();
+    ctx.setLineDash([6, 6]);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(0,0,0,0.25)";
+    ctx.moveTo(px, top);
+    ctx.lineTo(px, bottom);
+    ctx.moveTo(left, py);
+    ctx.lineTo(right, py);
+    ctx.stroke();
+    const labels = opts.labels || {};
+    ctx.setLineDash([]);
+    ctx.font = "700 11px system-ui, Arial";
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    if (labels.topLeft) ctx.fillText(labels.topLeft, left + 6, top + 6);
+    if (labels.bottomLeft) ctx.fillText(labels.bottomLeft, left + 6, py + 6);
+    ctx.textAlign = "right";
+    if (labels.topRight) ctx.fillText(labels.topRight, right - 6, top + 6);
+    if (labels.bottomRight) ctx.fillText(labels.bottomRight, right - 6, py + 6);
+    ctx.restore();
+  },
+};
@@ -0,0 +1,108 @@
+// cloneRegions.js — duplicated line ranges between two files (backend-provided or computed)
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+function range(start, end) {
+  const s = num(start);
+  const e = num(end) ?? s;
+  return s === null ? null : [s, Math.max(s, e)];
+}
+
+// accepts { a: [s, e], b: [s, e] }, { startLine, endLine, otherStartLine, otherEndLine }
+// or { source: { startLine, endLine }, target: { startLine, endLine } }
+function normalizeRegion(r) {
+  if (!r || typeof r !== "object") return null;
+  let a = null;
+  let b = null;
+  if (Array.isArray(r.a) && Array.isArray(r.b)) {
+    a = range(r.a[0], r.a[1]);
+    b = range(r.b[0], r.b[1]);
+  } else if (r.source && r.target) {
+    a = range(r.source.startLine ?? r.source.start, r.source.endLine ?? r.source.end);
+    b = range(r.target.startLine ?? r.target.start, r.target.endLine ?? r.target.end);
+  } else {
+    a = range(r.startLine, r.endLine);
+    b = range(r.otherStartLine, r.otherEndLine);
+  }
+  return a && b ? { a, b } : null;
+}
+
+function entryRegions(file, partnerPath) {
+  const entry = (file?.duplicatedWith ?? []).find((d) => d && typeof d === "object" && d.path === partnerPath);
+  const list = entry?.regions ?? entry?.ranges ?? entry?.lines;
+  return Array.isArray(list) ? list.map(normalizeRegion).filter(Boolean) : [];
+}
+
+// line ranges the backend reported for the pair, oriented as a = fileA, b = fileB
+export function backendRegions(fileA, fileB) {
+  if (!fileA || !fileB) return [];
+  const forward = entryRegions(fileA, fileB.path);
+  if (forward.length) return forward;
+  return entryRegions(fileB, fileA.path).map(({ a, b }) => ({ a: b, b: a }));
+}
+
+// lines that carry code; blank lines, comments and lone braces are skipped so formatting doesn't break matches
+function significantLines(text) {
+  const out = [];
+  let inBlock = false;
+  text.split("\n").forEach((raw, idx) => {
+    let line = raw;
+    if (inBlock) {
+      const end = line.indexOf("*/");
+      if (end < 0) return;
+      line = line.slice(end + 2);
+      inBlock = false;
+    }
+    line = line.replace(/\/\*.*?\*\//g, "");
+    const open = line.indexOf("/*");
+    if (open >= 0) {
+      line = line.slice(0, open);
+      inBlock = true;
+    }
+    line = line.replace(/\/\/.*$/, "").replace(/\s+/g, " ").trim();
+    if (!line || /^[{}();]+$/.test(line)) return;
+    out.push({ text: line, line: idx + 1 });
+  });
+  return out;
+}
+
+const MAX_CANDIDATES = 64;
+
+// greedy longest-run matching of normalized lines; returns [{ a: [s, e], b: [s, e] }] in source line numbers
+export function findCloneRegions(textA, textB, minLines = 4) {
+  const A = significantLines(textA || "");
+  const B = significantLines(textB || "");
+  if (A.length < minLines || B.length < minLines) return [];
+
+  const key = (seq, i) => seq.slice(i, i + minLines).map((l) => l.text).join("\n");
+  const index = new Map();
+  for (let j = 0; j + minLines <= B.length; j++) {
+    const k = key(B, j);
+    const list = index.get(k);
+    if (!list) index.set(k, [j]);
+    else if (list.length < MAX_CANDIDATES) list.push(j);
+  }
+
+  const regions = [];
+  let i = 0;
+  while (i + minLines <= A.length) {
+    const candidates = index.get(key(A, i)) || [];
+    let best = null;
+    for (const j of candidates) {
+      let len = minLines;
+      while (i + len < A.length && j + len < B.length && A[i + len].text === B[j + len].text) len++;
+      if (!best || len > best.len) best = { j, len };
+    }
+    if (best) {
+      regions.push({
+        a: [A[i].line, A[i + best.len - 1].line],
+        b: [B[best.j].line, B[best.j + best.len - 1].line],
+      });
+      i += best.len;
+    } else {
+      i++;
+    }
+  }
+  return regions;
+}
+
+export const regionLength = ({ a }) => a[1] - a[0] + 1;
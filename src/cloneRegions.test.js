@@ -0,0 +1,35 @@
+import { backendRegions, findCloneRegions, regionLength } from './cloneRegions';
+
+test('reads backend line ranges and orients them to the requested pair', () => {
+  const a = { path: 'A.java', duplicatedWith: [{ path: 'B.java', regions: [{ startLine: 10, endLine: 20, otherStartLine: 3, otherEndLine: 13 }] }] };
+  const b = { path: 'B.java', duplicatedWith: ['A.java'] };
+  expect(backendRegions(a, b)).toEqual([{ a: [10, 20], b: [3, 13] }]);
+  expect(backendRegions(b, a)).toEqual([{ a: [3, 13], b: [10, 20] }]);
+  expect(backendRegions(b, { path: 'C.java' })).toEqual([]);
+});
+
+test('accepts source/target and array region shapes', () => {
+  const a = {
+    path: 'A.java',
+    duplicatedWith: [{ path: 'B.java', ranges: [{ source: { start: 1, end: 4 }, target: { start: 5, end: 8 } }, { a: [9, 9], b: [2, 2] }] }],
+  };
+  expect(backendRegions(a, { path: 'B.java' })).toEqual([
+    { a: [1, 4], b: [5, 8] },
+    { a: [9, 9], b: [2, 2] },
+  ]);
+});
+
+const body = ['int total = 0;', 'for (Item i : items) {', 'total += i.price();', 'log(i);', '}', 'return total;'];
+
+test('finds copied blocks regardless of indentation, blank lines and comments', () => {
+  const textA = ['class A {', 'void a() {}', ...body.map((l) => `  ${l}`), '}'].join('\n');
+  const textB = ['// copy', 'class B {', '', ...body.slice(0, 3), '  // tweak', ...body.slice(3), 'int other;', '}'].join('\n');
+  const regions = findCloneRegions(textA, textB);
+  expect(regions).toEqual([{ a: [3, 8], b: [4, 10] }]);
+  expect(regionLength(regions[0])).toBe(6);
+});
+
+test('ignores matches shorter than the minimum run', () => {
+  expect(findCloneRegions('a();\nb();\nc();', 'a();\nb();\nc();')).toEqual([]);
+  expect(findCloneRegions('a();\nb();\nc();', 'a();\nb();\nc();', 3)).toEqual([{ a: [1, 3], b: [1, 3] }]);
+});
@@ -0,0 +1,75 @@
+// comparison.js — A vs B review of two analyses: new hotspots, maintainability drops, new clones, verdict
+import { hasMetric } from "./helpers";
+import { buildDuplicateGraph } from "./duplicates";
+import { diffRuns, runMetrics } from "./history";
+
+// a file becomes a hotspot at this cyclomatic complexity
+export const HOTSPOT_CC = 20;
+// maintainability moves smaller than this are noise
+export const MI_CHANGE = 5;
+
+const pairKey = ([a, b]) => `${a}\u0000${b}`;
+
+const VERDICT_HEADLINES = {
+  neutral: "No significant change",
+  worse: "B is worse than A",
+  better: "B is better than A",
+  mixed: "Mixed: as many regressions as improvements",
+};
+
+// regressions and improvements are counted per finding; the larger side wins
+function verdictFor(c, { hotspotCc, miChange }) {
+  const regressions = [
+    [c.newHotspots.length, `new hotspot(s) (cyclomatic ≥ ${hotspotCc})`],
+    [c.maintainabilityDrops.length, `file(s) lost ≥ ${miChange} maintainability`],
+    [c.duplicatesIntroduced.length, "clone pair(s) introduced"],
+  ].filter(([n]) => n > 0);
+  const improvements = [
+    [c.resolvedHotspots.length, "hotspot(s) resolved"],
+    [c.maintainabilityGains.length, `file(s) gained ≥ ${miChange} maintainability`],
+    [c.duplicatesRemoved.length, "clone pair(s) removed"],
+  ].filter(([n]) => n > 0);
+  const worse = regressions.reduce((a, [n]) => a + n, 0);
+  const better = improvements.reduce((a, [n]) => a + n, 0);
+  const level = !worse && !better ? "neutral" : worse > better ? "worse" : better > worse ? "better" : "mixed";
+  return {
+    level,
+    headline: VERDICT_HEADLINES[level],
+    regressions: regressions.map(([n, text]) => `${n} ${text}`),
+    improvements: improvements.map(([n, text]) => `${n} ${text}`),
+  };
+}
+
+/**
+ * Everything the A vs B review shows, on top of the per-file diffRuns rows.
+ * `base` is A (e.g. main), `head` is B (e.g. the feature branch).
+ */
+export function compareAnalyses(base, head, { hotspotCc = HOTSPOT_CC, miChange = MI_CHANGE } = {}) {
+  const diff = diffRuns(base, head);
+  const isHot = (v) => hasMetric(v) && v >= hotspotCc;
+  const miDelta = (r) => r.delta.maintainabilityIndex;
+
+  const newHotspots = diff.rows.filter((r) => isHot(r.after.cyclomatic) && !isHot(r.before.cyclomatic)).sort((a, b) => b.after.cyclomatic - a.after.cyclomatic);
+  const resolvedHotspots = diff.rows.filter((r) => isHot(r.before.cyclomatic) && !isHot(r.after.cyclomatic));
+  const maintainabilityDrops = diff.rows.filter((r) => hasMetric(miDelta(r)) && miDelta(r) <= -miChange).sort((a, b) => miDelta(a) - miDelta(b));
+  const maintainabilityGains = diff.rows.filter((r) => hasMetric(miDelta(r)) && miDelta(r) >= miChange);
+
+  const baseEdges = buildDuplicateGraph(base?.files ?? []).edges;
+  const headEdges = buildDuplicateGraph(head?.files ?? []).edges;
+  const baseKeys = new Set(baseEdges.map(pairKey));
+  const headKeys = new Set(headEdges.map(pairKey));
+  const duplicatesIntroduced = headEdges.filter((e) => !baseKeys.has(pairKey(e)));
+  const duplicatesRemoved = baseEdges.filter((e) => !headKeys.has(pairKey(e)));
+
+  const result = {
+    ...diff,
+    totals: { base: runMetrics(base), head: runMetrics(head) },
+    newHotspots,
+    resolvedHotspots,
+    maintainabilityDrops,
+    maintainabilityGains,
+    duplicatesIntroduced,
+    duplicatesRemoved,
+  };
+  return { ...result, verdict: verdictFor(result, { hotspotCc, miChange }) };
+}
@@ -0,0 +1,42 @@
+import { compareAnalyses } from './comparison';
+
+const main = {
+  files: [
+    { path: 'Order.java', lines: 300, cyclomatic: 18, maintainabilityIndex: 60, duplicatedWith: [] },
+    { path: 'Price.java', lines: 200, cyclomatic: 25, maintainabilityIndex: 50, duplicatedWith: [] },
+    { path: 'Util.java', lines: 80, cyclomatic: 4, maintainabilityIndex: 80, duplicatedWith: ['Old.java'] },
+    { path: 'Old.java', lines: 80, cyclomatic: 4, maintainabilityIndex: 80, duplicatedWith: ['Util.java'] },
+  ],
+};
+const feature = {
+  files: [
+    { path: 'Order.java', lines: 420, cyclomatic: 27, maintainabilityIndex: 52, duplicatedWith: ['Copy.java'] },
+    { path: 'Price.java', lines: 200, cyclomatic: 25, maintainabilityIndex: 52, duplicatedWith: [] },
+    { path: 'Util.java', lines: 80, cyclomatic: 4, maintainabilityIndex: 80, duplicatedWith: [] },
+    { path: 'Copy.java', lines: 60, cyclomatic: 21, maintainabilityIndex: 70, duplicatedWith: ['Order.java'] },
+  ],
+};
+
+test('finds new hotspots, maintainability drops and introduced clones', () => {
+  const c = compareAnalyses(main, feature);
+  expect(c.newHotspots.map((r) => r.path)).toEqual(['Order.java', 'Copy.java']);
+  expect(c.resolvedHotspots).toEqual([]);
+  expect(c.maintainabilityDrops.map((r) => [r.path, r.delta.maintainabilityIndex])).toEqual([['Order.java', -8]]);
+  expect(c.maintainabilityGains).toEqual([]);
+  expect(c.duplicatesIntroduced).toEqual([['Copy.java', 'Order.java']]);
+  expect(c.duplicatesRemoved).toEqual([['Old.java', 'Util.java']]);
+  expect(c.summary).toEqual({ added: 1, removed: 1, changed: 3, unchanged: 0 });
+  expect(c.totals.head.clonePairs).toBe(1);
+});
+
+test('weighs regressions against improvements for the verdict', () => {
+  const worse = compareAnalyses(main, feature).verdict;
+  expect(worse.level).toBe('worse');
+  expect(worse.regressions).toEqual(['2 new hotspot(s) (cyclomatic ≥ 20)', '1 file(s) lost ≥ 5 maintainability', '1 clone pair(s) introduced']);
+  expect(worse.improvements).toEqual(['1 clone pair(s) removed']);
+
+  const better = compareAnalyses(feature, main).verdict;
+  expect(better.level).toBe('better');
+  expect(compareAnalyses(main, main).verdict).toMatchObject({ level: 'neutral', headline: 'No significant change' });
+  expect(compareAnalyses(main, feature, { hotspotCc: 100, miChange: 50 }).verdict.level).toBe('mixed');
+});
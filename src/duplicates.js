@@ -0,0 +1,70 @@
+// duplicates.js — turns the backend `duplicatedWith` lists into a clone graph
+
+// `duplicatedWith` entries are normally plain paths, but tolerate { path } objects too
+export function duplicatePartners(file) {
+  const list = file?.duplicatedWith ?? [];
+  return list
+    .map((d) => (typeof d === "string" ? d : d?.path))
+    .filter((p) => typeof p === "string" && p.length > 0 && p !== file.path);
+}
+
+// distinct clone partners of one file; every "duplicates" count in the UI, exports and filters uses this
+export function partnerCount(file) {
+  return new Set(duplicatePartners(file)).size;
+}
+
+// build an undirected clone graph: one edge per unordered pair of paths
+export function buildDuplicateGraph(files) {
+  const partners = {};
+  const edgeKeys = new Set();
+  const edges = [];
+  const link = (a, b) => {
+    (partners[a] = partners[a] || new Set()).add(b);
+    (partners[b] = partners[b] || new Set()).add(a);
+    const key = a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+    if (!edgeKeys.has(key)) {
+      edgeKeys.add(key);
+      edges.push(a < b ? [a, b] : [b, a]);
+    }
+  };
+  for (const f of files) {
+    for (const p of duplicatePartners(f)) link(f.path, p);
+  }
+  const nodes = Object.keys(partners).sort();
+  const byPath = {};
+  nodes.forEach((p) => (byPath[p] = [...partners[p]].sort()));
+  return { nodes, edges, partners: byPath };
+}
+
+// connected components of the clone graph (files that are transitively duplicated)
+export function duplicateClusters(graph) {
+  const parent = {};
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  graph.nodes.forEach((n) => (parent[n] = n));
+  graph.edges.forEach(([a, b]) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[ra] = rb;
+  });
+  const groups = {};
+  graph.nodes.forEach((n) => {
+    const r = find(n);
+    (groups[r] = groups[r] || []).push(n);
+  });
+  return Object.values(groups)
+    .map((members) => members.sort())
+    .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+// files ranked by number of distinct clone partners (desc), ties by path
+export function rankByClones(graph) {
+  return graph.nodes
+    .map((path) => ({ path, count: graph.partners[path].length }))
+    .sort((a, b) => b.count - a.count || a.path.localeCompare(b.path));
+}
@@ -0,0 +1,38 @@
+import { buildDuplicateGraph, duplicateClusters, partnerCount, rankByClones } from './duplicates';
+
+const files = [
+  { path: 'a/A.java', duplicatedWith: ['a/B.java', 'c/C.java'] },
+  { path: 'a/B.java', duplicatedWith: ['a/A.java'] },
+  { path: 'c/C.java', duplicatedWith: [{ path: 'a/A.java' }] },
+  { path: 'd/D.java', duplicatedWith: ['e/E.java'] },
+  { path: 'f/F.java' },
+];
+
+test('builds one edge per unordered clone pair', () => {
+  const graph = buildDuplicateGraph(files);
+  expect(graph.edges).toHaveLength(3);
+  expect(graph.partners['a/A.java']).toEqual(['a/B.java', 'c/C.java']);
+  expect(graph.partners['e/E.java']).toEqual(['d/D.java']);
+  expect(graph.nodes).not.toContain('f/F.java');
+});
+
+test('groups transitively duplicated files into clusters', () => {
+  const clusters = duplicateClusters(buildDuplicateGraph(files));
+  expect(clusters).toEqual([
+    ['a/A.java', 'a/B.java', 'c/C.java'],
+    ['d/D.java', 'e/E.java'],
+  ]);
+});
+
+test('ranks files by clone partner count', () => {
+  const ranking = rankByClones(buildDuplicateGraph(files));
+  expect(ranking[0]).toEqual({ path: 'a/A.java', count: 2 });
+  expect(ranking).toHaveLength(5);
+});
+
+test('counts each distinct partner once, the same as the clone graph', () => {
+  const repeated = { path: 'a/A.java', duplicatedWith: ['a/B.java', 'a/B.java', { path: 'c/C.java' }, 'a/A.java'] };
+  expect(partnerCount(repeated)).toBe(2);
+  expect(partnerCount(repeated)).toBe(buildDuplicateGraph([repeated]).partners['a/A.java'].length);
+  expect(partnerCount({ path: 'f/F.java' })).toBe(0);
+});
@@ -0,0 +1,125 @@
+// exporters.js — CSV / JSON / Markdown serialisation of the current file list
+import { buildDuplicateGraph, duplicateClusters, partnerCount } from "./duplicates";
+
+const CSV_COLUMNS = [
+  ["path", (f) => f.path],
+  ["lines", (f) => f.lines],
+  ["cyclomatic", (f) => f.cyclomatic],
+  ["maintainabilityIndex", (f) => f.maintainabilityIndex],
+  ["duplicates", partnerCount],
+  ["duplicatedWith", (f) => (f.duplicatedWith || []).map((d) => (typeof d === "string" ? d : d?.path)).join(";")],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(files) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(",");
+  const rows = files.map((f) => CSV_COLUMNS.map(([, get]) => csvCell(get(f))).join(","));
+  return [header, ...rows].join("\n") + "\n";
+}
+
+// same shape as the /api/v1/analyze response so exports can be loaded back as a baseline
+export function toJson(files, meta = {}) {
+  return JSON.stringify({ ...meta, totalFiles: files.length, files }, null, 2) + "\n";
+}
+
+function avg(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function mdCell(value) {
+  return String(value ?? "-").replace(/\|/g, "\\|");
+}
+
+export function summarize(files) {
+  const nums = (key) => files.map((f) => f[key]).filter((v) => typeof v === "number");
+  const cyclo = nums("cyclomatic");
+  return {
+    files: files.length,
+    lines: nums("lines").reduce((a, b) => a + b, 0),
+    totalCyclomatic: cyclo.reduce((a, b) => a + b, 0),
+    maxCyclomatic: cyclo.reduce((a, b) => Math.max(a, b), 0),
+    avgMaintainability: avg(nums("maintainabilityIndex")),
+    filesWithDuplicates: files.filter((f) => partnerCount(f) > 0).length,
+  };
+}
+
+// sprint-review friendly summary: totals and clone clusters over every file passed in, plus
+// the top-N most complex of them
+export function toMarkdown(files, { title = "CodaLens report", topN = 20, searchQ = "", source = "" } = {}) {
+  const s = summarize(files);
+  const top = [...files]
+    .sort((a, b) => (b.cyclomatic ?? 0) - (a.cyclomatic ?? 0))
+    .slice(0, topN === "all" ? files.length : Number(topN) || 20);
+  const clusters = duplicateClusters(buildDuplicateGraph(files));
+
+  const out = [`# ${title}`, ""];
+  if (source) out.push(`Source: \`${source}\`  `);
+  out.push(`Generated: ${new Date().toISOString()}  `);
+  if (searchQ && searchQ.trim()) out.push(`Filter: \`${searchQ.trim()}\`  `);
+  out.push("", "## Summary", "");
+  out.push("| Metric | Value |", "| --- | --- |");
+  out.push(`| Files | ${s.files} |`);
+  out.push(`| Lines | ${s.lines} |`);
+  out.push(`| Total cyclomatic | ${s.totalCyclomatic} |`);
+  out.push(`| Max cyclomatic | ${s.maxCyclomatic} |`);
+  out.push(`| Avg maintainability | ${s.avgMaintainability === null ? "n/a" : s.avgMaintainability.toFixed(1)} |`);
+  out.push(`| Files with duplicates | ${s.filesWithDuplicates} |`);
+
+  out.push("", `## Top ${top.length} most complex files`, "");
+  out.push("| # | Path | Lines | Cyclomatic | Maintainability | Duplicates |", "| --- | --- | --- | --- | --- | --- |");
+  top.forEach((f, i) => {
+    out.push(
+      `| ${i + 1} | \`${mdCell(f.path)}\` | ${mdCell(f.lines)} | ${mdCell(f.cyclomatic)} | ${mdCell(f.maintainabilityIndex)} | ${partnerCount(f)} |`
+    );
+  });
+
+  out.push("", "## Duplicate clusters", "");
+  if (!clusters.length) out.push("No duplicated code reported.");
+  clusters.forEach((members, i) => {
+    out.push(`${i + 1}. **${members.length} files**`);
+    members.forEach((p) => out.push(`   - \`${p}\``));
+  });
+  return out.join("\n") + "\n";
+}
+
+// trigger a browser download for a Blob
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// trigger a browser download for generated text content
+export function downloadText(filename, text, mime = "text/plain") {
+  downloadBlob(filename, new Blob([text], { type: `${mime};charset=utf-8` }));
+}
+
+// chart canvases are transparent; flatten onto white so the PNG reads well in slides/docs
+export function downloadChartPng(chart, filename) {
+  const src = chart?.canvas;
+  if (!src) return;
+  const out = document.createElement("canvas");
+  out.width = src.width;
+  out.height = src.height;
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(src, 0, 0);
+  out.toBlob((blob) => blob && downloadBlob(filename, blob), "image/png");
+}
+
+// "my-project.zip" -> "my-project"
+export function exportBaseName(name) {
+  const base = (name || "codalens").replace(/\.(zip|java)$/i, "").replace(/[^\w.-]+/g, "_");
+  return base || "codalens";
+}
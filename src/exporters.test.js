@@ -0,0 +1,57 @@
+import { summarize, toCsv, toJson, toMarkdown, exportBaseName } from './exporters';
+
+const files = [
+  { path: 'src/A.java', lines: 120, cyclomatic: 14, maintainabilityIndex: 55.5, duplicatedWith: ['src/B.java'] },
+  { path: 'src/B.java', lines: 60, cyclomatic: 3, maintainabilityIndex: 82, duplicatedWith: ['src/A.java'] },
+  { path: 'src/with,comma "q".java', lines: 10, cyclomatic: 1, maintainabilityIndex: 95 },
+];
+
+test('writes one CSV row per file and quotes awkward paths', () => {
+  const lines = toCsv(files).trim().split('\n');
+  expect(lines[0]).toBe('path,lines,cyclomatic,maintainabilityIndex,duplicates,duplicatedWith');
+  expect(lines[1]).toBe('src/A.java,120,14,55.5,1,src/B.java');
+  expect(lines[3]).toBe('"src/with,comma ""q"".java",10,1,95,0,');
+});
+
+test('keeps the analyze response shape in JSON exports', () => {
+  const parsed = JSON.parse(toJson(files, { source: 'demo.zip' }));
+  expect(parsed.totalFiles).toBe(3);
+  expect(parsed.files[0].path).toBe('src/A.java');
+  expect(parsed.source).toBe('demo.zip');
+});
+
+test('builds a markdown report with totals, top files and clusters', () => {
+  const md = toMarkdown(files, { topN: 2, searchQ: 'src' });
+  expect(md).toContain('| Files | 3 |');
+  expect(md).toContain('| Avg maintainability | 77.5 |');
+  expect(md).toContain('## Top 2 most complex files');
+  expect(md).toContain('| 1 | `src/A.java` | 120 | 14 | 55.5 | 1 |');
+  expect(md).toContain('1. **2 files**');
+  expect(md).toContain('Filter: `src`');
+});
+
+test('a Top-N markdown export still totals every filtered file', () => {
+  const many = [
+    ...files,
+    { path: 'src/C.java', lines: 30, cyclomatic: 2, maintainabilityIndex: 70, duplicatedWith: ['src/D.java'] },
+    { path: 'src/D.java', lines: 30, cyclomatic: 2, maintainabilityIndex: 70, duplicatedWith: ['src/C.java'] },
+  ];
+  const md = toMarkdown(many, { topN: 1 });
+  expect(md).toContain('| Files | 5 |');
+  expect(md).toContain('| Lines | 250 |');
+  expect(md).toContain('| Files with duplicates | 4 |');
+  expect(md).toContain('## Top 1 most complex files');
+  expect(md).not.toContain('| 2 |');
+  // clusters come from all files, not only the listed one
+  expect(md).toContain('`src/C.java`');
+});
+
+test('derives a safe export file name', () => {
+  expect(exportBaseName('my project.zip')).toBe('my_project');
+  expect(exportBaseName('')).toBe('codalens');
+});
+
+test('summarises file lists too large to spread into Math.max', () => {
+  const many = Array.from({ length: 200000 }, (_, i) => ({ path: `src/F${i}.java`, lines: 10, cyclomatic: 1 + (i % 40) }));
+  expect(summarize(many)).toMatchObject({ files: 200000, lines: 2000000, maxCyclomatic: 40 });
+});
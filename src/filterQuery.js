@@ -0,0 +1,246 @@
+// filterQuery.js — the filter bar language shared by charts, table and exports
+//
+//   cyclomatic>10 AND maintainability<50 AND path:service/ AND NOT path:test
+//   (cc>=20 OR dups>0) -name:*Test.java path:/dto|entity/i
+//
+// Terms are `field op value` (> >= < <= = !=) for numbers and `field:value` for paths, where the
+// value is a substring, a glob (* ? ** {a,b}) or a /regex/flags. A bare word matches the path.
+// Terms next to each other are ANDed; AND, OR, NOT (upper case) and parentheses work as usual,
+// and a leading "-" negates a term. Files without a metric never match a comparison on it.
+import { hasMetric, readStored, writeStored } from "./helpers";
+import { globToRegExp } from "./uploadSelection";
+import { partnerCount } from "./duplicates";
+
+const SAVED_KEY = "codalens.savedFilters";
+
+export const FILTER_FIELDS = {
+  cyclomatic: { type: "number", aliases: ["cc", "complexity"], get: (f) => f.cyclomatic, hint: "cyclomatic complexity" },
+  maintainability: { type: "number", aliases: ["mi", "maintainabilityIndex"], get: (f) => f.maintainabilityIndex, hint: "maintainability index" },
+  lines: { type: "number", aliases: ["loc"], get: (f) => f.lines, hint: "lines of code" },
+  duplicates: { type: "number", aliases: ["dups", "clones"], get: partnerCount, hint: "clone partners" },
+  path: { type: "text", aliases: [], get: (f) => f.path, hint: "substring, glob or /regex/" },
+  name: { type: "text", aliases: ["file"], get: (f) => f.path.slice(f.path.lastIndexOf("/") + 1), hint: "file name only" },
+};
+const KEYWORDS = ["AND", "OR", "NOT"];
+const OPERATORS = [">=", "<=", "!=", ">", "<", "=", ":"];
+
+export class FilterError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "FilterError";
+    this.position = position;
+  }
+}
+
+function fieldByName(name) {
+  const lower = name.toLowerCase();
+  return Object.keys(FILTER_FIELDS).find((k) => k.toLowerCase() === lower || FILTER_FIELDS[k].aliases.some((a) => a.toLowerCase() === lower));
+}
+
+// ---------- tokenizer ----------
+
+// reads a quoted string, a /regex/flags or a bare run up to whitespace or a parenthesis
+function readValue(text, i) {
+  if (text[i] === '"') {
+    const end = text.indexOf('"', i + 1);
+    if (end < 0) throw new FilterError("Unclosed quote", i);
+    return { value: text.slice(i + 1, end), end: end + 1, quoted: true };
+  }
+  if (text[i] === "/") {
+    let j = i + 1;
+    while (j < text.length && text[j] !== "/") j += text[j] === "\\" ? 2 : 1;
+    if (j >= text.length) throw new FilterError("Unclosed regular expression", i);
+    const flags = /^[a-z]*/.exec(text.slice(j + 1))[0];
+    return { regex: { source: text.slice(i + 1, j), flags }, end: j + 1 + flags.length };
+  }
+  let j = i;
+  while (j < text.length && !/[\s()]/.test(text[j])) j++;
+  return { value: text.slice(i, j), end: j };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === "(" || c === ")") {
+      tokens.push({ type: c, pos: i });
+      i++;
+    } else if (c === "-" && i + 1 < text.length && !/[\s()]/.test(text[i + 1])) {
+      tokens.push({ type: "NOT", pos: i });
+      i++;
+    } else {
+      const field = /^[A-Za-z]+/.exec(text.slice(i));
+      const at = field ? i + field[0].length : i;
+      const op = field && OPERATORS.find((o) => text.startsWith(o, at));
+      if (op) {
+        const start = at + op.length;
+        if (start >= text.length || /[\s()]/.test(text[start])) throw new FilterError(`Missing value after ${field[0]}${op}`, start);
+        const v = readValue(text, start);
+        tokens.push({ type: "term", field: field[0], op, ...v, pos: i });
+        i = v.end;
+      } else {
+        const v = readValue(text, i);
+        if (!v.quoted && KEYWORDS.includes(v.value)) tokens.push({ type: v.value, pos: i });
+        else tokens.push({ type: "term", field: null, op: ":", ...v, pos: i });
+        i = v.end;
+      }
+    }
+  }
+  return tokens;
+}
+
+// ---------- terms ----------
+
+// substring (case-insensitive), glob over trailing path segments, or regex
+function textMatcher(token) {
+  if (token.regex) {
+    try {
+      // g and y make test() resume from lastIndex, so one match would skip the next file's path
+      const re = new RegExp(token.regex.source, token.regex.flags.replace(/[gy]/g, ""));
+      return (s) => re.test(s);
+    } catch (err) {
+      throw new FilterError(`Invalid regular expression: ${err.message}`, token.pos);
+    }
+  }
+  const value = token.value;
+  if (/[*?{]/.test(value)) {
+    const re = new RegExp(globToRegExp(value.replace(/^\/+/, "")).source.replace(/^\^/, "(?:^|/)"), "i");
+    return (s) => re.test(s);
+  }
+  const needle = value.toLowerCase();
+  return (s) => s.toLowerCase().includes(needle);
+}
+
+function compileTerm(token) {
+  const key = token.field === null ? "path" : fieldByName(token.field);
+  if (!key) throw new FilterError(`Unknown field "${token.field}" — try ${Object.keys(FILTER_FIELDS).join(", ")}`, token.pos);
+  const { type, get } = FILTER_FIELDS[key];
+  if (type === "text") {
+    if (token.op !== ":" && token.op !== "=" && token.op !== "!=") throw new FilterError(`${key} only supports ${key}:value`, token.pos);
+    const match = textMatcher(token);
+    return token.op === "!=" ? (f) => !match(get(f)) : (f) => match(get(f));
+  }
+  const n = token.regex ? NaN : Number(token.value);
+  if (token.value === "" || !Number.isFinite(n)) throw new FilterError(`${key} needs a number, got "${token.value ?? "/regex/"}"`, token.pos);
+  const cmp = {
+    ">": (v) => v > n,
+    ">=": (v) => v >= n,
+    "<": (v) => v < n,
+    "<=": (v) => v <= n,
+    "=": (v) => v === n,
+    ":": (v) => v === n,
+    "!=": (v) => v !== n,
+  }[token.op];
+  return (f) => {
+    const v = get(f);
+    return hasMetric(v) && cmp(v);
+  };
+}
+
+// ---------- parser: or := and (OR and)* ; and := unary (AND? unary)* ; unary := NOT unary | ( or ) | term ----------
+
+function parseTokens(tokens, text) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const fail = (message) => {
+    throw new FilterError(message, peek()?.pos ?? text.length);
+  };
+
+  function unary() {
+    const t = peek();
+    if (!t) fail("Expression ends too early");
+    if (t.type === "NOT") {
+      i++;
+      const inner = unary();
+      return (f) => !inner(f);
+    }
+    if (t.type === "(") {
+      i++;
+      const inner = or();
+      if (peek()?.type !== ")") fail('Missing ")"');
+      i++;
+      return inner;
+    }
+    if (t.type === "term") {
+      i++;
+      return compileTerm(t);
+    }
+    return fail(`Unexpected ${t.type}`);
+  }
+
+  function and() {
+    const parts = [unary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") i++;
+      parts.push(unary());
+    }
+    return parts.length === 1 ? parts[0] : (f) => parts.every((p) => p(f));
+  }
+
+  function or() {
+    const parts = [and()];
+    while (peek()?.type === "OR") {
+      i++;
+      parts.push(and());
+    }
+    return parts.length === 1 ? parts[0] : (f) => parts.some((p) => p(f));
+  }
+
+  const predicate = or();
+  if (i < tokens.length) fail(`Unexpected ${peek().type === "term" ? "term" : `"${peek().type}"`}`);
+  return predicate;
+}
+
+/**
+ * Compiles a filter expression.
+ * @returns {{ test: (file: Object) => boolean, error: { message: string, position: number } | null }}
+ *   on a syntax error `test` lets every file through so the view never goes blank mid-typing
+ */
+export function parseFilter(text) {
+  if (!text || !text.trim()) return { test: () => true, error: null };
+  try {
+    return { test: parseTokens(tokenize(text), text), error: null };
+  } catch (err) {
+    if (!(err instanceof FilterError)) throw err;
+    return { test: () => true, error: { message: err.message, position: err.position } };
+  }
+}
+
+// ---------- autocomplete ----------
+
+/**
+ * Suggestions for the word under the cursor: field names (with their operator) and keywords.
+ * @returns {{ from: number, to: number, items: Array<{ label: string, insert: string, hint: string }> }}
+ */
+export function filterCompletions(text, cursor) {
+  let from = cursor;
+  while (from > 0 && !/[\s()]/.test(text[from - 1])) from--;
+  if (text[from] === "-") from++;
+  const word = text.slice(from, cursor);
+  const none = { from, to: cursor, items: [] };
+  if (!word || !/^[A-Za-z]+$/.test(word)) return none;
+  const lower = word.toLowerCase();
+  const items = [];
+  Object.entries(FILTER_FIELDS).forEach(([key, { type, aliases, hint }]) => {
+    const names = [key, ...aliases];
+    if (!names.some((n) => n.toLowerCase().startsWith(lower))) return;
+    if (type === "text") items.push({ label: `${key}:`, insert: `${key}:`, hint });
+    else [">", "<", ">=", "<="].forEach((op) => items.push({ label: `${key}${op}`, insert: `${key}${op}`, hint }));
+  });
+  KEYWORDS.filter((k) => k.toLowerCase().startsWith(lower) && k !== word).forEach((k) => items.push({ label: k, insert: `${k} `, hint: "keyword" }));
+  // nothing to add when the word is already a complete field name with no operator choice left
+  return { from, to: cursor, items: items.filter((it) => it.insert !== word) };
+}
+
+// ---------- saved filters ----------
+
+export function loadSavedFilters() {
+  return readStored(SAVED_KEY, [], (raw) => (Array.isArray(raw) ? raw.filter((s) => typeof s?.name === "string" && typeof s?.query === "string") : []));
+}
+
+export function saveSavedFilters(list) {
+  writeStored(SAVED_KEY, list);
+}
@@ -0,0 +1,66 @@
+import { filterCompletions, parseFilter } from './filterQuery';
+
+const files = [
+  { path: 'src/main/java/com/acme/service/OrderService.java', cyclomatic: 24, maintainabilityIndex: 41, lines: 610, duplicatedWith: ['x'] },
+  { path: 'src/main/java/com/acme/service/PriceService.java', cyclomatic: 8, maintainabilityIndex: 72, lines: 150 },
+  { path: 'src/test/java/com/acme/service/OrderServiceTest.java', cyclomatic: 12, maintainabilityIndex: 45, lines: 300 },
+  { path: 'src/main/java/com/acme/dto/OrderDto.java', cyclomatic: null, maintainabilityIndex: 90, lines: 40 },
+];
+const names = (query) => files.filter(parseFilter(query).test).map((f) => f.path.split('/').pop());
+
+test('plain text still matches the path case-insensitively', () => {
+  expect(names('orderservice')).toEqual(['OrderService.java', 'OrderServiceTest.java']);
+  expect(names('')).toHaveLength(4);
+});
+
+test('combines comparisons, path terms and boolean operators', () => {
+  expect(names('cyclomatic>10 AND maintainability<50 AND path:service/ AND NOT path:test')).toEqual(['OrderService.java']);
+  expect(names('cc>=12 mi<50')).toEqual(['OrderService.java', 'OrderServiceTest.java']);
+  expect(names('(cc<10 OR dups>0) -name:*Test.java')).toEqual(['OrderService.java', 'PriceService.java']);
+  expect(names('loc<=40 OR lines=150')).toEqual(['PriceService.java', 'OrderDto.java']);
+});
+
+test('never matches a missing metric in a comparison', () => {
+  expect(names('cyclomatic<100')).not.toContain('OrderDto.java');
+  expect(names('NOT cyclomatic<100')).toEqual(['OrderDto.java']);
+});
+
+test('matches globs against trailing path segments and regexes against the whole path', () => {
+  expect(names('path:*Dto.java')).toEqual(['OrderDto.java']);
+  expect(names('path:service/*Test.java')).toEqual(['OrderServiceTest.java']);
+  expect(names('path:src/main/**/service/*.java')).toEqual(['OrderService.java', 'PriceService.java']);
+  expect(names('path:/(price|dto)/i')).toEqual(['PriceService.java', 'OrderDto.java']);
+  expect(names('name:"Order Dto"')).toEqual([]);
+});
+
+test('a global or sticky regex matches every file, not every other one', () => {
+  expect(names('path:/service/gi')).toEqual(['OrderService.java', 'PriceService.java', 'OrderServiceTest.java']);
+  expect(names('path:/src/y')).toHaveLength(4);
+});
+
+test('reports syntax errors with a position and lets every file through', () => {
+  const cases = {
+    'cc>': 'Missing value after cc>',
+    'cc>abc': 'cyclomatic needs a number, got "abc"',
+    'size>3': 'Unknown field "size"',
+    'path>3': 'path only supports path:value',
+    '(cc>1': 'Missing ")"',
+    'cc>1 OR': 'Expression ends too early',
+    'path:/(/': 'Invalid regular expression',
+  };
+  Object.entries(cases).forEach(([query, message]) => {
+    const { test: matches, error } = parseFilter(query);
+    expect(error.message).toContain(message);
+    expect(matches(files[0])).toBe(true);
+  });
+  expect(parseFilter('cc>1 AND )').error.position).toBe(9);
+});
+
+test('suggests fields, operators and keywords for the word under the cursor', () => {
+  const { from, items } = filterCompletions('cc>3 AND mai', 12);
+  expect(from).toBe(9);
+  expect(items.map((i) => i.label)).toEqual(['maintainability>', 'maintainability<', 'maintainability>=', 'maintainability<=']);
+  expect(filterCompletions('cc>3 -pa', 8).items[0]).toMatchObject({ label: 'path:', insert: 'path:' });
+  expect(filterCompletions('cc>3 o', 6).items.map((i) => i.label)).toEqual(['OR']);
+  expect(filterCompletions('cc>3 ', 5).items).toEqual([]);
+});
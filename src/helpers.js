@@ -0,0 +1,114 @@
+// helpers.js — palette and small utilities shared across CodaLens views
+
+// ----------------- Config / Palette -----------------
+export const PALETTE = {
+  teal: "#00B8A9",
+  cream: "#F8F3D4",
+  pink: "#F6416C",
+  yellow: "#FFDE7D",
+  ink: "#16332f",
+  muted: "#6b6b6b",
+};
+export const CARD_BG = PALETTE.cream; // soft card tint (cream)
+
+// ----------------- Helpers -----------------
+export const rand = (min, max) => Math.random() * (max - min) + min;
+export function humanFileSize(bytes) {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes === 0) return "0 B";
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  const sizes = ["B", "KB", "MB", "GB"];
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${sizes[i]}`;
+}
+export function isDarkish(hex) {
+  const h = hex.replace("#", "");
+  const r = parseInt(h.substring(0, 2), 16);
+  const g = parseInt(h.substring(2, 4), 16);
+  const b = parseInt(h.substring(4, 6), 16);
+  const lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return lum < 160;
+}
+export function shortenPath(path) {
+  const parts = path.split("/");
+  if (parts.length > 1) {
+    const filename = parts.pop();
+    return filename.length > 22 ? filename.substring(0, 19) + "..." : filename;
+  }
+  return path;
+}
+
+// metrics can be missing (older backends, partial results); they count as "n/a", never as 0
+export const hasMetric = (v) => typeof v === "number" && Number.isFinite(v);
+
+// mean of the values that are present, rounded to 0.1; null when none are
+export function meanOf(values) {
+  const nums = values.filter(hasMetric);
+  return nums.length ? Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 10) / 10 : null;
+}
+
+export const formatMetric = (v) => (hasMetric(v) ? v : "n/a");
+
+// smooth color ramp between 3 colors based on value -> returns hex
+export function rampColor(value, min, mid, max) {
+  const norm = Math.max(0, Math.min(1, (value - min) / (max - min || 1)));
+  if (norm < 0.5) {
+    const t = norm / 0.5;
+    return blendHex(PALETTE.teal, PALETTE.yellow, t);
+  } else {
+    const t = (norm - 0.5) / 0.5;
+    return blendHex(PALETTE.yellow, PALETTE.pink, t);
+  }
+}
+export function hexToRgb(hex) {
+  const h = hex.replace("#", "");
+  const r = parseInt(h.substring(0, 2), 16);
+  const g = parseInt(h.substring(2, 4), 16);
+  const b = parseInt(h.substring(4, 6), 16);
+  return [r, g, b];
+}
+export function blendHex(a, b, t) {
+  const [ar, ag, ab] = hexToRgb(a);
+  const [br, bg, bb] = hexToRgb(b);
+  const r = Math.round(ar + (br - ar) * t);
+  const g = Math.round(ag + (bg - ag) * t);
+  const bl = Math.round(ab + (bb - ab) * t);
+  return `rgb(${r}, ${g}, ${bl})`;
+}
+
+// ----------------- localStorage -----------------
+// the JSON stored under `key` passed through `read` (which may throw on bad data); `fallback`
+// when nothing is stored, the data is unusable or storage is disabled
+export function readStored(key, fallback, read = (value) => value) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : read(JSON.parse(raw));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// stores `value` as JSON, or removes the key for null / undefined
+export function writeStored(key, value) {
+  try {
+    if (value === null || value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // storage full or disabled; the value still applies for this session
+  }
+}
+
+// ----------------- button style helper -----------------
+export function buttonStyle(color) {
+  const darkText = "#18221f";
+  const lightText = "#ffffff";
+  const useLight = isDarkish(color);
+  return {
+    background: color,
+    color: useLight ? lightText : darkText,
+    border: "1px solid rgba(0,0,0,0.06)",
+    borderRadius: 10,
+    padding: "8px 12px",
+    fontWeight: 700,
+    cursor: "pointer",
+  };
+}
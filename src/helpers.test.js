@@ -0,0 +1,21 @@
+import { readStored, writeStored } from './helpers';
+
+afterEach(() => localStorage.clear());
+
+test('round-trips JSON and removes the key for null', () => {
+  writeStored('codalens.test', { a: [1, 2] });
+  expect(readStored('codalens.test', null)).toEqual({ a: [1, 2] });
+  writeStored('codalens.test', null);
+  expect(localStorage.getItem('codalens.test')).toBeNull();
+  expect(readStored('codalens.test', 'fallback')).toBe('fallback');
+});
+
+test('falls back when the stored data is broken or rejected by the reader', () => {
+  localStorage.setItem('codalens.test', '{not json');
+  expect(readStored('codalens.test', [])).toEqual([]);
+  localStorage.setItem('codalens.test', '{"rules": 3}');
+  const read = () => {
+    throw new Error('bad rules');
+  };
+  expect(readStored('codalens.test', 'defaults', read)).toBe('defaults');
+});
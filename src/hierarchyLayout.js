@@ -0,0 +1,167 @@
+// hierarchyLayout.js — squarified treemap and sunburst geometry for the package tree
+
+// files are weighted by lines; empty files still get a sliver so they stay clickable
+const fileWeight = (f) => Math.max(1, f.lines || 0);
+
+// top of the cyclomatic colour ramp (at least 1); a loop, since spreading huge projects overflows the stack
+export function colorScaleMax(files) {
+  return files.reduce((a, f) => Math.max(a, f.cyclomatic || 0), 1);
+}
+
+export function nodeWeight(node) {
+  return node.allFiles.reduce((a, f) => a + fileWeight(f), 0);
+}
+
+// children of a tree node as weighted items (sub-directories and files), heaviest first
+function childItems(node) {
+  return [
+    ...node.children.map((c) => ({ kind: "dir", node: c, value: nodeWeight(c) })),
+    ...node.files.map((f) => ({ kind: "file", file: f, value: fileWeight(f) })),
+  ].sort((a, b) => b.value - a.value);
+}
+
+// worst aspect ratio of a row with total area `sum` and extreme cells `min`/`max` along `side`
+function worstRatio(sum, min, max, side) {
+  return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+// squarified treemap (Bruls et al.): lays `items` ({ value }) into the rectangle. The current row is
+// items[rowStart..i) with a running sum/min/max, so each item is looked at once.
+export function squarify(items, x, y, w, h) {
+  const total = items.reduce((a, i) => a + i.value, 0);
+  if (total <= 0 || w <= 0 || h <= 0) return [];
+  const scale = (w * h) / total;
+  const areas = items.map((item) => item.value * scale);
+  const out = [];
+  let rx = x;
+  let ry = y;
+  let rw = w;
+  let rh = h;
+
+  const layoutRow = (from, to, s) => {
+    if (rw >= rh) {
+      const colW = rh > 0 ? s / rh : 0;
+      let cy = ry;
+      for (let k = from; k < to; k++) {
+        const hh = colW > 0 ? areas[k] / colW : 0;
+        out.push({ item: items[k], x: rx, y: cy, w: colW, h: hh });
+        cy += hh;
+      }
+      rx += colW;
+      rw -= colW;
+    } else {
+      const rowH = rw > 0 ? s / rw : 0;
+      let cx = rx;
+      for (let k = from; k < to; k++) {
+        const ww = rowH > 0 ? areas[k] / rowH : 0;
+        out.push({ item: items[k], x: cx, y: ry, w: ww, h: rowH });
+        cx += ww;
+      }
+      ry += rowH;
+      rh -= rowH;
+    }
+  };
+
+  let rowStart = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = 0;
+  let i = 0;
+  while (i < items.length) {
+    const a = areas[i];
+    const side = Math.min(rw, rh);
+    if (i === rowStart || worstRatio(sum + a, Math.min(min, a), Math.max(max, a), side) <= worstRatio(sum, min, max, side)) {
+      sum += a;
+      min = Math.min(min, a);
+      max = Math.max(max, a);
+      i++;
+    } else {
+      layoutRow(rowStart, i, sum);
+      rowStart = i;
+      sum = 0;
+      min = Infinity;
+      max = 0;
+    }
+  }
+  if (i > rowStart) layoutRow(rowStart, i, sum);
+  return out;
+}
+
+const HEADER = 16;
+const PAD = 2;
+
+// nested treemap rectangles for `node`; directories get a header strip and contain their children
+export function treemapLayout(node, width, height, maxDepth = 4) {
+  const out = [];
+  const place = (n, x, y, w, h, depth) => {
+    squarify(childItems(n), x, y, w, h).forEach(({ item, x: ix, y: iy, w: iw, h: ih }) => {
+      if (iw * ih < 1) return;
+      if (item.kind === "file") {
+        out.push({ kind: "file", path: item.file.path, name: item.file.path.split("/").pop(), file: item.file, x: ix, y: iy, w: iw, h: ih, depth });
+        return;
+      }
+      const nested = depth < maxDepth && iw > 30 && ih > HEADER + 12;
+      out.push({ kind: "dir", path: item.node.path, name: item.node.name, node: item.node, x: ix, y: iy, w: iw, h: ih, depth, nested });
+      if (nested) place(item.node, ix + PAD, iy + HEADER, iw - PAD * 2, ih - HEADER - PAD, depth + 1);
+    });
+  };
+  place(node, 0, 0, width, height, 0);
+  return out;
+}
+
+// sunburst rings: each child gets an angular share of its parent proportional to weight
+export function sunburstLayout(node, maxDepth = 5) {
+  const out = [];
+  const place = (n, a0, a1, depth) => {
+    const items = childItems(n);
+    const total = items.reduce((a, i) => a + i.value, 0);
+    if (!total) return;
+    let a = a0;
+    items.forEach((item) => {
+      const span = ((a1 - a0) * item.value) / total;
+      const arc = { a0: a, a1: a + span, depth };
+      a += span;
+      if (span < 0.002) return;
+      if (item.kind === "file") {
+        out.push({ ...arc, kind: "file", path: item.file.path, name: item.file.path.split("/").pop(), file: item.file });
+      } else {
+        out.push({ ...arc, kind: "dir", path: item.node.path, name: item.node.name, node: item.node });
+        if (depth < maxDepth) place(item.node, arc.a0, arc.a1, depth + 1);
+      }
+    });
+  };
+  place(node, 0, Math.PI * 2, 1);
+  return out;
+}
+
+// SVG path for a ring segment between radii r0..r1 and angles a0..a1 (0 = 12 o'clock, clockwise)
+export function arcPath(cx, cy, r0, r1, a0, a1) {
+  const full = a1 - a0 >= Math.PI * 2 - 1e-6;
+  if (full) a1 = a0 + Math.PI * 2 - 1e-4;
+  const pt = (r, a) => [cx + r * Math.sin(a), cy - r * Math.cos(a)];
+  const large = a1 - a0 > Math.PI ? 1 : 0;
+  const [x0, y0] = pt(r1, a0);
+  const [x1, y1] = pt(r1, a1);
+  const [x2, y2] = pt(r0, a1);
+  const [x3, y3] = pt(r0, a0);
+  return [
+    `M${x0},${y0}`,
+    `A${r1},${r1} 0 ${large} 1 ${x1},${y1}`,
+    `L${x2},${y2}`,
+    r0 > 0 ? `A${r0},${r0} 0 ${large} 0 ${x3},${y3}` : "",
+    "Z",
+  ].join(" ");
+}
+
+// chain of nodes from the root down to the directory at `path` (for breadcrumbs)
+export function findNodeChain(root, path) {
+  if (!path) return [root];
+  for (const child of root.children) {
+    if (child.path === path) return [root, child];
+    if (path.startsWith(`${child.path}/`)) {
+      const chain = findNodeChain(child, path);
+      if (chain.length > 1) return [root, ...chain];
+    }
+  }
+  return [root];
+}
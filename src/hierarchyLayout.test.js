@@ -0,0 +1,59 @@
+import { colorScaleMax, squarify, treemapLayout, sunburstLayout, findNodeChain } from './hierarchyLayout';
+import { buildPathTree } from './pathTree';
+
+const files = [
+  { path: 'app/api/Api.java', lines: 300, cyclomatic: 12 },
+  { path: 'app/api/Dto.java', lines: 100, cyclomatic: 1 },
+  { path: 'app/core/Core.java', lines: 200, cyclomatic: 6 },
+  { path: 'Main.java', lines: 0, cyclomatic: 1 },
+];
+
+test('squarify fills the rectangle proportionally to value', () => {
+  const rects = squarify([{ value: 6 }, { value: 3 }, { value: 1 }], 0, 0, 100, 50);
+  const area = rects.reduce((a, r) => a + r.w * r.h, 0);
+  expect(area).toBeCloseTo(5000);
+  expect(rects[0].w * rects[0].h).toBeCloseTo(3000);
+  rects.forEach((r) => {
+    expect(r.x + r.w).toBeLessThanOrEqual(100.0001);
+    expect(r.y + r.h).toBeLessThanOrEqual(50.0001);
+  });
+});
+
+test('treemap nests files inside their directory rectangles', () => {
+  const rects = treemapLayout(buildPathTree(files), 400, 300);
+  const api = rects.find((r) => r.path === 'app/api');
+  const apiFile = rects.find((r) => r.path === 'app/api/Api.java');
+  expect(api.kind).toBe('dir');
+  expect(apiFile.x).toBeGreaterThanOrEqual(api.x);
+  expect(apiFile.y + apiFile.h).toBeLessThanOrEqual(api.y + api.h + 0.0001);
+  // zero-line files still get a rectangle
+  expect(rects.find((r) => r.path === 'Main.java')).toBeDefined();
+});
+
+test('sunburst children share their parent angle', () => {
+  const arcs = sunburstLayout(buildPathTree(files));
+  const app = arcs.find((a) => a.path === 'app');
+  const inner = arcs.filter((a) => a.path.startsWith('app/') && a.depth === app.depth + 1);
+  const span = inner.reduce((s, a) => s + (a.a1 - a.a0), 0);
+  expect(span).toBeCloseTo(app.a1 - app.a0);
+});
+
+test('finds the breadcrumb chain for a nested directory', () => {
+  const chain = findNodeChain(buildPathTree(files), 'app/core');
+  expect(chain.map((n) => n.path)).toEqual(['', 'app', 'app/core']);
+});
+
+test('squarify handles very large directories without spreading arguments', () => {
+  const items = Array.from({ length: 200000 }, (_, i) => ({ value: 1 + (i % 7) }));
+  const rects = squarify(items, 0, 0, 1000, 1000);
+  expect(rects).toHaveLength(items.length);
+  expect(rects.reduce((a, r) => a + r.w * r.h, 0)).toBeCloseTo(1000000, 0);
+});
+
+test('colours and lays out a project of 200k files', () => {
+  const many = Array.from({ length: 200000 }, (_, i) => ({ path: `src/p${i % 50}/F${i}.java`, lines: 10 + (i % 90), cyclomatic: 1 + (i % 40) }));
+  expect(colorScaleMax(many)).toBe(40);
+  expect(colorScaleMax([])).toBe(1);
+  const rects = treemapLayout(buildPathTree(many), 1200, 800, 1);
+  expect(rects.filter((r) => r.kind === 'dir' && r.depth === 1)).toHaveLength(50);
+});
@@ -0,0 +1,141 @@
+// history.js — local run history (IndexedDB) and run-to-run diffing
+import { buildDuplicateGraph, partnerCount } from "./duplicates";
+
+const DB_NAME = "codalens";
+const DB_VERSION = 1;
+const STORE = "runs";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("timestamp", "timestamp");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a later retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => (dbPromise = null));
+  return dbPromise;
+}
+
+// run `fn(store)` inside a transaction and resolve with the request result
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function defaultRunLabel(fileName, timestamp) {
+  return `${fileName || "analysis"} · ${new Date(timestamp).toLocaleString()}`;
+}
+
+// persist an /api/v1/analyze response; resolves with the stored record
+export async function saveRun({ result, fileName, project, label, timestamp = Date.now() }) {
+  const record = {
+    timestamp,
+    fileName: fileName || "",
+    project: (project || "").trim(),
+    label: label || defaultRunLabel(fileName, timestamp),
+    result,
+  };
+  const id = await withStore("readwrite", (s) => s.add(record));
+  return { ...record, id };
+}
+
+// all runs, newest first
+export async function listRuns() {
+  const runs = (await withStore("readonly", (s) => s.getAll())) || [];
+  return runs.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export function getRun(id) {
+  return withStore("readonly", (s) => s.get(id));
+}
+
+export async function updateRun(id, patch) {
+  const run = await getRun(id);
+  if (!run) throw new Error(`Run ${id} not found`);
+  const next = { ...run, ...patch, id };
+  await withStore("readwrite", (s) => s.put(next));
+  return next;
+}
+
+export function deleteRun(id) {
+  return withStore("readwrite", (s) => s.delete(id));
+}
+
+// runs are grouped into projects by explicit project name, falling back to the uploaded file name
+export function projectKey(run) {
+  return run?.project || run?.fileName || "untitled";
+}
+
+// project-wide numbers plotted by the trend charts
+export function runMetrics(result) {
+  const files = result?.files ?? [];
+  const maintain = files.map((f) => f.maintainabilityIndex).filter((v) => typeof v === "number");
+  const cyclo = files.map((f) => f.cyclomatic).filter((v) => typeof v === "number");
+  return {
+    files: result?.totalFiles ?? files.length,
+    avgMaintainability: maintain.length ? Math.round((maintain.reduce((a, b) => a + b, 0) / maintain.length) * 10) / 10 : null,
+    totalCyclomatic: cyclo.reduce((a, b) => a + b, 0),
+    maxCyclomatic: cyclo.reduce((a, b) => Math.max(a, b), 0),
+    clonePairs: buildDuplicateGraph(files).edges.length,
+  };
+}
+
+// ---------- diffing ----------
+const DIFF_METRICS = [
+  ["cyclomatic", (f) => f.cyclomatic],
+  ["maintainabilityIndex", (f) => f.maintainabilityIndex],
+  ["lines", (f) => f.lines],
+  ["duplicates", partnerCount],
+];
+
+function delta(before, after) {
+  if (typeof before !== "number" || typeof after !== "number") return null;
+  return Math.round((after - before) * 100) / 100;
+}
+
+// per-file comparison of two analysis results (base -> head)
+export function diffRuns(baseResult, headResult) {
+  const base = {};
+  const head = {};
+  (baseResult?.files ?? []).forEach((f) => (base[f.path] = f));
+  (headResult?.files ?? []).forEach((f) => (head[f.path] = f));
+  const paths = [...new Set([...Object.keys(base), ...Object.keys(head)])].sort();
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const rows = paths.map((path) => {
+    const a = base[path];
+    const b = head[path];
+    const row = { path, status: "unchanged", before: {}, after: {}, delta: {} };
+    DIFF_METRICS.forEach(([key, get]) => {
+      row.before[key] = a ? get(a) : null;
+      row.after[key] = b ? get(b) : null;
+      row.delta[key] = a && b ? delta(get(a), get(b)) : null;
+    });
+    if (!a) row.status = "added";
+    else if (!b) row.status = "removed";
+    else if (DIFF_METRICS.some(([key]) => row.delta[key])) row.status = "changed";
+    summary[row.status] += 1;
+    return row;
+  });
+  return { rows, summary };
+}
@@ -0,0 +1,55 @@
+import { diffRuns, projectKey, runMetrics } from './history';
+
+const base = {
+  files: [
+    { path: 'A.java', lines: 100, cyclomatic: 10, maintainabilityIndex: 60, duplicatedWith: ['B.java'] },
+    { path: 'B.java', lines: 50, cyclomatic: 4, maintainabilityIndex: 80, duplicatedWith: ['A.java'] },
+    { path: 'Old.java', lines: 20, cyclomatic: 1, maintainabilityIndex: 90 },
+  ],
+};
+const head = {
+  files: [
+    { path: 'A.java', lines: 80, cyclomatic: 7, maintainabilityIndex: 68.5, duplicatedWith: [] },
+    { path: 'B.java', lines: 50, cyclomatic: 4, maintainabilityIndex: 80, duplicatedWith: ['A.java'] },
+    { path: 'New.java', lines: 30, cyclomatic: 2, maintainabilityIndex: 85 },
+  ],
+};
+
+test('classifies files as added, removed, changed or unchanged', () => {
+  const { rows, summary } = diffRuns(base, head);
+  expect(summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+  expect(rows.map((r) => [r.path, r.status])).toEqual([
+    ['A.java', 'changed'],
+    ['B.java', 'unchanged'],
+    ['New.java', 'added'],
+    ['Old.java', 'removed'],
+  ]);
+});
+
+test('reports per-metric deltas for files present in both runs', () => {
+  const row = diffRuns(base, head).rows.find((r) => r.path === 'A.java');
+  expect(row.delta).toEqual({ cyclomatic: -3, maintainabilityIndex: 8.5, lines: -20, duplicates: -1 });
+  const added = diffRuns(base, head).rows.find((r) => r.path === 'New.java');
+  expect(added.delta.cyclomatic).toBeNull();
+  expect(added.after.lines).toBe(30);
+});
+
+test('summarises a run into project-wide trend metrics', () => {
+  expect(runMetrics(base)).toEqual({
+    files: 3,
+    avgMaintainability: 76.7,
+    totalCyclomatic: 15,
+    maxCyclomatic: 10,
+    clonePairs: 1,
+  });
+});
+
+test('groups runs by project name, then by uploaded file name', () => {
+  expect(projectKey({ project: 'core', fileName: 'core-main.zip' })).toBe('core');
+  expect(projectKey({ project: '', fileName: 'core-main.zip' })).toBe('core-main.zip');
+});
+
+test('summarises runs too large to spread into Math.max', () => {
+  const files = Array.from({ length: 200000 }, (_, i) => ({ path: `src/F${i}.java`, cyclomatic: 1 + (i % 40), maintainabilityIndex: 60 }));
+  expect(runMetrics({ files })).toMatchObject({ files: 200000, maxCyclomatic: 40, avgMaintainability: 60 });
+});
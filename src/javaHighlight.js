@@ -0,0 +1,77 @@
+// javaHighlight.js — tiny Java tokenizer for the source preview (no external highlighter)
+
+const KEYWORDS = new Set(
+  (
+    "abstract assert boolean break byte case catch char class const continue default do double else enum " +
+    "extends final finally float for goto if implements import instanceof int interface long native new " +
+    "package private protected public return short static strictfp super switch synchronized this throw " +
+    "throws transient try void volatile while var record sealed permits yield true false null"
+  ).split(" ")
+);
+
+// order matters: comments and strings before anything that could match inside them
+const RULES = [
+  ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y],
+  ["comment", /\/\/[^\n]*/y],
+  ["string", /"""[\s\S]*?(?:"""|$)/y],
+  ["string", /"(?:\\.|[^"\\\n])*"?/y],
+  ["string", /'(?:\\.|[^'\\\n])*'?/y],
+  ["annotation", /@[A-Za-z_][\w.]*/y],
+  ["number", /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[lLfFdD]?\b/y],
+  ["word", /[A-Za-z_$][\w$]*/y],
+  ["space", /\s+/y],
+];
+
+export const TOKEN_COLORS = {
+  comment: "#7a8a86",
+  string: "#b5446e",
+  annotation: "#a0721d",
+  number: "#0c7c73",
+  keyword: "#6d28d9",
+  type: "#1d5fa8",
+};
+
+// returns [{ type, text }]; concatenating every text reproduces the input exactly
+export function tokenizeJava(code) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === "plain") last.text += text;
+    else tokens.push({ type, text });
+  };
+  while (i < code.length) {
+    let matched = false;
+    for (const [type, re] of RULES) {
+      re.lastIndex = i;
+      const m = re.exec(code);
+      if (m && m[0].length) {
+        let t = type;
+        if (type === "word") t = KEYWORDS.has(m[0]) ? "keyword" : /^[A-Z]/.test(m[0]) ? "type" : "plain";
+        if (type === "space") t = "plain";
+        push(t, m[0]);
+        i += m[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      push("plain", code[i]);
+      i += 1;
+    }
+  }
+  return tokens;
+}
+
+// split a token stream into per-line token lists (multi-line comments/strings are cut at newlines)
+export function tokensByLine(tokens) {
+  const lines = [[]];
+  tokens.forEach(({ type, text }) => {
+    const parts = text.split("\n");
+    parts.forEach((part, idx) => {
+      if (idx > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type, text: part });
+    });
+  });
+  return lines;
+}
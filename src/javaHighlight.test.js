@@ -0,0 +1,32 @@
+import { tokenizeJava, tokensByLine } from './javaHighlight';
+
+const code = `@Service
+public class Foo { // hi
+  /* multi
+     line */
+  String s = "a \\"b\\"";
+  int n = 0x1F + 42L;
+}
+`;
+
+test('tokens reproduce the source exactly', () => {
+  expect(tokenizeJava(code).map((t) => t.text).join('')).toBe(code);
+});
+
+test('classifies keywords, types, strings, numbers and comments', () => {
+  const types = (text) => tokenizeJava(code).filter((t) => t.text === text).map((t) => t.type);
+  expect(types('@Service')).toEqual(['annotation']);
+  expect(types('public')).toEqual(['keyword']);
+  expect(types('Foo')).toEqual(['type']);
+  expect(types('"a \\"b\\""')).toEqual(['string']);
+  expect(types('0x1F')).toEqual(['number']);
+  expect(types('42L')).toEqual(['number']);
+  expect(types('// hi')).toEqual(['comment']);
+});
+
+test('splits tokens per line, cutting multi-line comments', () => {
+  const lines = tokensByLine(tokenizeJava(code));
+  expect(lines).toHaveLength(code.split('\n').length);
+  expect(lines[2].find((t) => t.type === 'comment').text).toBe('/* multi');
+  expect(lines[3].find((t) => t.type === 'comment').text).toBe('     line */');
+});
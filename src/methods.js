@@ -0,0 +1,23 @@
+// methods.js — normalises optional per-method data on a file entry of the analyze response
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+// the backend contract does not fix these names yet, so accept the common spellings
+export function fileMethods(file) {
+  const list = file?.methods ?? file?.functions ?? [];
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((m) => m && typeof m === "object")
+    .map((m) => {
+      const startLine = num(m.startLine ?? m.beginLine ?? m.line);
+      const endLine = num(m.endLine);
+      return {
+        name: m.name ?? m.signature ?? m.method ?? "(anonymous)",
+        cyclomatic: num(m.cyclomatic ?? m.complexity ?? m.cc),
+        lines: num(m.lines ?? m.loc) ?? (startLine !== null && endLine !== null ? endLine - startLine + 1 : null),
+        startLine,
+        endLine,
+      };
+    })
+    .sort((a, b) => (b.cyclomatic ?? -1) - (a.cyclomatic ?? -1));
+}
@@ -0,0 +1,13 @@
+import { fileMethods } from './methods';
+
+test('normalises per-method data and sorts by complexity', () => {
+  const methods = fileMethods({
+    methods: [
+      { name: 'a', complexity: 2, beginLine: 3, endLine: 7 },
+      { signature: 'b()', cyclomatic: 9, loc: 12, line: 10 },
+    ],
+  });
+  expect(methods.map((m) => m.name)).toEqual(['b()', 'a']);
+  expect(methods[1]).toMatchObject({ cyclomatic: 2, startLine: 3, lines: 5 });
+  expect(fileMethods({ path: 'X.java' })).toEqual([]);
+});
@@ -0,0 +1,109 @@
+// mockFixtures.js — fixture analyses for the mock backend, measured from the uploaded sources when possible
+import { tokenizeJava } from "./javaHighlight";
+import { findCloneRegions } from "./cloneRegions";
+
+const BRANCH_WORDS = new Set(["if", "for", "while", "case", "catch"]);
+const METHOD_RE = /^\s*(?:(?:public|protected|private|static|final|abstract|synchronized|native|default)\s+)*(?:<[^>]+>\s*)?[\w.<>[\],?\s]+?\s+(\w+)\s*\([^;{]*\)\s*(?:throws\s+[\w.,\s]+)?\{?\s*$/;
+const NOT_METHODS = new Set(["if", "for", "while", "switch", "catch", "return", "new", "else", "synchronized"]);
+// pairwise clone search is quadratic; bigger uploads get no duplicates from the mock
+const MAX_CLONE_FILES = 120;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// McCabe-ish count over code tokens only (comments and strings are skipped)
+function complexity(tokens) {
+  let cc = 1;
+  tokens.forEach(({ type, text }) => {
+    if (type === "keyword" && BRANCH_WORDS.has(text)) cc++;
+    else if (type === "plain") cc += (text.match(/&&|\|\||\?/g) || []).length;
+  });
+  return cc;
+}
+
+// simplified maintainability index on a 0..100 scale
+function maintainability(tokenCount, cc, lines) {
+  const mi = 171 - 5.2 * Math.log(Math.max(1, tokenCount * 4)) - 0.23 * cc - 16.2 * Math.log(Math.max(1, lines));
+  return round1(Math.max(0, Math.min(100, (mi * 100) / 171)));
+}
+
+// method declarations with their brace-matched line range
+function findMethods(text) {
+  const lines = text.split("\n");
+  const methods = [];
+  lines.forEach((line, i) => {
+    const m = METHOD_RE.exec(line);
+    if (!m || NOT_METHODS.has(m[1])) return;
+    let depth = 0;
+    let opened = false;
+    let end = i;
+    for (let j = i; j < lines.length; j++) {
+      for (const c of lines[j]) {
+        if (c === "{") {
+          depth++;
+          opened = true;
+        } else if (c === "}") depth--;
+      }
+      if (opened && depth <= 0) {
+        end = j;
+        break;
+      }
+      if (!opened && j > i + 2) break; // abstract/interface method
+    }
+    if (!opened) return;
+    const body = lines.slice(i, end + 1).join("\n");
+    methods.push({ name: m[1], startLine: i + 1, endLine: end + 1, cyclomatic: complexity(tokenizeJava(body)) });
+  });
+  return methods;
+}
+
+export function measureSource(path, text) {
+  const tokens = tokenizeJava(text);
+  const code = tokens.filter((t) => t.type !== "comment" && t.text.trim());
+  const lines = text.split("\n").length;
+  const cc = complexity(tokens);
+  return { path, lines, cyclomatic: cc, maintainabilityIndex: maintainability(code.length, cc, lines), methods: findMethods(text), duplicatedWith: [] };
+}
+
+// { [path]: text } -> analysis result shaped like the real backend's
+export function analysisFromSources(sources) {
+  const files = Object.entries(sources).map(([path, text]) => measureSource(path, text));
+  const paths = Object.keys(sources);
+  if (paths.length <= MAX_CLONE_FILES) {
+    for (let i = 0; i < paths.length; i++) {
+      for (let j = i + 1; j < paths.length; j++) {
+        const regions = findCloneRegions(sources[paths[i]], sources[paths[j]], 6);
+        if (!regions.length) continue;
+        files[i].duplicatedWith.push({ path: paths[j], regions });
+        files[j].duplicatedWith.push({ path: paths[i], regions: regions.map(({ a, b }) => ({ a: b, b: a })) });
+      }
+    }
+  }
+  return { totalFiles: files.length, files };
+}
+
+// deterministic pseudo-random project for uploads the mock cannot read
+export function demoAnalysis(count = 60) {
+  let seed = 42;
+  const next = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const packages = ["api", "api/dto", "service", "service/billing", "repository", "util", "config"];
+  const files = Array.from({ length: count }, (_, i) => {
+    const pkg = packages[Math.floor(next() * packages.length)];
+    const lines = Math.round(30 + next() ** 2 * 900);
+    const cyclomatic = Math.max(1, Math.round((lines / 40) * (0.4 + next() * 1.6)));
+    return {
+      path: `src/main/java/com/example/demo/${pkg}/Demo${i + 1}.java`,
+      lines,
+      cyclomatic,
+      maintainabilityIndex: round1(Math.max(5, Math.min(100, 110 - cyclomatic * 1.4 - lines / 30 + next() * 10))),
+      duplicatedWith: [],
+    };
+  });
+  for (let k = 0; k < count / 6; k++) {
+    const a = files[Math.floor(next() * count)];
+    const b = files[Math.floor(next() * count)];
+    if (a === b || a.duplicatedWith.includes(b.path)) continue;
+    a.duplicatedWith.push(b.path);
+    b.duplicatedWith.push(a.path);
+  }
+  return { totalFiles: count, files };
+}
@@ -0,0 +1,71 @@
+// pathTree.js — directory/package tree built from flat file paths, with rolled-up metrics
+import { partnerCount } from "./duplicates";
+
+function emptyNode(name, path) {
+  return { name, path, children: [], files: [], metrics: null };
+}
+
+function rollUp(files) {
+  const nums = (get) => files.map(get).filter((v) => typeof v === "number");
+  const cyclo = nums((f) => f.cyclomatic);
+  const maintain = nums((f) => f.maintainabilityIndex);
+  const round = (v) => Math.round(v * 10) / 10;
+  return {
+    files: files.length,
+    lines: nums((f) => f.lines).reduce((a, b) => a + b, 0),
+    avgCyclomatic: cyclo.length ? round(cyclo.reduce((a, b) => a + b, 0) / cyclo.length) : null,
+    maxCyclomatic: cyclo.length ? cyclo.reduce((a, b) => Math.max(a, b)) : null,
+    avgMaintainability: maintain.length ? round(maintain.reduce((a, b) => a + b, 0) / maintain.length) : null,
+    duplicates: files.reduce((a, f) => a + partnerCount(f), 0),
+  };
+}
+
+// collapse chains like src/main/java/com/acme into one node, the way IDEs show Java packages
+function compact(node) {
+  node.children.forEach(compact);
+  while (node.path && node.children.length === 1 && node.files.length === 0) {
+    const only = node.children[0];
+    node.name = `${node.name}/${only.name}`;
+    node.path = only.path;
+    node.children = only.children;
+    node.files = only.files;
+  }
+}
+
+// returns the root node; every node carries `allFiles` (its whole subtree) and rolled-up `metrics`
+export function buildPathTree(files) {
+  const root = emptyNode("", "");
+  const dirs = { "": root };
+  for (const f of files) {
+    const parts = f.path.split("/").filter(Boolean);
+    parts.pop();
+    let parent = root;
+    let prefix = "";
+    for (const part of parts) {
+      prefix = prefix ? `${prefix}/${part}` : part;
+      if (!dirs[prefix]) {
+        dirs[prefix] = emptyNode(part, prefix);
+        parent.children.push(dirs[prefix]);
+      }
+      parent = dirs[prefix];
+    }
+    parent.files.push(f);
+  }
+  root.children.forEach(compact);
+
+  const finish = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.children.forEach(finish);
+    node.allFiles = [...node.files, ...node.children.flatMap((c) => c.allFiles)];
+    node.metrics = rollUp(node.allFiles);
+  };
+  finish(root);
+  return root;
+}
+
+// true when `path` lives under directory `dir` ("" matches everything)
+export function inDirectory(path, dir) {
+  if (!dir) return true;
+  const p = path.replace(/^\/+/, "");
+  return p === dir || p.startsWith(`${dir}/`);
+}
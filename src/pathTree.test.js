@@ -0,0 +1,44 @@
+import { buildPathTree, inDirectory } from './pathTree';
+
+const files = [
+  { path: 'src/main/java/com/acme/api/Api.java', lines: 100, cyclomatic: 12, maintainabilityIndex: 50, duplicatedWith: ['x'] },
+  { path: 'src/main/java/com/acme/api/Dto.java', lines: 20, cyclomatic: 1, maintainabilityIndex: 90 },
+  { path: 'src/main/java/com/acme/core/Core.java', lines: 60, cyclomatic: 6 },
+  { path: 'Main.java', lines: 10, cyclomatic: 2, maintainabilityIndex: 80 },
+];
+
+test('collapses single-child directory chains into package nodes', () => {
+  const root = buildPathTree(files);
+  expect(root.files.map((f) => f.path)).toEqual(['Main.java']);
+  expect(root.children).toHaveLength(1);
+  const acme = root.children[0];
+  expect(acme.name).toBe('src/main/java/com/acme');
+  expect(acme.path).toBe('src/main/java/com/acme');
+  expect(acme.children.map((c) => c.path)).toEqual(['src/main/java/com/acme/api', 'src/main/java/com/acme/core']);
+});
+
+test('rolls metrics up the tree and skips missing values in averages', () => {
+  const root = buildPathTree(files);
+  expect(root.metrics.files).toBe(4);
+  const acme = root.children[0];
+  expect(acme.metrics).toEqual({
+    files: 3,
+    lines: 180,
+    avgCyclomatic: 6.3,
+    maxCyclomatic: 12,
+    avgMaintainability: 70,
+    duplicates: 1,
+  });
+});
+
+test('matches paths by directory prefix, not substring', () => {
+  expect(inDirectory('src/api/A.java', 'src/api')).toBe(true);
+  expect(inDirectory('src/apix/A.java', 'src/api')).toBe(false);
+  expect(inDirectory('anything', '')).toBe(true);
+});
+
+test('rolls up trees too large to spread into Math.max', () => {
+  const many = Array.from({ length: 200000 }, (_, i) => ({ path: `src/p${i % 50}/F${i}.java`, lines: 10, cyclomatic: 1 + (i % 40) }));
+  const root = buildPathTree(many);
+  expect(root.metrics).toMatchObject({ files: 200000, maxCyclomatic: 40 });
+});
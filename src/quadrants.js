@@ -0,0 +1,45 @@
+// quadrants.js — complexity vs. maintainability classification and selection geometry
+import { PALETTE } from "./helpers";
+
+export const DEFAULT_THRESHOLDS = { cyclomatic: 10, maintainability: 65 };
+
+export const QUADRANTS = {
+  refactor: { label: "refactor now", color: PALETTE.pink },
+  watch: { label: "watch", color: PALETTE.yellow },
+  healthy: { label: "healthy", color: PALETTE.teal },
+};
+
+// complex AND hard to maintain -> refactor now; either one -> watch; neither -> healthy
+export function classifyFile(file, thresholds = DEFAULT_THRESHOLDS) {
+  const complex = file.cyclomatic > thresholds.cyclomatic;
+  const unmaintainable = file.maintainabilityIndex < thresholds.maintainability;
+  if (complex && unmaintainable) return "refactor";
+  if (complex || unmaintainable) return "watch";
+  return "healthy";
+}
+
+// bubble radius in px from line count (area ~ lines)
+export function bubbleRadius(lines, maxLines) {
+  if (!maxLines) return 4;
+  return 3 + Math.sqrt(Math.max(0, lines || 0) / maxLines) * 19;
+}
+
+// ray-casting point-in-polygon; polygon is [[x, y], ...]
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function boxToPolygon([x0, y0], [x1, y1]) {
+  return [
+    [x0, y0],
+    [x1, y0],
+    [x1, y1],
+    [x0, y1],
+  ];
+}
@@ -0,0 +1,23 @@
+import { classifyFile, pointInPolygon, boxToPolygon, bubbleRadius } from './quadrants';
+
+test('classifies files into refactor / watch / healthy quadrants', () => {
+  const t = { cyclomatic: 10, maintainability: 65 };
+  expect(classifyFile({ cyclomatic: 20, maintainabilityIndex: 40 }, t)).toBe('refactor');
+  expect(classifyFile({ cyclomatic: 20, maintainabilityIndex: 80 }, t)).toBe('watch');
+  expect(classifyFile({ cyclomatic: 3, maintainabilityIndex: 40 }, t)).toBe('watch');
+  expect(classifyFile({ cyclomatic: 10, maintainabilityIndex: 65 }, t)).toBe('healthy');
+});
+
+test('selects points inside a box or lasso polygon', () => {
+  const box = boxToPolygon([10, 10], [50, 40]);
+  expect(pointInPolygon(20, 20, box)).toBe(true);
+  expect(pointInPolygon(60, 20, box)).toBe(false);
+  const triangle = [[0, 0], [100, 0], [0, 100]];
+  expect(pointInPolygon(10, 10, triangle)).toBe(true);
+  expect(pointInPolygon(80, 80, triangle)).toBe(false);
+});
+
+test('scales bubble area with line count', () => {
+  expect(bubbleRadius(0, 100)).toBe(3);
+  expect(bubbleRadius(100, 100)).toBe(22);
+});
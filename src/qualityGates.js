@@ -0,0 +1,103 @@
+// qualityGates.js — threshold rules evaluated against an analysis result
+import { readStored, writeStored } from "./helpers";
+import { partnerCount } from "./duplicates";
+
+const STORAGE_KEY = "codalens.qualityGates";
+
+export const GATE_METRICS = {
+  cyclomatic: { label: "Cyclomatic", get: (f) => f.cyclomatic },
+  maintainabilityIndex: { label: "Maintainability", get: (f) => f.maintainabilityIndex },
+  lines: { label: "Lines", get: (f) => f.lines },
+  duplicates: { label: "Duplicates", get: partnerCount },
+};
+
+// "file": every file must satisfy the rule; "average"/"total": the project-wide aggregate must
+export const GATE_SCOPES = {
+  file: "each file",
+  average: "average",
+  total: "total",
+};
+
+export const GATE_OPS = {
+  "<=": (a, b) => a <= b,
+  "<": (a, b) => a < b,
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+};
+
+export const DEFAULT_RULES = [
+  { id: "max-cyclo", metric: "cyclomatic", scope: "file", op: "<=", value: 15, enabled: true },
+  { id: "avg-maintain", metric: "maintainabilityIndex", scope: "average", op: ">=", value: 65, enabled: true },
+  { id: "max-dups", metric: "duplicates", scope: "file", op: "<=", value: 3, enabled: true },
+];
+
+let idSeq = 0;
+export function newRuleId() {
+  idSeq += 1;
+  return `rule-${Date.now().toString(36)}-${idSeq}`;
+}
+
+// the editor keeps the typed text, so a rule's value may be "" or "1e" mid-edit; null until it parses
+export function ruleValue(rule) {
+  const value = typeof rule.value === "string" && rule.value.trim() === "" ? NaN : Number(rule.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+// rules worth keeping: the ones whose value parses, with the value stored as a number
+const completeRules = (rules) => rules.filter((r) => ruleValue(r) !== null).map((r) => ({ ...r, value: ruleValue(r) }));
+
+export function describeRule(rule) {
+  const metric = GATE_METRICS[rule.metric]?.label ?? rule.metric;
+  const op = rule.op.replace("<=", "≤").replace(">=", "≥");
+  if (rule.scope === "file") return `${metric} per file ${op} ${rule.value}`;
+  return `${rule.scope === "average" ? "Average" : "Total"} ${metric.toLowerCase()} ${op} ${rule.value}`;
+}
+
+// validates and normalises a rule list (from storage or an imported file); throws on bad input
+export function parseRules(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  const list = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(list)) throw new Error("Gate file must be a list of rules or { rules: [...] }");
+  return list.map((r, i) => {
+    if (!GATE_METRICS[r?.metric]) throw new Error(`Rule ${i + 1}: unknown metric "${r?.metric}"`);
+    if (!GATE_SCOPES[r.scope]) throw new Error(`Rule ${i + 1}: unknown scope "${r.scope}"`);
+    if (!GATE_OPS[r.op]) throw new Error(`Rule ${i + 1}: unknown operator "${r.op}"`);
+    const value = ruleValue(r);
+    if (value === null) throw new Error(`Rule ${i + 1}: value must be a number`);
+    return { id: r.id || newRuleId(), metric: r.metric, scope: r.scope, op: r.op, value, enabled: r.enabled !== false };
+  });
+}
+
+export function serializeRules(rules) {
+  return JSON.stringify({ version: 1, rules: completeRules(rules).map(({ id, ...rest }) => rest) }, null, 2) + "\n";
+}
+
+export function loadRules() {
+  return readStored(STORAGE_KEY, DEFAULT_RULES, parseRules);
+}
+
+export function saveRules(rules) {
+  writeStored(STORAGE_KEY, completeRules(rules));
+}
+
+// evaluate enabled rules with a numeric value; files with a missing metric are not counted for that rule
+export function evaluateGates(files, rules) {
+  const violating = new Set();
+  const results = rules
+    .filter((r) => r.enabled && ruleValue(r) !== null)
+    .map((rule) => {
+      const { get } = GATE_METRICS[rule.metric];
+      const limit = ruleValue(rule);
+      const test = (a) => GATE_OPS[rule.op](a, limit);
+      const measured = files.filter((f) => typeof get(f) === "number");
+      if (rule.scope === "file") {
+        const violators = measured.filter((f) => !test(get(f))).map((f) => ({ path: f.path, actual: get(f) }));
+        violators.forEach((v) => violating.add(v.path));
+        return { rule, passed: violators.length === 0, actual: violators.length, violators };
+      }
+      const total = measured.reduce((a, f) => a + get(f), 0);
+      const actual = rule.scope === "average" ? (measured.length ? Math.round((total / measured.length) * 10) / 10 : null) : total;
+      return { rule, passed: actual === null || test(actual), actual, violators: [] };
+    });
+  return { passed: results.every((r) => r.passed), results, violating };
+}
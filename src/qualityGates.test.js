@@ -0,0 +1,43 @@
+import { DEFAULT_RULES, evaluateGates, parseRules, serializeRules, describeRule, ruleValue } from './qualityGates';
+
+const files = [
+  { path: 'A.java', cyclomatic: 22, maintainabilityIndex: 40, duplicatedWith: ['B.java', 'C.java', 'D.java', 'E.java'] },
+  { path: 'B.java', cyclomatic: 4, maintainabilityIndex: 90, duplicatedWith: ['A.java'] },
+  { path: 'C.java', cyclomatic: 8 },
+];
+
+test('default rules flag per-file and project-wide violations', () => {
+  const { passed, results, violating } = evaluateGates(files, DEFAULT_RULES);
+  expect(passed).toBe(false);
+  expect(results.map((r) => r.passed)).toEqual([false, true, false]);
+  expect(results[0].violators).toEqual([{ path: 'A.java', actual: 22 }]);
+  // C.java has no maintainability score, so the average only counts A and B
+  expect(results[1].actual).toBe(65);
+  expect([...violating]).toEqual(['A.java']);
+});
+
+test('disabled rules are skipped', () => {
+  const rules = DEFAULT_RULES.map((r) => ({ ...r, enabled: r.id === 'avg-maintain' }));
+  expect(evaluateGates(files, rules).passed).toBe(true);
+});
+
+test('round-trips rules through JSON and rejects malformed input', () => {
+  const parsed = parseRules(serializeRules(DEFAULT_RULES));
+  expect(parsed.map(describeRule)).toEqual([
+    'Cyclomatic per file ≤ 15',
+    'Average maintainability ≥ 65',
+    'Duplicates per file ≤ 3',
+  ]);
+  expect(() => parseRules('{"rules":[{"metric":"bogus","scope":"file","op":"<=","value":1}]}')).toThrow(/unknown metric/);
+  expect(() => parseRules('{"nope":true}')).toThrow(/list of rules/);
+});
+
+test('a value still being typed skips its rule instead of comparing against 0', () => {
+  const rules = DEFAULT_RULES.map((r) => (r.id === 'max-cyclo' ? { ...r, value: '' } : r));
+  expect(ruleValue(rules[0])).toBeNull();
+  expect(evaluateGates(files, rules).results.map((r) => r.rule.id)).toEqual(['avg-maintain', 'max-dups']);
+  const typed = evaluateGates(files, [{ ...DEFAULT_RULES[0], value: '25' }]);
+  expect(typed.passed).toBe(true);
+  expect(parseRules(serializeRules(rules))).toHaveLength(2);
+  expect(() => parseRules([{ ...DEFAULT_RULES[0], value: '' }])).toThrow(/value must be a number/);
+});
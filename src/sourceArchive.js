@@ -0,0 +1,104 @@
+// sourceArchive.js — read .java sources from the uploaded file/zip in the browser
+import { unzip, zip, strFromU8, strToU8 } from "fflate";
+
+const entryCache = new WeakMap();
+const sourceCache = new WeakMap();
+
+export function isZip(file) {
+  return /\.zip$/i.test(file?.name || "") || file?.type === "application/zip" || file?.type === "application/x-zip-compressed";
+}
+
+function unzipAsync(bytes, filter) {
+  return new Promise((resolve, reject) => {
+    unzip(bytes, { filter }, (err, entries) => (err ? reject(err) : resolve(entries)));
+  });
+}
+
+// caches a per-File promise, dropping failures so a retry can re-read the file
+function cached(cache, file, read) {
+  if (cache.has(file)) return cache.get(file);
+  const promise = read();
+  cache.set(file, promise);
+  promise.catch(() => cache.delete(file));
+  return promise;
+}
+
+// resolves with { [entryPath]: Uint8Array } for every .java file in the upload, bytes exactly as stored
+export function readEntries(file) {
+  if (!file) return Promise.resolve({});
+  return cached(entryCache, file, async () => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!isZip(file)) return { [file.name]: bytes };
+    return unzipAsync(bytes, (entry) => /\.java$/i.test(entry.name));
+  });
+}
+
+// browsers' TextDecoder would silently substitute U+FFFD, so ask it to fail instead
+const utf8 = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8", { fatal: true }) : null;
+
+// UTF-8 where it is valid, otherwise Latin-1 (legacy Cp1252 sources) so the preview still shows the file
+function decodeSource(bytes) {
+  try {
+    return utf8 ? utf8.decode(bytes) : strFromU8(bytes);
+  } catch (err) {
+    return strFromU8(bytes, true);
+  }
+}
+
+// resolves with { [entryPath]: sourceText } for the preview and diff views
+export function readSources(file) {
+  if (!file) return Promise.resolve({});
+  return cached(sourceCache, file, async () => {
+    if (!isZip(file)) return { [file.name]: await file.text() };
+    const entries = await readEntries(file);
+    const out = {};
+    Object.entries(entries).forEach(([name, data]) => (out[name] = decodeSource(data)));
+    return out;
+  });
+}
+
+const norm = (p) => p.replace(/\\/g, "/").replace(/^\.?\/+/, "");
+
+// backend paths and zip entry names may differ by a leading project folder; match on path suffix
+export function findSource(sources, path) {
+  if (!sources || !path) return null;
+  const target = norm(path);
+  if (sources[target] !== undefined) return { name: target, text: sources[target] };
+  let best = null;
+  for (const name of Object.keys(sources)) {
+    const n = norm(name);
+    if (n === target || n.endsWith(`/${target}`) || target.endsWith(`/${n}`)) {
+      // prefer the longest overlapping entry name
+      if (!best || n.length > best.length) best = name;
+    }
+  }
+  if (best) return { name: best, text: sources[best] };
+  // single-file upload: the backend may report only the file name
+  const names = Object.keys(sources);
+  if (names.length === 1 && target.split("/").pop() === norm(names[0]).split("/").pop()) {
+    return { name: names[0], text: sources[names[0]] };
+  }
+  return null;
+}
+
+function zipAsync(entries) {
+  return new Promise((resolve, reject) => {
+    zip(entries, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+// build a zip File from { [entryPath]: string | Uint8Array }
+export async function makeZip(entries, fileName) {
+  const data = {};
+  Object.entries(entries).forEach(([name, content]) => (data[name] = typeof content === "string" ? strToU8(content) : content));
+  const bytes = await zipAsync(data);
+  return new File([bytes], fileName, { type: "application/zip" });
+}
+
+// re-pack only the chosen .java entries of an uploaded zip; raw bytes, so non-UTF-8 sources survive
+export async function subsetZip(file, names) {
+  const entries = await readEntries(file);
+  const picked = {};
+  names.forEach((n) => entries[n] !== undefined && (picked[n] = entries[n]));
+  return makeZip(picked, file.name);
+}
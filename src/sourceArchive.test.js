@@ -0,0 +1,47 @@
+import { strToU8, unzipSync, zipSync } from 'fflate';
+import { findSource, isZip, readSources, subsetZip } from './sourceArchive';
+
+const sources = {
+  'project/src/main/java/a/Foo.java': 'class Foo {}',
+  'project/src/main/java/b/Foo.java': 'class Foo2 {}',
+};
+
+test('matches backend paths to zip entries by path suffix', () => {
+  expect(findSource(sources, 'src/main/java/a/Foo.java').text).toBe('class Foo {}');
+  expect(findSource(sources, 'b/Foo.java').name).toBe('project/src/main/java/b/Foo.java');
+  expect(findSource(sources, 'c/Foo.java')).toBeNull();
+});
+
+test('falls back to the only file of a single-file upload', () => {
+  expect(findSource({ 'Bar.java': 'x' }, 'com/acme/Bar.java').text).toBe('x');
+  expect(findSource({ 'Bar.java': 'x' }, 'Baz.java')).toBeNull();
+});
+
+test('detects zip uploads by name or type', () => {
+  expect(isZip({ name: 'src.ZIP' })).toBe(true);
+  expect(isZip({ name: 'blob', type: 'application/zip' })).toBe(true);
+  expect(isZip({ name: 'Foo.java' })).toBe(false);
+});
+
+// jsdom's Blob has no arrayBuffer(); FileReader does the same job
+const bytesOf = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+
+test('subset uploads keep the original bytes of non-UTF-8 sources', async () => {
+  // "// café" in Latin-1: 0xE9 is not valid UTF-8 on its own
+  const latin1 = Uint8Array.from([47, 47, 32, 99, 97, 102, 0xe9]);
+  const archive = zipSync({ 'src/A.java': latin1, 'src/B.java': strToU8('class B {}') });
+  const file = { name: 'src.zip', arrayBuffer: async () => archive.buffer };
+
+  const subset = await subsetZip(file, ['src/A.java']);
+  const entries = unzipSync(await bytesOf(subset));
+  expect(Object.keys(entries)).toEqual(['src/A.java']);
+  expect([...entries['src/A.java']]).toEqual([...latin1]);
+  const sources = await readSources(file);
+  expect(sources['src/B.java']).toBe('class B {}');
+  expect(sources['src/A.java']).toBe('// café');
+});
@@ -0,0 +1,89 @@
+// statistics.js — distribution statistics over a whole analysis (percentiles, histograms, concentration)
+import { hasMetric } from "./helpers";
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// linear interpolation between closest ranks; `sorted` ascending, p in 0..100
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = ((sorted.length - 1) * p) / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return round1(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+}
+
+// { count, missing, min, max, mean, stdDev, p50, p90, p99 }; missing values are counted, not used
+export function distribution(values) {
+  const nums = values.filter(hasMetric).sort((a, b) => a - b);
+  const missing = values.length - nums.length;
+  if (!nums.length) return { count: 0, missing, min: null, max: null, mean: null, stdDev: null, p50: null, p90: null, p99: null };
+  const mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+  const variance = nums.reduce((a, v) => a + (v - mean) ** 2, 0) / nums.length;
+  return {
+    count: nums.length,
+    missing,
+    min: nums[0],
+    max: nums[nums.length - 1],
+    mean: round1(mean),
+    stdDev: round1(Math.sqrt(variance)),
+    p50: percentile(nums, 50),
+    p90: percentile(nums, 90),
+    p99: percentile(nums, 99),
+  };
+}
+
+// 1, 2 or 5 × 10^k, whichever first covers `raw`
+function niceWidth(raw) {
+  const pow = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map((m) => m * pow).find((w) => w >= raw);
+}
+
+/**
+ * Equal-width bins over `files[key]`, at most `maxBins` of them.
+ * Each bin is { lo, hi, label, paths }; lo is inclusive, hi exclusive (the last bin holds the max).
+ * Integer metrics get whole-number widths and "lo–(hi-1)" labels.
+ */
+export function histogram(files, key, { integer = false, maxBins = 20 } = {}) {
+  const present = files.filter((f) => hasMetric(f[key]));
+  if (!present.length) return [];
+  const values = present.map((f) => f[key]);
+  const min = values.reduce((a, v) => Math.min(a, v));
+  const max = values.reduce((a, v) => Math.max(a, v));
+  let width = max > min ? niceWidth((max - min) / maxBins) : 1;
+  if (integer) width = Math.max(1, Math.ceil(width));
+  const start = Math.floor(min / width) * width;
+  const count = Math.max(1, Math.floor((max - start) / width) + 1);
+  const bins = Array.from({ length: count }, (_, i) => {
+    const lo = round1(start + i * width);
+    const hi = round1(lo + width);
+    const label = integer ? (width === 1 ? `${lo}` : `${lo}–${hi - 1}`) : `${lo}–${hi}`;
+    return { lo, hi, label, paths: [] };
+  });
+  present.forEach((f) => bins[Math.min(count - 1, Math.floor((f[key] - start) / width))].paths.push(f.path));
+  return bins;
+}
+
+/**
+ * Share of the total held by the largest values, for a Lorenz-style curve.
+ * points: [{ x: % of files, y: % of total }] starting at the origin, at most ~200 of them.
+ * filesShareFor(0.8) -> % of files (largest first) that together hold 80% of the total.
+ */
+export function concentration(values) {
+  const nums = values.filter((v) => hasMetric(v) && v >= 0).sort((a, b) => b - a);
+  const total = nums.reduce((a, b) => a + b, 0);
+  if (!total) return { points: [], filesShareFor: () => null };
+  const cumulative = [];
+  nums.reduce((acc, v) => {
+    cumulative.push(acc + v);
+    return acc + v;
+  }, 0);
+  const step = Math.max(1, Math.floor(nums.length / 200));
+  const points = [{ x: 0, y: 0 }];
+  for (let i = step - 1; i < nums.length; i += step) points.push({ x: round1(((i + 1) / nums.length) * 100), y: round1((cumulative[i] / total) * 100) });
+  if (points[points.length - 1].x !== 100) points.push({ x: 100, y: 100 });
+  const filesShareFor = (share) => {
+    const k = cumulative.findIndex((c) => c >= total * share - 1e-9);
+    return round1(((k + 1) / nums.length) * 100);
+  };
+  return { points, filesShareFor };
+}
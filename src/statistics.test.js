@@ -0,0 +1,42 @@
+import { concentration, distribution, histogram, percentile } from './statistics';
+
+test('interpolates percentiles between ranks', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  expect(percentile(sorted, 50)).toBe(5.5);
+  expect(percentile(sorted, 90)).toBe(9.1);
+  expect(percentile(sorted, 100)).toBe(10);
+  expect(percentile([], 50)).toBeNull();
+});
+
+test('describes a metric and counts missing values separately', () => {
+  expect(distribution([2, 4, 4, 4, 5, 5, 7, 9, null])).toEqual({ count: 8, missing: 1, min: 2, max: 9, mean: 5, stdDev: 2, p50: 4.5, p90: 7.6, p99: 8.9 });
+  expect(distribution([null, undefined])).toMatchObject({ count: 0, missing: 2, p50: null });
+});
+
+test('bins integer metrics with whole-number widths and keeps the max in the last bin', () => {
+  const files = [1, 1, 2, 7, 40].map((cyclomatic, i) => ({ path: `F${i}`, cyclomatic }));
+  const bins = histogram(files, 'cyclomatic', { integer: true, maxBins: 10 });
+  expect(bins[0]).toEqual({ lo: 0, hi: 5, label: '0–4', paths: ['F0', 'F1', 'F2'] });
+  expect(bins[bins.length - 1].paths).toEqual(['F4']);
+  expect(bins.reduce((a, b) => a + b.paths.length, 0)).toBe(5);
+  expect(histogram([{ path: 'A', cyclomatic: 3 }], 'cyclomatic', { integer: true })).toEqual([{ lo: 3, hi: 4, label: '3', paths: ['A'] }]);
+  expect(histogram([{ path: 'A' }], 'cyclomatic')).toEqual([]);
+});
+
+test('finds how few files hold most of the total', () => {
+  const { points, filesShareFor } = concentration([80, 5, 5, 5, 5, 0, null, 0, 0, 0]);
+  expect(filesShareFor(0.8)).toBe(11.1);
+  expect(filesShareFor(1)).toBe(55.6);
+  expect(points[0]).toEqual({ x: 0, y: 0 });
+  expect(points[1]).toEqual({ x: 11.1, y: 80 });
+  expect(points[points.length - 1]).toEqual({ x: 100, y: 100 });
+  expect(concentration([0, null]).filesShareFor(0.8)).toBeNull();
+});
+
+test('bins 200k files without spreading them into Math.min/max', () => {
+  const many = Array.from({ length: 200000 }, (_, i) => ({ path: `F${i}.java`, cyclomatic: 1 + (i % 40) }));
+  const bins = histogram(many, 'cyclomatic', { integer: true });
+  expect(bins[0].lo).toBeLessThanOrEqual(1);
+  expect(bins[bins.length - 1].hi).toBeGreaterThan(40);
+  expect(bins.reduce((a, b) => a + b.paths.length, 0)).toBe(200000);
+});
@@ -0,0 +1,53 @@
+// tableSort.js — multi-key sorting for the Files table
+import { partnerCount } from "./duplicates";
+
+export const SORT_FIELDS = {
+  path: { label: "Path", get: (f) => f.path },
+  lines: { label: "Lines", get: (f) => f.lines },
+  cyclomatic: { label: "Cyclomatic", get: (f) => f.cyclomatic },
+  maintainabilityIndex: { label: "Maintainability", get: (f) => f.maintainabilityIndex },
+  duplicates: { label: "Duplicates", get: partnerCount },
+};
+
+// matches the original fixed ordering: most complex first, path as tie-breaker
+export const DEFAULT_SORT = [
+  { key: "cyclomatic", dir: "desc" },
+  { key: "path", dir: "asc" },
+];
+
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
+
+// comparator over up to N sort keys; missing values always sort last regardless of direction
+export function compareBy(sortKeys) {
+  return (x, y) => {
+    for (const { key, dir } of sortKeys) {
+      const field = SORT_FIELDS[key];
+      if (!field) continue;
+      const a = field.get(x);
+      const b = field.get(y);
+      if (isMissing(a) || isMissing(b)) {
+        if (isMissing(a) && isMissing(b)) continue;
+        return isMissing(a) ? 1 : -1;
+      }
+      const c = typeof a === "string" || typeof b === "string" ? String(a).localeCompare(String(b)) : a - b;
+      if (c) return dir === "desc" ? -c : c;
+    }
+    return 0;
+  };
+}
+
+// header click: plain click makes `key` the primary sort (toggling direction if it already is);
+// shift-click sets it as the secondary key
+export function nextSort(sortKeys, key, secondary = false) {
+  const [primary, second] = sortKeys;
+  const defaultDir = key === "path" ? "asc" : "desc";
+  const flip = (d) => (d === "asc" ? "desc" : "asc");
+  if (secondary) {
+    if (!primary || primary.key === key) return sortKeys;
+    const dir = second?.key === key ? flip(second.dir) : defaultDir;
+    return [primary, { key, dir }];
+  }
+  if (primary?.key === key) return [{ key, dir: flip(primary.dir) }, ...sortKeys.slice(1)];
+  // the old primary becomes the secondary key so ties keep a sensible order
+  return [{ key, dir: defaultDir }, ...(primary ? [primary] : [])];
+}
@@ -0,0 +1,34 @@
+import { compareBy, nextSort, DEFAULT_SORT } from './tableSort';
+
+const files = [
+  { path: 'b/B.java', lines: 10, cyclomatic: 5, maintainabilityIndex: 70 },
+  { path: 'a/A.java', lines: 30, cyclomatic: 5, maintainabilityIndex: 60, duplicatedWith: ['b/B.java'] },
+  { path: 'c/C.java', lines: 20, cyclomatic: 9 },
+  { path: 'd/D.java', lines: 5 },
+];
+
+const paths = (list) => list.map((f) => f.path);
+
+test('default sort is most complex first with path as tie-breaker', () => {
+  expect(paths([...files].sort(compareBy(DEFAULT_SORT)))).toEqual(['c/C.java', 'a/A.java', 'b/B.java', 'd/D.java']);
+});
+
+test('missing values sort last in both directions', () => {
+  const asc = [...files].sort(compareBy([{ key: 'maintainabilityIndex', dir: 'asc' }]));
+  const desc = [...files].sort(compareBy([{ key: 'maintainabilityIndex', dir: 'desc' }]));
+  expect(paths(asc).slice(0, 2)).toEqual(['a/A.java', 'b/B.java']);
+  expect(paths(desc).slice(0, 2)).toEqual(['b/B.java', 'a/A.java']);
+  expect(paths(desc).slice(2).sort()).toEqual(['c/C.java', 'd/D.java']);
+});
+
+test('sorts by duplicate count', () => {
+  const sorted = [...files].sort(compareBy([{ key: 'duplicates', dir: 'desc' }, { key: 'path', dir: 'asc' }]));
+  expect(sorted[0].path).toBe('a/A.java');
+});
+
+test('header clicks toggle direction and demote the old primary key', () => {
+  expect(nextSort(DEFAULT_SORT, 'cyclomatic')).toEqual([{ key: 'cyclomatic', dir: 'asc' }, { key: 'path', dir: 'asc' }]);
+  expect(nextSort(DEFAULT_SORT, 'lines')).toEqual([{ key: 'lines', dir: 'desc' }, { key: 'cyclomatic', dir: 'desc' }]);
+  expect(nextSort(DEFAULT_SORT, 'lines', true)).toEqual([{ key: 'cyclomatic', dir: 'desc' }, { key: 'lines', dir: 'desc' }]);
+  expect(nextSort(DEFAULT_SORT, 'path', true)).toEqual([{ key: 'cyclomatic', dir: 'desc' }, { key: 'path', dir: 'desc' }]);
+});
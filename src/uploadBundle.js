@@ -0,0 +1,66 @@
+// uploadBundle.js — turns several picked/dropped files or whole folders into one zip upload
+import { isZip, makeZip } from "./sourceArchive";
+
+const isJava = (path) => /\.java$/i.test(path);
+
+// relative path of a picked file: folder pickers set webkitRelativePath, drop traversal sets `path`
+export function relativePath(item) {
+  return (item.path || item.file?.webkitRelativePath || item.file?.name || "").replace(/\\/g, "/").replace(/^\/+/, "");
+}
+
+// the single top folder every path starts with, or "" when they differ
+export function commonRoot(paths) {
+  if (!paths.length || paths.some((p) => !p.includes("/"))) return "";
+  const first = paths[0].split("/")[0];
+  return paths.every((p) => p.split("/")[0] === first) ? first : "";
+}
+
+// [{ path, file }] of the .java files, with a shared top folder stripped so paths match the repo layout
+export function javaEntries(items) {
+  const java = items.map((it) => ({ file: it.file, path: relativePath(it) })).filter((it) => isJava(it.path));
+  const root = commonRoot(java.map((it) => it.path));
+  return {
+    root,
+    entries: java.map((it) => ({ file: it.file, path: root ? it.path.slice(root.length + 1) : it.path })),
+  };
+}
+
+// a lone .java or .zip is uploaded untouched; anything else is zipped client-side
+export async function bundleUpload(items) {
+  if (items.length === 1 && !items[0].path?.includes("/") && !items[0].file.webkitRelativePath) {
+    const only = items[0].file;
+    if (isZip(only) || isJava(only.name)) return only;
+  }
+  const { root, entries } = javaEntries(items);
+  if (!entries.length) throw new Error("No .java files found in the selection.");
+  const data = {};
+  await Promise.all(entries.map(async ({ file, path }) => (data[path] = new Uint8Array(await file.arrayBuffer()))));
+  return makeZip(data, `${root || "sources"}.zip`);
+}
+
+// DataTransfer of a drop -> [{ file, path }], walking dropped directories (hidden folders like .git are skipped)
+export async function itemsFromDataTransfer(dataTransfer) {
+  const entries = [...(dataTransfer?.items || [])].map((it) => it.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.length) return [...(dataTransfer?.files || [])].map((file) => ({ file, path: file.name }));
+
+  const out = [];
+  const readAll = (reader) =>
+    new Promise((resolve, reject) => {
+      const all = [];
+      // readEntries returns results in batches until an empty one
+      const next = () => reader.readEntries((batch) => (batch.length ? (all.push(...batch), next()) : resolve(all)), reject);
+      next();
+    });
+  const walk = async (entry, prefix) => {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ file, path });
+    } else if (entry.isDirectory && !entry.name.startsWith(".")) {
+      const children = await readAll(entry.createReader());
+      for (const child of children) await walk(child, path);
+    }
+  };
+  for (const entry of entries) await walk(entry, "");
+  return out;
+}
@@ -0,0 +1,21 @@
+import { commonRoot, javaEntries, relativePath } from './uploadBundle';
+
+const picked = (webkitRelativePath, name = webkitRelativePath.split('/').pop()) => ({ file: { name, webkitRelativePath } });
+
+test('prefers traversal paths, then folder-picker paths, then the file name', () => {
+  expect(relativePath({ path: 'repo/src/A.java', file: { name: 'A.java' } })).toBe('repo/src/A.java');
+  expect(relativePath(picked('repo/src/B.java'))).toBe('repo/src/B.java');
+  expect(relativePath({ file: { name: 'C.java', webkitRelativePath: '' } })).toBe('C.java');
+});
+
+test('finds the shared top folder', () => {
+  expect(commonRoot(['repo/a/A.java', 'repo/B.java'])).toBe('repo');
+  expect(commonRoot(['repo/A.java', 'other/B.java'])).toBe('');
+  expect(commonRoot(['A.java', 'repo/B.java'])).toBe('');
+});
+
+test('keeps only .java files and strips the picked folder name', () => {
+  const { root, entries } = javaEntries([picked('repo/src/main/java/A.java'), picked('repo/README.md'), picked('repo/src/test/java/ATest.java')]);
+  expect(root).toBe('repo');
+  expect(entries.map((e) => e.path)).toEqual(['src/main/java/A.java', 'src/test/java/ATest.java']);
+});
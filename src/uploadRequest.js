@@ -0,0 +1,102 @@
+// uploadRequest.js — analyze upload over XHR: byte progress, cancel, timeout, retry with backoff
+import { ApiError, CancelledError, HttpError, NetworkError, SchemaError, TimeoutError } from "./apiErrors";
+
+export const DEFAULT_TIMEOUT_S = 300;
+export const MAX_RETRIES = 3;
+
+// a 2xx body that should be JSON; anything else is a SchemaError rather than a SyntaxError
+export function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new SchemaError("Response is not valid JSON", { issues: [err.message], body: text.slice(0, 2000) });
+  }
+}
+
+// understands Spring Boot error JSON, RFC 7807 problem+json and plain text bodies
+export function parseErrorBody(text, status) {
+  const fallback = { title: `HTTP ${status}`, message: "", fields: [] };
+  if (!text) return fallback;
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // not JSON: show the start of the body (HTML error pages are stripped to text)
+    const plain = text.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+    return { ...fallback, message: plain.slice(0, 500) };
+  }
+  if (!json || typeof json !== "object") return { ...fallback, message: String(json) };
+  const errors = json.errors ?? json.fieldErrors ?? json.violations ?? [];
+  const fields = (Array.isArray(errors) ? errors : Object.entries(errors).map(([field, message]) => ({ field, message })))
+    .map((e) => (typeof e === "string" ? { field: "", message: e } : { field: e.field ?? e.propertyPath ?? e.name ?? "", message: e.message ?? e.defaultMessage ?? e.detail ?? "" }))
+    .filter((e) => e.message);
+  return {
+    title: json.title ?? json.error ?? fallback.title,
+    message: json.detail ?? json.message ?? "",
+    path: json.path ?? json.instance ?? undefined,
+    traceId: json.traceId ?? json.requestId ?? undefined,
+    fields,
+  };
+}
+
+// 1s, 2s, 4s, … capped; jitter spreads retries from several tabs
+export function backoffDelay(attempt, { base = 1000, max = 15000, random = Math.random } = {}) {
+  const exp = Math.min(max, base * 2 ** attempt);
+  return Math.round(exp / 2 + (random() * exp) / 2);
+}
+
+// single POST; onProgress({ loaded, total, phase: "upload" | "server" })
+export function postWithProgress(url, body, { signal, timeoutMs, headers = {}, onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    if (timeoutMs) xhr.timeout = timeoutMs;
+    xhr.upload.onprogress = (e) => onProgress({ loaded: e.loaded, total: e.lengthComputable ? e.total : null, phase: "upload" });
+    xhr.upload.onload = () => onProgress({ loaded: null, total: null, phase: "server" });
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(xhr.responseText);
+      const detail = parseErrorBody(xhr.responseText, xhr.status);
+      reject(new HttpError(`Server returned ${xhr.status}${detail.message ? `: ${detail.message}` : ""}`, { status: xhr.status, detail, body: xhr.responseText }));
+    };
+    xhr.onerror = () => reject(new NetworkError());
+    xhr.ontimeout = () => reject(new TimeoutError(`No response within ${Math.round(timeoutMs / 1000)}s`));
+    xhr.onabort = () => reject(new CancelledError());
+    if (signal) {
+      if (signal.aborted) return xhr.abort();
+      signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    }
+    xhr.send(body);
+  });
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(new CancelledError());
+      },
+      { once: true }
+    );
+  });
+}
+
+// retries network errors and 5xx with exponential backoff; onRetry({ attempt, delay, error })
+export async function uploadWithRetry(url, makeBody, { retries = MAX_RETRIES, signal, timeoutMs, headers, onProgress, onRetry = () => {}, send = postWithProgress, delayFor = backoffDelay } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(url, makeBody(), { signal, timeoutMs, headers, onProgress });
+    } catch (err) {
+      if (!(err instanceof ApiError) || !err.retryable || attempt >= retries || signal?.aborted) {
+        if (err instanceof ApiError) err.attempts = attempt + 1;
+        throw err;
+      }
+      const delay = delayFor(attempt);
+      onRetry({ attempt: attempt + 1, delay, error: err });
+      await sleep(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,62 @@
+import { HttpError, NetworkError, TimeoutError } from './apiErrors';
+import { backoffDelay, parseErrorBody, uploadWithRetry } from './uploadRequest';
+
+test('parses Spring Boot and problem+json error bodies', () => {
+  const spring = parseErrorBody(JSON.stringify({ status: 500, error: 'Internal Server Error', message: 'zip is empty', path: '/api/v1/analyze' }), 500);
+  expect(spring).toMatchObject({ title: 'Internal Server Error', message: 'zip is empty', path: '/api/v1/analyze', fields: [] });
+
+  const problem = parseErrorBody(
+    JSON.stringify({ title: 'Bad Request', detail: 'validation failed', errors: [{ field: 'file', message: 'must not be null' }] }),
+    400
+  );
+  expect(problem.fields).toEqual([{ field: 'file', message: 'must not be null' }]);
+});
+
+test('falls back to stripped plain text', () => {
+  expect(parseErrorBody('<html><body><h1>Bad Gateway</h1></body></html>', 502)).toMatchObject({ title: 'HTTP 502', message: 'Bad Gateway' });
+  expect(parseErrorBody('', 503)).toMatchObject({ title: 'HTTP 503', message: '' });
+});
+
+test('backs off exponentially with a cap', () => {
+  const max = () => 1;
+  expect(backoffDelay(0, { random: max })).toBe(1000);
+  expect(backoffDelay(2, { random: max })).toBe(4000);
+  expect(backoffDelay(10, { random: max })).toBe(15000);
+  expect(backoffDelay(1, { random: () => 0 })).toBe(1000);
+});
+
+const failing = (errors, result = '{}') => {
+  const calls = [];
+  const send = async () => {
+    calls.push(1);
+    const err = errors.shift();
+    if (err) throw err;
+    return result;
+  };
+  return { send, calls };
+};
+
+test('retries 5xx and network errors, then succeeds', async () => {
+  const { send, calls } = failing([new HttpError('x', { status: 503 }), new NetworkError('y')]);
+  const retries = [];
+  const text = await uploadWithRetry('/u', () => null, { send, delayFor: () => 0, onRetry: (r) => retries.push(r.attempt) });
+  expect(text).toBe('{}');
+  expect(calls).toHaveLength(3);
+  expect(retries).toEqual([1, 2]);
+});
+
+test('does not retry 4xx or timeouts and reports attempts', async () => {
+  const { send, calls } = failing([new HttpError('bad', { status: 400 })]);
+  await expect(uploadWithRetry('/u', () => null, { send, delayFor: () => 0 })).rejects.toMatchObject({ status: 400, attempts: 1 });
+  expect(calls).toHaveLength(1);
+
+  const timeouts = failing([new TimeoutError('slow')]);
+  await expect(uploadWithRetry('/u', () => null, { send: timeouts.send, delayFor: () => 0 })).rejects.toMatchObject({ kind: 'timeout' });
+});
+
+test('gives up after the retry budget', async () => {
+  const errs = Array.from({ length: 5 }, () => new HttpError('down', { status: 500 }));
+  const { send, calls } = failing(errs);
+  await expect(uploadWithRetry('/u', () => null, { send, retries: 2, delayFor: () => 0 })).rejects.toMatchObject({ attempts: 3 });
+  expect(calls).toHaveLength(3);
+});
@@ -0,0 +1,74 @@
+// uploadSelection.js — include/exclude globs and per-file ticks for the pre-upload zip subset
+import { readStored, writeStored } from "./helpers";
+
+const STORAGE_KEY = "codalens.uploadPatterns";
+
+// `**` spans folders, `*` and `?` stay within one path segment, `{a,b}` alternates
+export function globToRegExp(glob) {
+  let re = "";
+  let inBraces = false;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        i++;
+        if (glob[i + 1] === "/") {
+          i++;
+          re += "(?:.*/)?";
+        } else {
+          re += ".*";
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") re += "[^/]";
+    else if (c === "{") {
+      inBraces = true;
+      re += "(?:";
+    } else if (c === "}" && inBraces) {
+      inBraces = false;
+      re += ")";
+    } else if (c === "," && inBraces) re += "|";
+    else re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// one pattern per line or comma-separated; blank entries are ignored
+export function parsePatterns(text) {
+  const out = [];
+  let depth = 0;
+  let current = "";
+  for (const c of text || "") {
+    if (c === "{") depth++;
+    if (c === "}") depth = Math.max(0, depth - 1);
+    if (c === "\n" || (c === "," && depth === 0)) {
+      out.push(current);
+      current = "";
+    } else current += c;
+  }
+  out.push(current);
+  return out.map((p) => p.trim()).filter(Boolean);
+}
+
+// a pattern without a slash matches the file name anywhere, like .gitignore
+function matcher(patterns) {
+  const res = patterns.map((p) => globToRegExp(p.includes("/") ? p.replace(/^\//, "") : `**/${p}`));
+  return (path) => res.some((re) => re.test(path));
+}
+
+// entries kept by the patterns: matches an include (when any are given) and no exclude
+export function filterByPatterns(names, include, exclude) {
+  const inc = matcher(parsePatterns(include));
+  const exc = matcher(parsePatterns(exclude));
+  const hasInclude = parsePatterns(include).length > 0;
+  return names.filter((n) => (!hasInclude || inc(n)) && !exc(n));
+}
+
+export function loadPatterns() {
+  return readStored(STORAGE_KEY, { include: "", exclude: "" }, (raw) => ({ include: String(raw?.include ?? ""), exclude: String(raw?.exclude ?? "") }));
+}
+
+export function savePatterns(patterns) {
+  writeStored(STORAGE_KEY, patterns);
+}
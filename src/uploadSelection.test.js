@@ -0,0 +1,21 @@
+import { filterByPatterns, globToRegExp, parsePatterns } from './uploadSelection';
+
+test('translates globs to anchored regular expressions', () => {
+  expect(globToRegExp('src/**/*.java').test('src/a/b/C.java')).toBe(true);
+  expect(globToRegExp('src/**/*.java').test('src/C.java')).toBe(true);
+  expect(globToRegExp('src/*.java').test('src/a/C.java')).toBe(false);
+  expect(globToRegExp('**/{test,tests}/**').test('m/tests/A.java')).toBe(true);
+  expect(globToRegExp('A?.java').test('AB.java')).toBe(true);
+  expect(globToRegExp('a.java').test('aXjava')).toBe(false);
+});
+
+test('splits patterns on newlines and commas outside braces', () => {
+  expect(parsePatterns('a/**, b/*.java\n\n **/{x,y}/** ')).toEqual(['a/**', 'b/*.java', '**/{x,y}/**']);
+});
+
+test('keeps entries matching an include and no exclude', () => {
+  const names = ['app/src/main/java/A.java', 'app/src/test/java/ATest.java', 'app/target/generated/G.java', 'lib/B.java'];
+  expect(filterByPatterns(names, '', '')).toEqual(names);
+  expect(filterByPatterns(names, '', '**/test/**\n**/target/**')).toEqual(['app/src/main/java/A.java', 'lib/B.java']);
+  expect(filterByPatterns(names, 'app/**', '*Test.java')).toEqual(['app/src/main/java/A.java', 'app/target/generated/G.java']);
+});
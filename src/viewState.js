@@ -0,0 +1,84 @@
+// viewState.js — the shareable part of the UI state, kept in the location hash
+//
+//   #/?run=12&top=all&group=package&q=Service&sort=lines:desc,path:asc&dir=src/main/java&file=src/main/java/A.java
+//   #/report?run=12&…  same view on the print report page
+//
+// Values equal to the defaults are left out, so a fresh page has an empty hash.
+import { DEFAULT_SORT, SORT_FIELDS } from "./tableSort";
+import { AGGREGATIONS } from "./aggregation";
+
+export const TOP_N_OPTIONS = [5, 10, 20, 50];
+export const BIN_SIZES = [10, 20, 50];
+
+export const DEFAULT_VIEW = {
+  page: "main", // "main" | "report"
+  run: null, // id of a run in local history
+  topN: 20,
+  bin: 20,
+  group: "chunk", // key of AGGREGATIONS, used with topN "all"
+  q: "",
+  sort: DEFAULT_SORT,
+  chartsFollowSort: false,
+  dir: "",
+  file: null,
+};
+
+const sortParam = (sort) => sort.map(({ key, dir }) => `${key}:${dir}`).join(",");
+
+function parseSort(value) {
+  const keys = value
+    .split(",")
+    .map((part) => part.split(":"))
+    .filter(([key, dir]) => SORT_FIELDS[key] && (dir === "asc" || dir === "desc"))
+    .map(([key, dir]) => ({ key, dir }))
+    .slice(0, 2);
+  return keys.length ? keys : DEFAULT_SORT;
+}
+
+// unknown or malformed parameters fall back to their defaults
+export function parseViewHash(hash) {
+  const raw = (hash || "").replace(/^#\/?/, "");
+  const [path, query = ""] = raw.split("?");
+  const params = new URLSearchParams(query);
+  const view = { ...DEFAULT_VIEW, page: path === "report" ? "report" : "main" };
+
+  const run = Number(params.get("run"));
+  if (Number.isInteger(run) && run > 0) view.run = run;
+  const top = params.get("top");
+  if (top === "all") view.topN = "all";
+  else if (TOP_N_OPTIONS.includes(Number(top))) view.topN = Number(top);
+  const bin = Number(params.get("bin"));
+  if (BIN_SIZES.includes(bin)) view.bin = bin;
+  if (AGGREGATIONS[params.get("group")]) view.group = params.get("group");
+  if (params.has("q")) view.q = params.get("q");
+  if (params.has("sort")) view.sort = parseSort(params.get("sort"));
+  view.chartsFollowSort = params.get("charts") === "sorted";
+  if (params.has("dir")) view.dir = params.get("dir").replace(/^\/+|\/+$/g, "");
+  if (params.get("file")) view.file = params.get("file");
+  return view;
+}
+
+export function viewHash(view) {
+  const v = { ...DEFAULT_VIEW, ...view };
+  const params = new URLSearchParams();
+  if (v.run != null) params.set("run", String(v.run));
+  if (v.topN !== DEFAULT_VIEW.topN) params.set("top", String(v.topN));
+  if (v.topN === "all" && v.group !== DEFAULT_VIEW.group) params.set("group", v.group);
+  if (v.topN === "all" && v.group === "chunk" && v.bin !== DEFAULT_VIEW.bin) params.set("bin", String(v.bin));
+  if (v.q) params.set("q", v.q);
+  if (sortParam(v.sort) !== sortParam(DEFAULT_VIEW.sort)) params.set("sort", sortParam(v.sort));
+  if (v.chartsFollowSort) params.set("charts", "sorted");
+  if (v.dir) params.set("dir", v.dir);
+  if (v.file) params.set("file", v.file);
+  const query = params.toString().replace(/%2F/g, "/").replace(/%3A/g, ":").replace(/%2C/g, ",");
+  const path = v.page === "report" ? "/report" : "/";
+  return query ? `#${path}?${query}` : v.page === "report" ? "#/report" : "";
+}
+
+// switching run, page, package or open file gets its own history entry so back/forward step
+// between views; typing a search or changing the chart options only rewrites the current one
+export function historyMode(prevHash, nextHash) {
+  const a = parseViewHash(prevHash);
+  const b = parseViewHash(nextHash);
+  return a.page !== b.page || a.run !== b.run || a.dir !== b.dir || a.file !== b.file ? "push" : "replace";
+}
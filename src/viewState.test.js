@@ -0,0 +1,44 @@
+import { DEFAULT_VIEW, historyMode, parseViewHash, viewHash } from './viewState';
+
+test('default view has an empty hash and the old report route still works', () => {
+  expect(viewHash(DEFAULT_VIEW)).toBe('');
+  expect(parseViewHash('')).toEqual(DEFAULT_VIEW);
+  expect(parseViewHash('#/report')).toEqual({ ...DEFAULT_VIEW, page: 'report' });
+  expect(viewHash({ page: 'report' })).toBe('#/report');
+});
+
+test('round-trips every shareable setting', () => {
+  const view = {
+    page: 'report',
+    run: 12,
+    topN: 'all',
+    bin: 20,
+    group: 'package',
+    q: 'Order Service & co',
+    sort: [{ key: 'lines', dir: 'desc' }, { key: 'path', dir: 'asc' }],
+    chartsFollowSort: true,
+    dir: 'src/main/java/com/acme',
+    file: 'src/main/java/com/acme/Order.java',
+  };
+  const hash = viewHash(view);
+  expect(hash).toMatch(/^#\/report\?run=12&top=all&group=package&/);
+  expect(hash).toContain('sort=lines:desc,path:asc');
+  expect(hash).toContain('dir=src/main/java/com/acme');
+  expect(parseViewHash(hash)).toEqual(view);
+});
+
+test('ignores parameters it does not understand', () => {
+  const view = parseViewHash('#/?run=abc&top=7&bin=3&sort=size:desc,path:sideways&extra=1');
+  expect(view).toEqual(DEFAULT_VIEW);
+  expect(parseViewHash('#/?top=5&bin=50').bin).toBe(50);
+  expect(viewHash({ topN: 5, bin: 50 })).toBe('#/?top=5');
+  expect(parseViewHash('#/?top=all&group=alphabet').group).toBe('chunk');
+  expect(viewHash({ topN: 'all', bin: 50 })).toBe('#/?top=all&bin=50');
+});
+
+test('pushes history only when the view itself changes', () => {
+  expect(historyMode('#/?run=1', '#/?run=2')).toBe('push');
+  expect(historyMode('#/?run=1', '#/?run=1&file=A.java')).toBe('push');
+  expect(historyMode('#/?run=1', '#/report?run=1')).toBe('push');
+  expect(historyMode('#/?run=1&q=a', '#/?run=1&q=ab&top=50')).toBe('replace');
+});